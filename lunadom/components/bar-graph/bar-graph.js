@@ -21,6 +21,9 @@
  * @attr {number} gap - Bar gap ratio 0-1. Defaults to 0.25.
  * @attr {boolean} animate - If present (default true), animate bars on connect. Set to 'false' to disable.
  * @attr {number} precision - Decimal places for value labels. Auto-calculated if not provided.
+ * @attr {boolean} crosshair - If present, hovering a category highlights it and shows every series' value in one tooltip.
+ * @attr {string} sync-group - Charts (luna-bar-graph, luna-line-chart) with the same sync-group move their crosshairs
+ *   together. Implies crosshair. Categories are matched by label, then by index.
  * 
  * CSS Custom Properties:
  * @cssprop --luna-bar-graph-bg - Background color of the graph. Defaults to transparent.
@@ -37,17 +40,19 @@
  * @cssprop --luna-bar-graph-goal-dash - SVG stroke-dasharray for goal line. Defaults to '5,4'.
  * @cssprop --luna-bar-graph-transition - Animation duration. Defaults to 0.35s.
  * @cssprop --luna-bar-graph-legend-gap - Gap between legend items. Defaults to 1rem.
+ * @cssprop --luna-bar-graph-crosshair-color - Fill of the highlighted category in crosshair mode. Defaults to rgba(255,255,255,0.05).
  * 
  * Events:
  * @event luna-bar-click - Emitted when a bar is clicked. Detail: { label, value, series, index }.
  * @event luna-bar-hover - Emitted when a bar is hovered or unhovered. Detail: { label, value, series, index } or null.
+ *   In crosshair mode, emitted when another category is highlighted instead. Detail: { label, index, values } or null.
  */
 class LunaBarGraph extends HTMLElement {
   static get observedAttributes() {
     return [
       'data', 'direction', 'stacked', 'stacked-percentage', 'sorted',
       'legend', 'value-labels', 'goal', 'goal-label', 'x-label', 'y-label',
-      'height', 'gap', 'animate', 'precision'
+      'height', 'gap', 'animate', 'precision', 'crosshair', 'sync-group'
     ];
   }
 
@@ -57,6 +62,9 @@ class LunaBarGraph extends HTMLElement {
     this._resizeObserver = null;
     this._tooltip = null;
     this._initialized = false;
+    this._slots = null;
+    this._crosshairIndex = null;
+    this._onSync = this._onSync.bind(this);
   }
 
   connectedCallback() {
@@ -64,12 +72,14 @@ class LunaBarGraph extends HTMLElement {
     this._render();
     this._resizeObserver = new ResizeObserver(() => this._draw());
     this._resizeObserver.observe(this.shadowRoot.host);
+    document.addEventListener('luna-crosshair', this._onSync);
   }
 
   disconnectedCallback() {
     if (this._resizeObserver) {
       this._resizeObserver.disconnect();
     }
+    document.removeEventListener('luna-crosshair', this._onSync);
   }
 
   attributeChangedCallback() {
@@ -162,6 +172,7 @@ class LunaBarGraph extends HTMLElement {
           --luna-bar-graph-goal-dash: 5,4;
           --luna-bar-graph-transition: 0.35s cubic-bezier(.4,0,.2,1);
           --luna-bar-graph-legend-gap: 1rem;
+          --luna-bar-graph-crosshair-color: rgba(255,255,255,0.05);
           position: relative;
           box-sizing: border-box;
         }
@@ -229,6 +240,24 @@ class LunaBarGraph extends HTMLElement {
           opacity: 1;
         }
 
+        .tt-swatch {
+          display: inline-block;
+          width: 8px;
+          height: 8px;
+          border-radius: 2px;
+          margin-right: 6px;
+        }
+
+        .crosshair-band {
+          fill: var(--luna-bar-graph-crosshair-color);
+          pointer-events: none;
+          opacity: 0;
+        }
+
+        .crosshair-band.on {
+          opacity: 1;
+        }
+
         .bar {
           transition: opacity var(--luna-bar-graph-transition);
           cursor: pointer;
@@ -274,6 +303,11 @@ class LunaBarGraph extends HTMLElement {
     `;
 
     this._tooltip = this.shadowRoot.getElementById('tooltip');
+
+    const svg = this.shadowRoot.getElementById('chart');
+    svg.addEventListener('pointermove', (e) => this._onCrosshairMove(e));
+    svg.addEventListener('pointerleave', () => this._onCrosshairLeave());
+
     this._draw();
   }
 
@@ -289,6 +323,8 @@ class LunaBarGraph extends HTMLElement {
     
     if (items.length === 0) {
       svg.innerHTML = '';
+      this._slots = null;
+      this._crosshairIndex = null;
       return;
     }
 
@@ -421,6 +457,11 @@ class LunaBarGraph extends HTMLElement {
     const barGroupW = slotSize * (1 - gapRatio);
     const barW = barGroupW / groupCount;
     const barEvents = [];
+    const crosshair = this._crosshairMode();
+
+    out += isH
+      ? `<rect id="crosshair-band" class="crosshair-band" x="${chartL}" y="0" width="${chartW}" height="${slotSize}" />`
+      : `<rect id="crosshair-band" class="crosshair-band" x="0" y="${chartT}" width="${slotSize}" height="${chartH}" />`;
 
     drawItems.forEach((item, i) => {
       const slotStart = isH
@@ -628,12 +669,31 @@ class LunaBarGraph extends HTMLElement {
 
     svg.innerHTML = out;
 
+    this._slots = {
+      isH, chartL, chartT, chartW, chartH, slotSize, n, drawItems, series, multiSeries, precision,
+      colorOf: (si, v) => multiSeries ? palette[si % palette.length] : (v < 0 ? negativeColor : palette[0])
+    };
+    this._crosshairIndex = null;
+
     barEvents.forEach(({ id, label, value, series, index }) => {
       const el = svg.getElementById(id);
       
       if (!el) {
         return;
       }
+
+      el.addEventListener('click', () => {
+        this.dispatchEvent(new CustomEvent('luna-bar-click', {
+          detail: { label, value, series, index },
+          bubbles: true,
+          composed: true
+        }));
+      });
+
+      // In crosshair mode the svg-level pointer handlers drive the tooltip.
+      if (crosshair) {
+        return;
+      }
       
       el.addEventListener('mouseenter', (e) => {
         this._showTooltip(e, label, value, series, multiSeries, precision);
@@ -654,14 +714,6 @@ class LunaBarGraph extends HTMLElement {
           composed: true
         }));
       });
-      
-      el.addEventListener('click', () => {
-        this.dispatchEvent(new CustomEvent('luna-bar-click', {
-          detail: { label, value, series, index },
-          bubbles: true,
-          composed: true
-        }));
-      });
     });
 
     if (this.getAttribute('animate') !== 'false') {
@@ -762,6 +814,148 @@ class LunaBarGraph extends HTMLElement {
     }
   }
 
+  _crosshairMode() {
+    return this._bool('crosshair') || this.hasAttribute('sync-group');
+  }
+
+  _slotValues(index) {
+    const { drawItems, series, multiSeries } = this._slots;
+    const item = drawItems[index];
+    const values = {};
+    series.forEach(s => {
+      values[s] = multiSeries ? item.values[s] : item.value;
+    });
+    return values;
+  }
+
+  _onCrosshairMove(e) {
+    const slots = this._slots;
+    
+    if (!slots || !this._crosshairMode()) {
+      return;
+    }
+
+    const rect = this.shadowRoot.getElementById('chart').getBoundingClientRect();
+    const pos = slots.isH ? e.clientY - rect.top - slots.chartT : e.clientX - rect.left - slots.chartL;
+    const index = Math.floor(pos / slots.slotSize);
+    
+    if (index < 0 || index >= slots.n) {
+      this._onCrosshairLeave();
+      return;
+    }
+
+    this._showCrosshair(index, e);
+
+    if (index !== this._crosshairIndex) {
+      this._crosshairIndex = index;
+      const label = slots.drawItems[index].label;
+      this.dispatchEvent(new CustomEvent('luna-bar-hover', {
+        detail: { label, index, values: this._slotValues(index) },
+        bubbles: true,
+        composed: true
+      }));
+      this._broadcast(index);
+    }
+  }
+
+  _onCrosshairLeave() {
+    if (this._crosshairIndex === null) {
+      return;
+    }
+    
+    this._crosshairIndex = null;
+    this._hideCrosshair();
+    this.dispatchEvent(new CustomEvent('luna-bar-hover', {
+      detail: null,
+      bubbles: true,
+      composed: true
+    }));
+    this._broadcast(null);
+  }
+
+  // Highlights a category and lists all of its series in the tooltip. Without a pointer
+  // (a synced chart moved the crosshair), the tooltip is anchored to the category.
+  _showCrosshair(index, pointer) {
+    const slots = this._slots;
+    const band = this.shadowRoot.getElementById('crosshair-band');
+
+    if (!band) {
+      return;
+    }
+
+    const start = (slots.isH ? slots.chartT : slots.chartL) + index * slots.slotSize;
+    
+    band.setAttribute(slots.isH ? 'y' : 'x', start);
+    band.classList.add('on');
+
+    const values = this._slotValues(index);
+    const rows = slots.series.map((s, si) => {
+      const v = values[s];
+      const name = slots.multiSeries ? `${s} · ` : '';
+      return `<span class="tt-swatch" style="background:${slots.colorOf(si, v)}"></span>${name}${this._formatVal(v, slots.precision)}`;
+    });
+    
+    const tip = this._tooltip;
+    tip.innerHTML = `<strong>${slots.drawItems[index].label}</strong><br/>${rows.join('<br/>')}`;
+    tip.classList.add('visible');
+
+    if (pointer) {
+      this._moveTooltip(pointer);
+      return;
+    }
+
+    const host = this.shadowRoot.host.getBoundingClientRect();
+    const svgRect = this.shadowRoot.getElementById('chart').getBoundingClientRect();
+    const center = start + slots.slotSize / 2;
+    tip.style.left = (svgRect.left - host.left + (slots.isH ? slots.chartL + slots.chartW / 2 : center)) + 'px';
+    tip.style.top = (svgRect.top - host.top + (slots.isH ? center : slots.chartT)) + 'px';
+  }
+
+  _hideCrosshair() {
+    const band = this.shadowRoot.getElementById('crosshair-band');
+    
+    if (band) {
+      band.classList.remove('on');
+    }
+    this._hideTooltip();
+  }
+
+  _broadcast(index) {
+    const group = this.getAttribute('sync-group');
+    
+    if (!group) {
+      return;
+    }
+    
+    const label = index === null ? null : this._slots.drawItems[index].label;
+    document.dispatchEvent(new CustomEvent('luna-crosshair', {
+      detail: { group, source: this, index, label, time: null }
+    }));
+  }
+
+  _onSync(e) {
+    const { group, source, index, label } = e.detail;
+    
+    if (source === this || !this._slots || group !== this.getAttribute('sync-group')) {
+      return;
+    }
+
+    let match = -1;
+    
+    if (index !== null) {
+      match = this._slots.drawItems.findIndex(item => item.label === label);
+      if (match === -1 && index < this._slots.n) {
+        match = index;
+      }
+    }
+
+    if (match === -1) {
+      this._hideCrosshair();
+    } else {
+      this._showCrosshair(match, null);
+    }
+  }
+
   _niceStep(range) {
     if (range === 0) {
       return 1;
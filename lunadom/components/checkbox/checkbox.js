@@ -10,6 +10,11 @@
  * @attr {boolean} indeterminate - Whether the checkbox is in an indeterminate state.
  * @attr {boolean} disabled - Whether the checkbox is disabled.
  * @attr {'sm' | 'md' | 'lg'} size - The size of the checkbox.
+ * @attr {string} name - The name submitted with the owning form when checked.
+ * @attr {string} value - The value submitted when checked. Defaults to 'on'.
+ * 
+ * @prop {boolean} checked - Reflects the `checked` attribute.
+ * @prop {HTMLFormElement | null} form - The form the checkbox belongs to.
  * 
  * @cssprop --luna-size-sm - The size of the checkbox when size is 'sm'.
  * @cssprop --luna-size-md - The size of the checkbox when size is 'md'.
@@ -29,21 +34,32 @@
  * @cssprop --luna-help - The text color of the help text.
  * 
  * @event change - Emitted when the checked state changes.
+ * 
+ * Form Association:
+ * While checked, the form data gets one `name`=`value` entry (`on` by default); an unchecked
+ * box adds nothing, as with a native checkbox. A form reset restores the initial `checked` state.
  */
 class LunaCheckbox extends HTMLElement {
 
+  static formAssociated = true;
+
   static get observedAttributes() {
-    return ['checked', 'indeterminate', 'disabled', 'size'];
+    return ['checked', 'indeterminate', 'disabled', 'size', 'value'];
   }
 
   constructor() {
     super();
     this.attachShadow({ mode: 'open' });
+    this._internals = this.attachInternals();
+    this._formDisabled = false;
 
     this._onChange = this._onChange.bind(this);
   }
 
   connectedCallback() {
+    if (this._defaultChecked === undefined) {
+      this._defaultChecked = this.hasAttribute('checked');
+    }
     this.render();
     this._sync();
   }
@@ -52,6 +68,48 @@ class LunaCheckbox extends HTMLElement {
     this._sync();
   }
 
+  get checked() {
+    return this.hasAttribute('checked');
+  }
+
+  set checked(val) {
+    this.toggleAttribute('checked', Boolean(val));
+  }
+
+  get value() {
+    return this.getAttribute('value') ?? 'on';
+  }
+
+  set value(val) {
+    this.setAttribute('value', val);
+  }
+
+  get name() {
+    return this.getAttribute('name') || '';
+  }
+
+  set name(val) {
+    this.setAttribute('name', val);
+  }
+
+  get form() {
+    return this._internals.form;
+  }
+
+  formResetCallback() {
+    this.checked = this._defaultChecked;
+    this.removeAttribute('indeterminate');
+  }
+
+  formStateRestoreCallback(state) {
+    this.checked = state === 'checked';
+  }
+
+  formDisabledCallback(disabled) {
+    this._formDisabled = disabled;
+    this._sync();
+  }
+
   setCustomValidity(message) {
     this._input?.setCustomValidity(message);
   }
@@ -61,11 +119,14 @@ class LunaCheckbox extends HTMLElement {
   }
 
   _sync() {
+    const checked = this.hasAttribute('checked');
+    this._internals.setFormValue(checked ? this.value : null, checked ? 'checked' : 'unchecked');
+
     if (!this._input) return;
 
-    this._input.checked = this.hasAttribute('checked');
+    this._input.checked = checked;
     this._input.indeterminate = this.hasAttribute('indeterminate');
-    this._input.disabled = this.hasAttribute('disabled');
+    this._input.disabled = this.hasAttribute('disabled') || this._formDisabled;
   }
 
   _onChange(e) {
@@ -1,3 +1,5 @@
+import { createFloating } from '../floating/floating.js';
+
 /**
  * @customElement luna-color-picker
  * 
@@ -9,7 +11,10 @@
  * @attr {string} swatches - Comma-separated list of color swatches (e.g., "#ff0000,#00ff00,#0000ff").
  * @attr {string} label - Label text to display on the trigger button in popup mode.
  * @attr {boolean} inline - If present, the picker is always visible (no trigger button).
+ * @attr {string} placement - Preferred popup position: 'top' or 'bottom', optionally with '-start' or '-end'.
+ *   The popup flips and shifts to stay in the viewport. Defaults to 'bottom-start'.
  * @attr {boolean} disabled - Whether the picker is disabled.
+ * @attr {string} name - The name the value is submitted under when inside a form.
  * 
  * CSS Custom Properties:
  * @cssprop --luna-picker-border-radius - Border radius for picker elements. Defaults to 10px.
@@ -29,11 +34,17 @@
  * @cssprop --luna-picker-thumb-size - Size of slider thumbs. Defaults to 14px.
  * @cssprop --luna-picker-track-height - Height of slider tracks. Defaults to 12px.
  * 
+ * Form Association:
+ * Submits the color as text in the current `format` (e.g. '#3366ff' or 'rgb(51, 102, 255)')
+ * under `name`. A form reset restores the initial color at full opacity.
+ * 
  * Events:
  * @event color-change - Emitted when the color value changes. Detail contains hex, rgb, alpha, value, h, s, v.
  * @event luna-change - Alias for color-change, for consistency with other luna components.
  */
 class LunaColorPicker extends HTMLElement {
+  static formAssociated = true;
+
   static get observedAttributes() {
     return ['value', 'format', 'swatches', 'label', 'inline', 'disabled'];
   }
@@ -41,6 +52,8 @@ class LunaColorPicker extends HTMLElement {
   constructor() {
     super();
     this.attachShadow({ mode: 'open' });
+    this._internals = this.attachInternals();
+    this._formDisabled = false;
     this._hue = 0;
     this._sat = 100;
     this._val = 100;
@@ -54,9 +67,13 @@ class LunaColorPicker extends HTMLElement {
   connectedCallback() {
     this._format = this.getAttribute('format') || 'hex';
     const initColor = this.getAttribute('value') || '#ff0000';
+    if (this._defaultValue === undefined) {
+      this._defaultValue = initColor;
+    }
     this._setFromHex(this._parseToHex(initColor));
     this._render();
     this._bind();
+    this._applyDisabled();
     this._initialized = true;
   }
 
@@ -64,6 +81,9 @@ class LunaColorPicker extends HTMLElement {
     if (this._resizeObserver) {
       this._resizeObserver.disconnect();
     }
+    if (this._floating) {
+      this._floating.hide(0);
+    }
   }
 
   attributeChangedCallback(name, oldVal, newVal) {
@@ -75,9 +95,77 @@ class LunaColorPicker extends HTMLElement {
     if (name === 'format') {
       this._format = newVal;
       this._updateInput();
+      this._syncFormValue();
+    }
+    if (name === 'disabled') {
+      this._applyDisabled();
+    }
+  }
+
+  get value() {
+    return this._currentFormatted();
+  }
+
+  set value(val) {
+    this.setAttribute('value', val);
+  }
+
+  get name() {
+    return this.getAttribute('name') || '';
+  }
+
+  set name(val) {
+    this.setAttribute('name', val);
+  }
+
+  get form() {
+    return this._internals.form;
+  }
+
+  // ─── Form association ─────────────────────────────────────────────────────
+
+  formResetCallback() {
+    this._alpha = 1;
+    this._setFromHex(this._parseToHex(this._defaultValue || '#ff0000'));
+    this._updateAll();
+  }
+
+  formStateRestoreCallback(state) {
+    if (state) {
+      this._alpha = 1;
+      this._setFromHex(this._parseToHex(state));
+      this._updateAll();
+    }
+  }
+
+  formDisabledCallback(disabled) {
+    this._formDisabled = disabled;
+    this._applyDisabled();
+  }
+
+  _isDisabled() {
+    return this.hasAttribute('disabled') || this._formDisabled;
+  }
+
+  _applyDisabled() {
+    const disabled = this._isDisabled();
+    const root = this.shadowRoot;
+    root.querySelectorAll('button, input').forEach(el => { el.disabled = disabled; });
+    root.querySelector('.panel')?.classList.toggle('disabled', disabled);
+    root.getElementById('trigger')?.classList.toggle('disabled', disabled);
+    if (disabled && this._open) {
+      this._open = false;
+      root.getElementById('popup')?.classList.remove('open');
+      this._floating?.hide();
+      root.getElementById('trigger-caret')?.classList.remove('open');
+      root.getElementById('trigger')?.setAttribute('aria-expanded', 'false');
     }
   }
 
+  _syncFormValue() {
+    this._internals.setFormValue(this._currentFormatted());
+  }
+
   _hsvToRgb(h, s, v) {
     s /= 100; v /= 100;
     const k = (n) => (n + h / 60) % 6;
@@ -272,16 +360,23 @@ class LunaColorPicker extends HTMLElement {
         }
 
         .popup-wrapper {
-          position: absolute;
-          top: calc(100% + 6px);
-          left: 0;
+          position: fixed;
           z-index: 9999;
+          padding: 0;
+          border: none;
+          background: transparent;
+          color: inherit;
+          overflow: visible;
           opacity: 0;
           transform: translateY(-6px) scale(0.97);
           pointer-events: none;
           transition: opacity 0.18s, transform 0.18s;
           transform-origin: top left;
         }
+        .popup-wrapper[data-placement^="top"] {
+          transform: translateY(6px) scale(0.97);
+          transform-origin: bottom left;
+        }
         .popup-wrapper.open {
           opacity: 1;
           transform: none;
@@ -463,6 +558,14 @@ class LunaColorPicker extends HTMLElement {
         .swatch.active {
           box-shadow: 0 0 0 2px #fff, 0 0 0 3px rgba(0,0,0,0.3);
         }
+        .trigger.disabled,
+        .panel.disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+        .panel.disabled > * {
+          pointer-events: none;
+        }
       </style>
 
       ${isInline ? `
@@ -529,9 +632,21 @@ class LunaColorPicker extends HTMLElement {
       const trigger = root.getElementById('trigger');
       const popup = root.getElementById('popup');
       const caret = root.getElementById('trigger-caret');
+      if (this._floating) {
+        this._floating.destroy();
+      }
+      this._floating = createFloating(trigger, popup, () => ({
+        placement: this.getAttribute('placement') || 'bottom-start',
+        offset: 6
+      }));
       trigger?.addEventListener('click', (e) => {
         e.stopPropagation();
         this._open = !this._open;
+        if (this._open) {
+          this._floating.show();
+        } else {
+          this._floating.hide();
+        }
         popup.classList.toggle('open', this._open);
         caret.classList.toggle('open', this._open);
         trigger.setAttribute('aria-expanded', this._open);
@@ -539,6 +654,9 @@ class LunaColorPicker extends HTMLElement {
       });
       document.addEventListener('click', (e) => {
         if (!this.contains(e.target) && !root.contains(e.target)) {
+          if (this._open) {
+            this._floating.hide();
+          }
           this._open = false;
           popup?.classList.remove('open');
           caret?.classList.remove('open');
@@ -687,6 +805,7 @@ class LunaColorPicker extends HTMLElement {
     this._updateInput();
     this._updatePreviews();
     this._updateSwatchActive();
+    this._syncFormValue();
     this._dispatch();
   }
 
@@ -1,5 +1,11 @@
 // lunadom/components/combobox/combobox.js
 
+import { createFloating } from '../floating/floating.js';
+import {
+  escapeHTML, normalizeOptions, buildRows, optionHeight, virtualRange, windowHTML,
+  groupRowHTML, optionRowHTML, scrollToRow, virtualListStyles
+} from '../virtual-list/virtual-list.js';
+
 /**
  * @customElement luna-combobox
  * 
@@ -12,17 +18,26 @@
  * @attr {string} help-text - Help text to display below the combobox.
  * @attr {string} placeholder - Placeholder text to display when no value is entered.
  * @attr {boolean} clearable - If present, shows a clear button when the input has a value.
- * @attr {boolean} multiple - If present, allows selecting multiple options. Values are comma-separated.
+ * @attr {boolean} multiple - If present, allows selecting multiple options. Values are comma-separated, in tag order.
+ *   Tags can be dragged to reorder them and Backspace in the empty input removes the last one.
  * @attr {boolean} disabled - Whether the combobox is disabled.
  * @attr {boolean} pill - If present, the combobox will have a pill shape.
  * @attr {boolean} autocomplete - If present, filters options as the user types. Defaults to true.
- * @attr {boolean} allow-custom-value - If present, allows entering values not in the options list.
+ * @attr {boolean} allow-custom-value - If present, allows entering values not in the options list. With `multiple`,
+ *   Enter or comma turns the typed text into a tag, and pasted comma/newline-separated text becomes several tags.
  * @attr {'outline' | 'filled' | 'filled-outline'} appearance - The visual style of the combobox. Defaults to 'outline'.
  * @attr {'sm' | 'md' | 'lg'} size - The size of the combobox. Defaults to 'md'.
  * @attr {number} max-options-visible - In multiple mode, the maximum number of tags to show before truncating.
- * @attr {'top' | 'bottom'} placement - Where to position the dropdown. Defaults to 'bottom'.
+ * @attr {'top' | 'bottom'} placement - Preferred side for the dropdown; it flips when that side lacks room. Defaults to 'bottom'.
  * @attr {string} value - The current value or comma-separated values (for multiple) of the combobox.
  * @attr {string} filter-mode - How to filter options: 'contains' (default), 'startsWith', 'custom'.
+ * @attr {string} name - The name the value is submitted under when inside a form. In multiple mode each value is submitted as its own entry.
+ * @attr {number} debounce - With `loadOptions`, milliseconds to wait after typing before loading. Defaults to 300.
+ * @attr {boolean} infinite-scroll - With `loadOptions`, loads the next batch when the listbox is scrolled to the bottom,
+ *   as long as the last result was { options, hasMore: true }.
+ * @attr {string} loading-text - Text shown while options load. Defaults to 'Loading...'.
+ * @attr {string} no-results-text - Text shown when nothing matches. Defaults to 'No results'.
+ * @attr {number} option-height - Row height in px for the data-driven `options` list. Defaults to 40.
  * 
  * CSS Custom Properties:
  * @cssprop --luna-combobox-bg - Background color of the combobox control.
@@ -31,17 +46,34 @@
  * @cssprop --luna-combobox-radius - Border radius of the combobox control.
  * @cssprop --luna-combobox-accent - Accent color for focus states and selected items.
  * @cssprop --luna-combobox-shadow - Box shadow for the dropdown panel.
+ *
+ * Form Association:
+ * Submits the selected option's value under `name`, or the typed text when
+ * `allow-custom-value` accepts it. In `multiple` mode each value is its own `name` entry.
+ * A form reset restores the initial `value` and input text.
  * 
  * Events:
  * @event luna-change - Emitted when the selected value(s) change.
  * @event luna-clear - Emitted when the input is cleared via the clear button.
  * @event luna-input - Emitted when the input value changes.
  * @event luna-filter - Emitted when options are filtered, passes filtered options in detail.
+ * @event luna-error - Emitted when `loadOptions` rejects. detail: { error, query }
+ * @event luna-create - Emitted before typed text becomes a new tag (multiple + allow-custom-value). Cancelable;
+ *   listeners may also rewrite detail.value. detail: { value }
  * 
  * Properties:
  * @property {Function} customFilter - Custom filter function(option: HTMLElement, query: string) => boolean.
+ *   With `options`, it receives the { value, label, group, disabled } item instead of an element.
+ * @property {Array} options - Data-driven options: an array of { value, label, group, disabled } (or strings).
+ *   Only the rows in view are rendered, so lists of thousands of items stay responsive. Replaces slotted options.
+ * @property {Function} loadOptions - Async option source: (query, { signal, offset }) => Promise of an array of
+ *   { value, label, disabled } (or strings), or of { options, hasMore } for infinite scroll (a plain array is
+ *   the last page). Replaces local filtering; results are added as luna-option children. `signal` aborts
+ *   when a newer query supersedes it.
  */
 class LunaCombobox extends HTMLElement {
+  static formAssociated = true;
+
   static get observedAttributes() {
     return [
       'label',
@@ -58,19 +90,44 @@ class LunaCombobox extends HTMLElement {
       'max-options-visible',
       'placement',
       'value',
-      'filter-mode'
+      'filter-mode',
+      'loading-text',
+      'no-results-text',
+      'option-height',
+      'name'
     ];
   }
 
   constructor() {
     super();
     this.attachShadow({ mode: 'open' });
+    this._internals = this.attachInternals();
+    this._formDisabled = false;
     this._isOpen = false;
     this._selectedOptions = [];
     this._value = '';
     this._inputValue = '';
     this._isRendered = false;
     this._customFilter = null;
+    this._loadOptions = null;
+    this._loadToken = 0;
+    this._loadTimer = null;
+    this._loadController = null;
+    this._loadState = 'idle';
+    this._remoteQuery = null;
+    this._remoteValues = null;
+    this._remoteOffset = 0;
+    this._hasMore = false;
+    this._dragIndex = null;
+    this._options = null;
+    this._optionData = null;
+    this._rows = [];
+    this._matchCount = 0;
+    this._dataQuery = null;
+    this._activeOption = null;
+    this._vStart = 0;
+    this._vEnd = 0;
+    this._vFrame = null;
 
     this._onInput           = this._onInput.bind(this);
     this._onFocus           = this._onFocus.bind(this);
@@ -79,11 +136,13 @@ class LunaCombobox extends HTMLElement {
     this._handleOptionClick  = this._handleOptionClick.bind(this);
     this._handleClear        = this._handleClear.bind(this);
     this._handleSlotChange   = this._handleSlotChange.bind(this);
+    this._onDropdownScroll   = this._onDropdownScroll.bind(this);
+    this._onPaste            = this._onPaste.bind(this);
   }
 
   get value() {
     if (this.hasAttribute('multiple')) {
-      return this._selectedOptions.map(opt => opt.value);
+      return this._values();
     }
     return this._value;
   }
@@ -93,6 +152,18 @@ class LunaCombobox extends HTMLElement {
     this.setAttribute('value', Array.isArray(val) ? val.join(',') : val);
   }
 
+  get name() {
+    return this.getAttribute('name') || '';
+  }
+
+  set name(val) {
+    this.setAttribute('name', val);
+  }
+
+  get form() {
+    return this._internals.form;
+  }
+
   get customFilter() {
     return this._customFilter;
   }
@@ -109,7 +180,45 @@ class LunaCombobox extends HTMLElement {
     }
   }
 
+  get loadOptions() {
+    return this._loadOptions;
+  }
+
+  set loadOptions(fn) {
+    this._cancelLoad();
+    this._loadOptions = typeof fn === 'function' ? fn : null;
+    this._remoteQuery = null;
+    this._remoteValues = null;
+    if (this._isRendered && this._isOpen) {
+      this._filterOptions(this._inputValue);
+    }
+  }
+
+  get options() {
+    return this._optionData;
+  }
+
+  set options(list) {
+    this._optionData = Array.isArray(list) ? list : null;
+    this._options = this._optionData ? normalizeOptions(this._optionData) : null;
+    this._activeOption = null;
+    this._dataQuery = null;
+    this._rows = [];
+
+    const dropdown = this.shadowRoot.getElementById('dropdown');
+    if (dropdown) {
+      dropdown.classList.toggle('data', !!this._options);
+    }
+    this._syncSelectedOptions();
+    if (this._isRendered && this._isOpen) {
+      this._filterOptions(this._inputValue);
+    }
+  }
+
   connectedCallback() {
+    if (this._defaultValue === undefined) {
+      this._defaultValue = this.getAttribute('value') || '';
+    }
     if (!this._isRendered) {
       this.render();
       this._isRendered = true;
@@ -119,6 +228,9 @@ class LunaCombobox extends HTMLElement {
 
   disconnectedCallback() {
     document.removeEventListener('click', this._handleOutsideClick);
+    if (this._floating) {
+      this._floating.hide(0);
+    }
   }
 
   attributeChangedCallback(name, oldValue, newValue) {
@@ -126,29 +238,92 @@ class LunaCombobox extends HTMLElement {
       this._value = newValue || '';
       this._syncSelectedOptions();
     }
+    if (name === 'name') {
+      // Multiple-mode entries are keyed by the name.
+      this._syncFormValue();
+      return;
+    }
     if (this._isRendered && name !== 'value') {
       this._updateUI();
     }
   }
 
+  // ─── Form association ─────────────────────────────────────────────────────
+
+  formResetCallback() {
+    this.value = this._defaultValue || '';
+    const selected = this._selectedOptions[0];
+    this._inputValue = !this.hasAttribute('multiple') && selected ? this._labelOf(selected) : '';
+    if (this._input) this._input.value = this._inputValue;
+    this._updateClearButton();
+  }
+
+  formStateRestoreCallback(state) {
+    this.value = state instanceof FormData ? state.getAll(this.name).join(',') : (state || '');
+  }
+
+  formDisabledCallback(disabled) {
+    this._formDisabled = disabled;
+    if (disabled) {
+      this._isOpen = false;
+    }
+    if (this._isRendered) {
+      this._updateUI();
+    }
+  }
+
+  _isDisabled() {
+    return this.hasAttribute('disabled') || this._formDisabled;
+  }
+
+  _syncFormValue() {
+    // Like native controls, an unnamed control submits nothing.
+    if (!this.name) {
+      this._internals.setFormValue(null);
+      return;
+    }
+    if (!this.hasAttribute('multiple')) {
+      this._internals.setFormValue(this._value || null);
+      return;
+    }
+    // Custom values have no matching option, so read the attribute rather than _selectedOptions.
+    const values = (this.getAttribute('value') || '').split(',').filter(v => v);
+    if (!values.length) {
+      this._internals.setFormValue(null);
+      return;
+    }
+    const data = new FormData();
+    values.forEach(v => data.append(this.name, v));
+    this._internals.setFormValue(data);
+  }
+
   _handleSlotChange() {
     this._syncSelectedOptions();
   }
 
+  // Selected values in order. Custom values have no option, so this reads the attribute.
+  _values() {
+    return (this.getAttribute('value') || '').split(',').filter(v => v);
+  }
+
+  _optionFor(value) {
+    return this._allOptions().find(opt => opt.value === value);
+  }
+
   _syncSelectedOptions() {
-    const options  = Array.from(this.querySelectorAll('luna-option'));
-    const rawValue = this.getAttribute('value') || '';
-    const values   = this.hasAttribute('multiple')
-      ? (Array.isArray(rawValue) ? rawValue : rawValue.split(',').filter(v => v))
-      : [rawValue];
-
-    this._selectedOptions = options.filter(opt => {
-      const isSelected = values.includes(opt.value);
-      opt.selected = isSelected;
-      return isSelected;
-    });
+    const options = this._allOptions();
+    const values  = this.hasAttribute('multiple') ? this._values() : [this.getAttribute('value') || ''];
 
+    if (!this._options) {
+      options.forEach(opt => {
+        opt.selected = values.includes(opt.value);
+      });
+    }
+    this._selectedOptions = values.map(v => options.find(opt => opt.value === v)).filter(Boolean);
+
+    this._syncFormValue();
     this._updateInputDisplay();
+    this._updateVirtualWindow(true);
   }
 
   _onInput(e) {
@@ -173,7 +348,7 @@ class LunaCombobox extends HTMLElement {
   }
 
   _onFocus() {
-    if (!this.hasAttribute('disabled')) {
+    if (!this._isDisabled()) {
       this._isOpen = true;
       this._updateUI();
       this._filterOptions(this._inputValue);
@@ -187,52 +362,99 @@ class LunaCombobox extends HTMLElement {
       this._input.blur();
     } else if (e.key === 'ArrowDown') {
       e.preventDefault();
-      this._focusNextOption();
+      this._moveFocus(1);
     } else if (e.key === 'ArrowUp') {
       e.preventDefault();
-      this._focusPreviousOption();
+      this._moveFocus(-1);
+    } else if (e.key === 'PageDown' && this._isOpen) {
+      e.preventDefault();
+      this._moveFocus(this._pageSize(), false);
+    } else if (e.key === 'PageUp' && this._isOpen) {
+      e.preventDefault();
+      this._moveFocus(-this._pageSize(), false);
     } else if (e.key === 'Enter') {
       e.preventDefault();
       this._selectFocusedOption();
+    } else if (e.key === ',' && this._isCreatable()) {
+      e.preventDefault();
+      this._commitInput([this._inputValue]);
+    } else if (e.key === 'Backspace' && this.hasAttribute('multiple') && !this._input.value) {
+      const values = this._values();
+      if (values.length) {
+        e.preventDefault();
+        this._removeValue(values[values.length - 1]);
+      }
     }
   }
 
-  _focusNextOption() {
-    const visibleOptions = this._getVisibleOptions();
-    if (visibleOptions.length === 0) return;
+  _onPaste(e) {
+    if (!this._isCreatable()) return;
 
-    const currentIndex = visibleOptions.findIndex(opt => opt.classList.contains('keyboard-focus'));
-    visibleOptions.forEach(opt => opt.classList.remove('keyboard-focus'));
+    const text = e.clipboardData ? e.clipboardData.getData('text') : '';
+    if (!/[,\n\r\t]/.test(text)) return;
 
-    const nextIndex = currentIndex < visibleOptions.length - 1 ? currentIndex + 1 : 0;
-    visibleOptions[nextIndex].classList.add('keyboard-focus');
-    visibleOptions[nextIndex].scrollIntoView({ block: 'nearest' });
+    e.preventDefault();
+    this._commitInput((this._input.value + text).split(/[,\n\r\t]+/));
   }
 
-  _focusPreviousOption() {
+  // Arrow keys wrap around the ends of the list; paging stops at them.
+  _moveFocus(delta, wrap = true) {
     const visibleOptions = this._getVisibleOptions();
-    if (visibleOptions.length === 0) return;
+    const count = visibleOptions.length;
+    if (count === 0) return;
+
+    const currentIndex = visibleOptions.indexOf(this._getFocusedOption());
+    let nextIndex;
+    if (currentIndex === -1) {
+      nextIndex = delta > 0 ? 0 : count - 1;
+    } else if (wrap) {
+      nextIndex = ((currentIndex + delta) % count + count) % count;
+    } else {
+      nextIndex = Math.min(count - 1, Math.max(0, currentIndex + delta));
+    }
+    this._setFocusedOption(visibleOptions[nextIndex]);
+  }
+
+  _getFocusedOption() {
+    return this._options ? this._activeOption : this.querySelector('luna-option.keyboard-focus');
+  }
+
+  _setFocusedOption(opt) {
+    if (this._options) {
+      this._activeOption = opt || null;
+      if (opt) scrollToRow(this.shadowRoot.getElementById('dropdown'), this._rows, opt.row, optionHeight(this));
+      this._updateVirtualWindow(true);
+      if (opt) {
+        this._input.setAttribute('aria-activedescendant', `option-${opt.row}`);
+      } else {
+        this._input.removeAttribute('aria-activedescendant');
+      }
+      return;
+    }
 
-    const currentIndex = visibleOptions.findIndex(opt => opt.classList.contains('keyboard-focus'));
-    visibleOptions.forEach(opt => opt.classList.remove('keyboard-focus'));
+    this.querySelectorAll('luna-option').forEach(o => o.classList.toggle('keyboard-focus', o === opt));
+    if (opt) opt.scrollIntoView({ block: 'nearest' });
+  }
 
-    const prevIndex = currentIndex > 0 ? currentIndex - 1 : visibleOptions.length - 1;
-    visibleOptions[prevIndex].classList.add('keyboard-focus');
-    visibleOptions[prevIndex].scrollIntoView({ block: 'nearest' });
+  _pageSize() {
+    const dropdown = this.shadowRoot.getElementById('dropdown');
+    return Math.max(1, Math.floor(dropdown.clientHeight / optionHeight(this)) - 1);
   }
 
   _selectFocusedOption() {
-    const visibleOptions = this._getVisibleOptions();
-    const focusedOption = visibleOptions.find(opt => opt.classList.contains('keyboard-focus'));
+    const focusedOption = this._getFocusedOption();
     
     if (focusedOption) {
-      this._handleOptionClick({ target: focusedOption });
+      this._selectOption(focusedOption);
     } else if (this.hasAttribute('allow-custom-value') && this._inputValue) {
       this._handleCustomValue();
     }
   }
 
   _getVisibleOptions() {
+    if (this._options) {
+      return this._rows.filter(row => row.header === undefined && !row.disabled);
+    }
     return Array.from(this.querySelectorAll('luna-option')).filter(opt => {
       return opt.style.display !== 'none' && !opt.hasAttribute('disabled');
     });
@@ -245,14 +467,12 @@ class LunaCombobox extends HTMLElement {
     if (!customValue) return;
 
     if (this.hasAttribute('multiple')) {
-      const values = this.value || [];
-      if (!values.includes(customValue)) {
-        this.value = [...values, customValue].join(',');
-      }
-    } else {
-      this.value = customValue;
+      this._commitInput([customValue]);
+      return;
     }
 
+    this.value = customValue;
+
     this._isOpen = false;
     this._updateUI();
     this._syncSelectedOptions();
@@ -264,7 +484,177 @@ class LunaCombobox extends HTMLElement {
     }));
   }
 
+  // ─── Tags ─────────────────────────────────────────────────────────────────
+
+  _isCreatable() {
+    return this.hasAttribute('multiple') && this.hasAttribute('allow-custom-value');
+  }
+
+  // Adds one typed value, preferring an existing option with that value or label.
+  // Returns whether the value list changed.
+  _createValue(text) {
+    const raw = text.replace(/,/g, ' ').trim();
+    if (!raw) return false;
+
+    const match = this._allOptions().find(opt => {
+      return opt.value === raw || this._labelOf(opt).toLowerCase() === raw.toLowerCase();
+    });
+    let value = match ? match.value : raw;
+
+    if (!match) {
+      const event = new CustomEvent('luna-create', {
+        bubbles: true,
+        composed: true,
+        cancelable: true,
+        detail: { value }
+      });
+      if (!this.dispatchEvent(event)) return false;
+      value = String(event.detail.value || '').replace(/,/g, ' ').trim();
+      if (!value) return false;
+    }
+
+    const values = this._values();
+    if (values.includes(value)) return false;
+
+    this.value = [...values, value].join(',');
+    return true;
+  }
+
+  _commitInput(texts) {
+    const changed = texts.map(text => this._createValue(text)).some(Boolean);
+
+    this._inputValue = '';
+    if (this._input) this._input.value = '';
+    this._syncSelectedOptions();
+    this._updateUI();
+
+    if (changed) {
+      this.dispatchEvent(new CustomEvent('luna-change', {
+        bubbles: true,
+        composed: true,
+        detail: { value: this.value }
+      }));
+    }
+  }
+
+  _removeValue(value) {
+    this.value = this._values().filter(v => v !== value).join(',');
+    this._syncSelectedOptions();
+    this._updateUI();
+
+    this.dispatchEvent(new CustomEvent('luna-change', {
+      bubbles: true,
+      composed: true,
+      detail: { value: this.value }
+    }));
+  }
+
+  _moveValue(from, to) {
+    const values = this._values();
+    if (from === to || from < 0 || from >= values.length) return;
+
+    const [moved] = values.splice(from, 1);
+    values.splice(to, 0, moved);
+    this.value = values.join(',');
+    this._syncSelectedOptions();
+
+    this.dispatchEvent(new CustomEvent('luna-change', {
+      bubbles: true,
+      composed: true,
+      detail: { value: this.value }
+    }));
+  }
+
+  // ─── Data-driven options ──────────────────────────────────────────────────
+
+  _allOptions() {
+    return this._options || Array.from(this.querySelectorAll('luna-option'));
+  }
+
+  _labelOf(opt) {
+    return opt.nodeType ? opt.textContent.trim() : opt.label;
+  }
+
+  _filterData(query) {
+    const filterMode = this.getAttribute('filter-mode') || 'contains';
+    const lowerQuery = query.toLowerCase();
+
+    const matches = this._options.filter(item => {
+      if (!query) return true;
+      if (filterMode === 'custom' && this._customFilter) return this._customFilter(item, query);
+
+      const label = item.label.toLowerCase();
+      const value = item.value.toLowerCase();
+      return filterMode === 'startsWith'
+        ? label.startsWith(lowerQuery) || value.startsWith(lowerQuery)
+        : label.includes(lowerQuery) || value.includes(lowerQuery);
+    });
+
+    ({ rows: this._rows, count: this._matchCount } = buildRows(matches));
+
+    const dropdown = this.shadowRoot.getElementById('dropdown');
+    if (query !== this._dataQuery) {
+      this._dataQuery = query;
+      this._activeOption = null;
+      this._input.removeAttribute('aria-activedescendant');
+      dropdown.scrollTop = 0;
+    } else if (this._activeOption && !matches.includes(this._activeOption)) {
+      this._activeOption = null;
+    }
+
+    this._updateVirtualWindow(true);
+    this._updateStatus();
+
+    this.dispatchEvent(new CustomEvent('luna-filter', {
+      bubbles: true,
+      composed: true,
+      detail: { query, visibleCount: matches.length }
+    }));
+  }
+
+  // ─── Virtual list ─────────────────────────────────────────────────────────
+
+  _updateVirtualWindow(force = false) {
+    const dropdown = this.shadowRoot.getElementById('dropdown');
+    const list = this.shadowRoot.getElementById('virtual');
+    if (!dropdown || !list) return;
+
+    if (!this._options || !this._isOpen) {
+      list.innerHTML = '';
+      this._vStart = this._vEnd = 0;
+      return;
+    }
+
+    const oh = optionHeight(this);
+    const { start, end } = virtualRange(this._rows.length, dropdown.scrollTop, dropdown.clientHeight || 240, oh);
+    if (!force && start === this._vStart && end === this._vEnd) return;
+
+    this._vStart = start;
+    this._vEnd = end;
+
+    const selected = new Set(this._selectedOptions.map(opt => opt.value));
+    list.innerHTML = windowHTML(this._rows, start, end, oh, row => row.header !== undefined
+      ? groupRowHTML(row, oh)
+      : optionRowHTML(row, {
+        selected: selected.has(row.value),
+        active: row === this._activeOption,
+        setSize: this._matchCount,
+        rowHeight: oh
+      }));
+  }
+
   _filterOptions(query) {
+    if (this._loadOptions) {
+      this._queueLoad(query);
+      this._applyRemoteVisibility();
+      return;
+    }
+
+    if (this._options) {
+      this._filterData(query);
+      return;
+    }
+
     const options = Array.from(this.querySelectorAll('luna-option'));
     const filterMode = this.getAttribute('filter-mode') || 'contains';
     const lowerQuery = query.toLowerCase();
@@ -290,18 +680,188 @@ class LunaCombobox extends HTMLElement {
       if (isVisible) visibleCount++;
     });
 
+    this._syncGroupVisibility();
+    this._updateStatus();
+
+    this.dispatchEvent(new CustomEvent('luna-filter', {
+      bubbles: true,
+      composed: true,
+      detail: { query, visibleCount }
+    }));
+  }
+
+  _syncGroupVisibility() {
     const groups = Array.from(this.querySelectorAll('luna-option-group'));
     groups.forEach(group => {
       const groupOptions = Array.from(group.querySelectorAll('luna-option'));
       const hasVisibleOptions = groupOptions.some(opt => opt.style.display !== 'none');
       group.style.display = hasVisibleOptions ? '' : 'none';
     });
+  }
 
-    this.dispatchEvent(new CustomEvent('luna-filter', {
-      bubbles: true,
-      composed: true,
-      detail: { query, visibleCount }
-    }));
+  // ─── Remote options ───────────────────────────────────────────────────────
+
+  _queueLoad(query) {
+    if (query === this._remoteQuery) return;
+
+    this._remoteQuery = query;
+    clearTimeout(this._loadTimer);
+
+    const delay = parseInt(this.getAttribute('debounce'), 10);
+    this._loadState = 'loading';
+    this._loadTimer = setTimeout(() => this._fetchOptions(query, 0), isNaN(delay) ? 300 : delay);
+  }
+
+  async _fetchOptions(query, offset) {
+    const token = ++this._loadToken;
+
+    if (this._loadController) this._loadController.abort();
+    const controller = new AbortController();
+    this._loadController = controller;
+    this._loadState = 'loading';
+    this._updateStatus();
+
+    let result;
+    try {
+      result = await this._loadOptions(query, { signal: controller.signal, offset });
+    } catch (err) {
+      if (token !== this._loadToken) return;
+
+      this._loadController = null;
+      this._loadState = 'error';
+      this._updateStatus();
+
+      this.dispatchEvent(new CustomEvent('luna-error', {
+        bubbles: true,
+        composed: true,
+        detail: { error: err, query }
+      }));
+      return;
+    }
+
+    if (token !== this._loadToken) return;
+
+    const list = Array.isArray(result) ? result : (result && Array.isArray(result.options) ? result.options : []);
+    // Only { options, hasMore } pages; a plain array is the complete result.
+    this._hasMore = this.hasAttribute('infinite-scroll') && !Array.isArray(result) && !!(result && result.hasMore);
+    this._loadController = null;
+    this._loadState = 'idle';
+
+    this._applyRemoteOptions(list, offset > 0);
+    this._remoteOffset = offset + list.length;
+    this._applyRemoteVisibility();
+  }
+
+  // Aborts pending work. Results of an interrupted query are incomplete, so
+  // the next open loads it again.
+  _cancelLoad() {
+    clearTimeout(this._loadTimer);
+    if (this._loadState === 'loading') {
+      this._loadToken++;
+      this._remoteQuery = null;
+    }
+    if (this._loadController) {
+      this._loadController.abort();
+      this._loadController = null;
+    }
+    this._loadState = 'idle';
+  }
+
+  // Turns results into luna-option children, reusing any option that already
+  // has the value. Stale remote options are dropped unless selected.
+  _applyRemoteOptions(list, append) {
+    const existing = new Map(Array.from(this.querySelectorAll('luna-option')).map(opt => [opt.value, opt]));
+    const values = append && this._remoteValues ? this._remoteValues : new Set();
+
+    list.forEach(item => {
+      const data = item !== null && typeof item === 'object' ? item : { value: item };
+      const value = String(data.value ?? data.label);
+      let opt = existing.get(value);
+
+      if (!opt) {
+        opt = document.createElement('luna-option');
+        opt.setAttribute('value', value);
+        opt.dataset.remote = '';
+      }
+      if (opt.dataset.remote !== undefined) {
+        opt.textContent = String(data.label ?? value);
+        opt.toggleAttribute('disabled', !!data.disabled);
+      }
+      if (!opt.parentElement || opt.parentElement === this) {
+        this.appendChild(opt);
+      }
+      values.add(value);
+    });
+
+    if (!append) {
+      this.querySelectorAll('luna-option[data-remote]').forEach(opt => {
+        if (!values.has(opt.value) && !this._selectedOptions.includes(opt)) opt.remove();
+      });
+    }
+
+    this._remoteValues = values;
+    this._syncSelectedOptions();
+  }
+
+  _applyRemoteVisibility() {
+    const values = this._remoteValues;
+    let visibleCount = 0;
+
+    this.querySelectorAll('luna-option').forEach(opt => {
+      const isVisible = !!values && values.has(opt.value);
+      opt.style.display = isVisible ? '' : 'none';
+      if (isVisible) visibleCount++;
+    });
+
+    this._syncGroupVisibility();
+    this._updateStatus();
+
+    if (values) {
+      this.dispatchEvent(new CustomEvent('luna-filter', {
+        bubbles: true,
+        composed: true,
+        detail: { query: this._remoteQuery, visibleCount }
+      }));
+    }
+  }
+
+  _onDropdownScroll() {
+    if (this._options && !this._vFrame) {
+      this._vFrame = requestAnimationFrame(() => {
+        this._vFrame = null;
+        this._updateVirtualWindow();
+      });
+    }
+
+    if (!this._hasMore || this._loadState === 'loading' || !this._loadOptions) return;
+
+    const dropdown = this.shadowRoot.getElementById('dropdown');
+    if (dropdown.scrollTop + dropdown.clientHeight >= dropdown.scrollHeight - 40) {
+      this._fetchOptions(this._remoteQuery, this._remoteOffset);
+    }
+  }
+
+  _updateStatus() {
+    const status = this.shadowRoot.getElementById('status');
+    const dropdown = this.shadowRoot.getElementById('dropdown');
+    if (!status) return;
+
+    const hasVisible = this._options
+      ? this._rows.length > 0
+      : Array.from(this.querySelectorAll('luna-option')).some(opt => opt.style.display !== 'none');
+    let html = '';
+
+    if (this._loadState === 'loading') {
+      html = `<span class="status-spinner"></span>${this.getAttribute('loading-text') || 'Loading...'}`;
+    } else if (this._loadState === 'error') {
+      html = 'Could not load results';
+    } else if (!hasVisible) {
+      html = this.getAttribute('no-results-text') || 'No results';
+    }
+
+    status.innerHTML = html;
+    status.classList.toggle('visible', !!html);
+    dropdown.setAttribute('aria-busy', String(this._loadState === 'loading'));
   }
 
   _handleOutsideClick(e) {
@@ -313,27 +873,37 @@ class LunaCombobox extends HTMLElement {
   }
 
   _handleOptionClick(e) {
-    const opt = e.target.closest('luna-option');
-    if (!opt || opt.hasAttribute('disabled')) {
+    const row = e.target.closest('.v-option');
+    const opt = row ? this._rows[row.dataset.row] : e.target.closest('luna-option');
+    if (opt) this._selectOption(opt);
+  }
+
+  _selectOption(opt) {
+    if (opt.nodeType ? opt.hasAttribute('disabled') : opt.disabled) {
       return;
     }
 
-    opt.classList.remove('keyboard-focus');
+    if (opt.nodeType) {
+      opt.classList.remove('keyboard-focus');
+    } else {
+      this._activeOption = null;
+    }
 
     if (this.hasAttribute('multiple')) {
-      const index = this._selectedOptions.findIndex(o => o.value === opt.value);
+      const values = this._values();
+      const index = values.indexOf(opt.value);
       if (index > -1) {
-        this._selectedOptions.splice(index, 1);
+        values.splice(index, 1);
       } else {
-        this._selectedOptions.push(opt);
+        values.push(opt.value);
       }
-      this.value = this._selectedOptions.map(o => o.value).join(',');
+      this.value = values.join(',');
       this._inputValue = '';
       if (this._input) this._input.value = '';
     } else {
       this._selectedOptions = [opt];
       this.value = opt.value;
-      this._inputValue = opt.textContent.trim();
+      this._inputValue = this._labelOf(opt);
       if (this._input) this._input.value = this._inputValue;
       this._isOpen = false;
     }
@@ -378,20 +948,29 @@ class LunaCombobox extends HTMLElement {
     const dropdown = this.shadowRoot.querySelector('.dropdown');
     
     if (this._isOpen) {
+      this._floating.show();
       control.classList.add('open');
       dropdown.classList.add('visible');
       this._filterOptions(this._inputValue);
     } else {
       control.classList.remove('open');
       dropdown.classList.remove('visible');
+      if (this._floating.open) {
+        this._floating.hide();
+      }
+      this._cancelLoad();
       this._resetOptions();
     }
 
     const appearance = this.getAttribute('appearance') || 'outline';
     const size = this.getAttribute('size') || 'md';
-    const disabled = this.hasAttribute('disabled');
+    const disabled = this._isDisabled();
     const pill = this.hasAttribute('pill');
 
+    if (this._input) {
+      this._input.disabled = disabled;
+    }
+
     control.className = `control ${size} ${appearance} ${this._isOpen ? 'open' : ''} ${disabled ? 'disabled' : ''} ${pill ? 'pill' : ''}`;
     
     this._updateInputDisplay();
@@ -399,6 +978,11 @@ class LunaCombobox extends HTMLElement {
   }
 
   _resetOptions() {
+    this._activeOption = null;
+    this._dataQuery = null;
+    if (this._input) this._input.removeAttribute('aria-activedescendant');
+    this._updateVirtualWindow(true);
+
     const options = Array.from(this.querySelectorAll('luna-option'));
     options.forEach(opt => {
       opt.style.display = '';
@@ -430,17 +1014,22 @@ class LunaCombobox extends HTMLElement {
     if (!tagsContainer) return;
 
     const maxVisible = parseInt(this.getAttribute('max-options-visible')) || Infinity;
-    const visibleOptions = this._selectedOptions.slice(0, maxVisible);
-    const hiddenCount = this._selectedOptions.length - maxVisible;
-
-    let html = visibleOptions.map(opt => `
-      <span class="tag">
-        <span class="tag-label">${opt.textContent.trim()}</span>
-        <span class="tag-remove" data-value="${opt.value}">
+    const values = this._values();
+    const visibleValues = values.slice(0, maxVisible);
+    const hiddenCount = values.length - maxVisible;
+    const draggable = values.length > 1 && !this._isDisabled();
+
+    let html = visibleValues.map((val, i) => {
+      const opt = this._optionFor(val);
+      return `
+      <span class="tag" data-index="${i}" draggable="${draggable}">
+        <span class="tag-label">${escapeHTML(opt ? this._labelOf(opt) : val)}</span>
+        <span class="tag-remove" data-value="${escapeHTML(val)}">
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
         </span>
       </span>
-    `).join('');
+    `;
+    }).join('');
 
     if (hiddenCount > 0) {
       html += `<span class="tag-more">+${hiddenCount} more</span>`;
@@ -451,11 +1040,45 @@ class LunaCombobox extends HTMLElement {
     tagsContainer.querySelectorAll('.tag-remove').forEach(btn => {
       btn.onclick = (e) => {
         e.stopPropagation();
-        const val = btn.dataset.value;
-        const opt = Array.from(this.querySelectorAll('luna-option')).find(o => o.value === val);
-        if (opt) {
-          this._handleOptionClick({ target: opt });
-        }
+        this._removeValue(btn.dataset.value);
+      };
+    });
+
+    tagsContainer.querySelectorAll('.tag[draggable="true"]').forEach(tag => {
+      const index = Number(tag.dataset.index);
+      const clearMarks = () => tag.classList.remove('drop-before', 'drop-after');
+      const dropsAfter = (e) => {
+        const rect = tag.getBoundingClientRect();
+        return e.clientX > rect.left + rect.width / 2;
+      };
+
+      tag.ondragstart = (e) => {
+        this._dragIndex = index;
+        tag.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', values[index]);
+      };
+      tag.ondragend = () => {
+        this._dragIndex = null;
+        tag.classList.remove('dragging');
+      };
+      tag.ondragover = (e) => {
+        if (this._dragIndex === null) return;
+        e.preventDefault();
+        const after = dropsAfter(e);
+        tag.classList.toggle('drop-before', !after);
+        tag.classList.toggle('drop-after', after);
+      };
+      tag.ondragleave = clearMarks;
+      tag.ondrop = (e) => {
+        if (this._dragIndex === null) return;
+        e.preventDefault();
+        clearMarks();
+        const from = this._dragIndex;
+        let to = index + (dropsAfter(e) ? 1 : 0);
+        if (from < to) to--;
+        this._dragIndex = null;
+        this._moveValue(from, to);
       };
     });
   }
@@ -464,7 +1087,7 @@ class LunaCombobox extends HTMLElement {
     const clearBtn = this.shadowRoot.querySelector('.clear');
     if (clearBtn) {
       const hasValue = this.hasAttribute('multiple') 
-        ? this._selectedOptions.length > 0 
+        ? this._values().length > 0 
         : this._inputValue || this._selectedOptions.length > 0;
       clearBtn.style.display = (this.hasAttribute('clearable') && hasValue) ? 'flex' : 'none';
     }
@@ -622,6 +1245,10 @@ class LunaCombobox extends HTMLElement {
         }
 
         .tag:hover { background: rgba(255, 255, 255, 0.1); border-color: rgba(255, 255, 255, 0.2); }
+        .tag[draggable="true"] { cursor: grab; }
+        .tag.dragging { opacity: 0.4; }
+        .tag.drop-before { box-shadow: -2px 0 0 var(--luna-combobox-accent); }
+        .tag.drop-after { box-shadow: 2px 0 0 var(--luna-combobox-accent); }
 
         .tag-remove { 
           display: flex;
@@ -644,8 +1271,10 @@ class LunaCombobox extends HTMLElement {
         }
 
         .dropdown {
-          position: absolute;
+          position: fixed;
           z-index: 1000;
+          padding: 0;
+          color: inherit;
           background: rgba(26, 26, 26, 0.95);
           backdrop-filter: blur(16px);
           -webkit-backdrop-filter: blur(16px);
@@ -658,10 +1287,10 @@ class LunaCombobox extends HTMLElement {
           opacity: 0;
           visibility: hidden;
           transform: translateY(10px) scale(0.95);
-          transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
-          top: 100%;
-          left: 0;
-          margin-top: 0.5rem;
+          transform-origin: top;
+          transition: opacity 0.2s cubic-bezier(0.4, 0, 0.2, 1),
+                      transform 0.2s cubic-bezier(0.4, 0, 0.2, 1),
+                      visibility 0.2s;
         }
 
         .dropdown.visible {
@@ -670,15 +1299,12 @@ class LunaCombobox extends HTMLElement {
           transform: translateY(0) scale(1);
         }
 
-        :host([placement="top"]) .dropdown {
-          top: auto;
-          bottom: 100%;
-          margin-top: 0;
-          margin-bottom: 0.5rem;
+        .dropdown[data-placement^="top"] {
           transform: translateY(-10px) scale(0.95);
+          transform-origin: bottom;
         }
 
-        :host([placement="top"]) .dropdown.visible {
+        .dropdown[data-placement^="top"].visible {
           transform: translateY(0) scale(1);
         }
 
@@ -691,10 +1317,39 @@ class LunaCombobox extends HTMLElement {
           cursor: pointer;
         }
 
+        .status {
+          display: none;
+          align-items: center;
+          gap: 0.5rem;
+          padding: 0.625rem 1rem;
+          font-size: 0.8125rem;
+          color: #888;
+        }
+
+        .status.visible { display: flex; }
+
+        .status-spinner {
+          width: 12px;
+          height: 12px;
+          border: 2px solid rgba(255, 255, 255, 0.15);
+          border-top-color: var(--luna-combobox-accent);
+          border-radius: 50%;
+          animation: luna-combobox-spin 0.7s linear infinite;
+          flex-shrink: 0;
+        }
+
+        @keyframes luna-combobox-spin {
+          to { transform: rotate(360deg); }
+        }
+
         ::slotted(luna-option.keyboard-focus) {
           background: rgba(255, 255, 255, 0.08);
         }
 
+        .dropdown.data > slot { display: none; }
+
+        ${virtualListStyles('var(--luna-combobox-accent)')}
+
         ::slotted([slot="prefix"]), ::slotted([slot="suffix"]) {
           display: flex;
           align-items: center;
@@ -726,8 +1381,10 @@ class LunaCombobox extends HTMLElement {
           </span>
         </div>
 
-        <div class="dropdown" id="dropdown" role="listbox">
+        <div class="dropdown${this._options ? ' data' : ''}" id="dropdown" role="listbox">
           <slot></slot>
+          <div id="virtual"></div>
+          <div class="status" id="status" role="status" aria-live="polite"></div>
         </div>
       </div>
 
@@ -742,15 +1399,22 @@ class LunaCombobox extends HTMLElement {
     const clearBtn = this.shadowRoot.getElementById('clear');
     const dropdown = this.shadowRoot.getElementById('dropdown');
 
+    this._floating = createFloating(trigger, dropdown, () => ({
+      placement: `${this.getAttribute('placement') === 'top' ? 'top' : 'bottom'}-start`,
+      offset: 8,
+      matchWidth: true
+    }));
+
     if (this._input) {
       this._input.addEventListener('input', this._onInput);
       this._input.addEventListener('focus', this._onFocus);
       this._input.addEventListener('keydown', this._onKeyDown);
+      this._input.addEventListener('paste', this._onPaste);
       
       const placeholder = this.getAttribute('placeholder') || 'Type to search...';
       this._input.placeholder = placeholder;
 
-      if (this.hasAttribute('disabled')) {
+      if (this._isDisabled()) {
         this._input.disabled = true;
       }
     }
@@ -761,6 +1425,7 @@ class LunaCombobox extends HTMLElement {
 
     if (dropdown) {
       dropdown.addEventListener('click', this._handleOptionClick);
+      dropdown.addEventListener('scroll', this._onDropdownScroll);
     }
 
     this.shadowRoot.addEventListener('slotchange', this._handleSlotChange);
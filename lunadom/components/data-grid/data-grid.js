@@ -11,6 +11,16 @@
  * @attr {boolean} no-border    - Remove outer card border and radius.
  * @attr {boolean} loading      - Shows a skeleton loading state over the grid.
  * @attr {string}  empty-label  - Text shown when no rows match. Default: "No results".
+ * @attr {boolean} virtual      - With page-size="0", render only the rows in view plus an
+ *                                overscan buffer inside a fixed-height scroll area.
+ * @attr {string}  row-height   - Virtual mode row height in px. Measured from the first row if omitted.
+ * @attr {string}  overscan     - Virtual mode rows rendered above/below the viewport. Default 6.
+ * @attr {boolean} resizable    - Drag header edges to resize columns.
+ * @attr {boolean} reorderable  - Drag headers to reorder columns.
+ * @attr {boolean} column-menu  - Show a header menu for toggling column visibility.
+ * @attr {boolean} filter-row   - Show a row of per-column filter inputs under the header
+ *                                for columns that declare a `filter` type.
+ * @attr {string}  group-by     - Comma-separated column keys to group rows by, outermost first.
  *
  * CSS Custom Properties:
  * @cssprop --luna-grid-bg              - Card background (default: #1a1a1a)
@@ -30,39 +40,111 @@
  * @cssprop --luna-grid-divider         - Divider between header and body (default: #222)
  * @cssprop --luna-grid-pagination-color - Pagination text colour (default: #555)
  * @cssprop --luna-grid-scrollbar-color  - Scrollbar thumb colour (default: #2a2a2a)
+ * @cssprop --luna-grid-height          - Virtual mode scroll area height (default: 400px)
  *
  * Properties (JS only):
- * @prop {Array}  columns   - Array of column definition objects (see above).
- * @prop {Array}  rows      - Array of plain data objects.
- * @prop {Set}    selected  - Read-only. Set of selected row indices (original data order).
+ * @prop {Array}    columns      - Array of column definition objects (see above).
+ * @prop {Array}    rows         - Array of plain data objects.
+ * @prop {Set}      selected     - Read-only. Set of selected row indices (original data order).
+ * @prop {Object}   columnFilters - Per-column filter values keyed by column key:
+ *   text/select: string, number: { min, max }, date: { from, to } (YYYY-MM-DD).
+ * @prop {Array}    sorts        - Active sorts in priority order: [{ key, direction }].
+ * @prop {Array}    groupBy      - Column keys to group by (mirrors the group-by attribute).
+ * @prop {Function} detailRenderer - (row, index) => string. Adds an expander to each row that
+ *   opens a full-width HTML panel underneath it. Not available in virtual mode.
+ * @prop {Array}    columnState  - Serializable column layout: [{ key, width, hidden }] in display
+ *   order, width in px or null. Assign a saved state back to restore it.
+ * @prop {Function} dataProvider - Async function enabling remote mode. Called with
+ *   { page, pageSize, sortKey, sortDir, sorts, filter, filters } and must resolve to
+ *   { rows, total }. sortKey/sortDir describe the primary sort.
+ *   Sorting, filtering and pagination are then left to the provider; `rows` is ignored.
+ *   In remote mode row indices are absolute ((page - 1) * pageSize + position) and the
+ *   selection is cleared whenever the sort or filter changes.
  *
  * Events:
- * @event luna-sort     - Fired when the sort column or direction changes.
- *   detail: { key: string, direction: 'asc'|'desc' }
- * @event luna-filter   - Fired when the filter query changes.
- *   detail: { query: string, count: number }
+ * @event luna-sort     - Fired when the sort column or direction changes. Shift-click a
+ *   header to add it as a secondary sort (asc → desc → removed).
+ *   detail: { key: string, direction: 'asc'|'desc', sorts: { key, direction }[] }
+ * @event luna-filter   - Fired when the filter query or a column filter changes.
+ *   detail: { query: string, count: number, filters: object }
  * @event luna-select   - Fired when row selection changes.
  *   detail: { selected: number[], rows: object[] }
  * @event luna-page     - Fired when the active page changes.
  *   detail: { page: number, pageSize: number, total: number }
  * @event luna-row-click - Fired when a row is clicked (not on an interactive child).
  *   detail: { index: number, row: object }
+ * @event luna-error    - Fired when the data provider rejects (remote mode only).
+ *   detail: { error: Error }
+ * @event luna-columns-change - Fired when the user resizes, reorders, hides or shows a column.
+ *   detail: { reason: 'resize'|'reorder'|'visibility'|'reset', columns: object[] }
+ * @event luna-group-toggle - Fired when a group is expanded or collapsed.
+ *   detail: { key: string, value: any, path: any[], expanded: boolean }
+ * @event luna-row-expand - Fired when a row's detail panel is opened or closed.
+ *   detail: { index: number, row: object, expanded: boolean }
+ * @event luna-cell-edit - Fired before an edited value is written to the row. Cancelable;
+ *   call preventDefault() to reject the edit and keep the old value.
+ *   detail: { index: number, key: string, row: object, oldValue: any, newValue: any }
+ *
+ * Methods:
+ * @method export({ format, scope }) - Serialize rows using the visible columns in display order.
+ *   format: 'csv'|'tsv'|'json' (default 'csv'); scope: 'all'|'filtered'|'selected'|'page'
+ *   (default 'filtered'). Rows follow the current sort. Returns a string. In remote mode
+ *   'all' and 'filtered' cover the rows loaded so far.
+ * @method refresh() - Re-request the current page from the data provider.
+ * @method expandAllGroups()   - Expand every group.
+ * @method collapseAllGroups() - Collapse every group.
+ * @method connectFilter(inputEl) - Drive the filter from an input's `input` events.
+ *
+ * When grouped, pagination counts group header rows, and group counts and aggregates
+ * cover every filtered row in the group (only the loaded page in remote mode).
+ *
+ * Keyboard: the grid follows the WAI-ARIA grid pattern with a single tab stop. Arrow keys,
+ * Home/End and Ctrl+Home/End move the focused cell; PageUp/PageDown change page (or
+ * scroll by a viewport when unpaginated). Space toggles row selection, Enter fires
+ * luna-row-click (or sorts a focused header, toggles a group or detail panel) and F2
+ * edits an editable cell.
+ *
+ * Copying (Ctrl/Cmd+C) while focus is inside the grid puts the selected rows on the
+ * clipboard as TSV with a header row.
  * 
  *   {
  *     key:       string,           — row property key (required)
  *     label:     string,           — header text
  *     sortable:  boolean,          — enable click-to-sort on this column
+ *     compare:   (a, b, rowA, rowB) => number — custom ascending comparator
  *     filterable: boolean,         — include this column in text filter matching
- *     width:     string,           — CSS width / flex-basis (e.g. "120px", "1fr")
+ *     filter:    'text'|'number'|'select'|'date' — typed filter shown in the filter row
+ *     filterOptions: Array<string|{ value, label }> — select filter choices
+ *                                    (defaults to `options`, then the column's distinct values; with a
+ *                                    dataProvider only the current page's values are known, so set it)
+ *     width:     string,           — CSS width (e.g. "120px"); "1fr" or omitted shares the remaining space
+ *     minWidth:  number,           — minimum px width when resizing (default 48)
+ *     resizable: boolean,          — set false to lock this column's width
+ *     hidden:    boolean,          — start hidden (can be shown from the column menu)
+ *     exportValue: (value, row, index) => any — value used by export() and copy
+ *     aggregate: 'sum'|'avg'|'min'|'max'|'count'|(values, rows) => any — group header summary (after the
+ *                group count when the column is displayed first)
+ *     aggregateFormat: (value, aggregate) => string — format the summary (default: locale number)
  *     align:     'left'|'center'|'right',
  *     render:    (value, row, index) => string   — return an HTML string
+ *     editable:  boolean,          — double-click (or F2) a cell to edit it
+ *     editor:    'text'|'number'|'select'|'checkbox'|'date',   — default 'text'
+ *     options:   Array<string|{ value, label }>,  — choices for the select editor
+ *     validate:  (value, row, index) => true|string — return a message to reject
  *   }
+ *
+ *   The date editor uses <luna-date-picker> when it is registered, otherwise a
+ *   native date input. Enter commits, Escape cancels, and leaving the cell commits.
  * 
  */
 class LunaDataGrid extends HTMLElement {
 
   static get observedAttributes() {
-    return ['page-size', 'filter', 'selectable', 'striped', 'no-border', 'loading', 'empty-label'];
+    return [
+      'page-size', 'filter', 'selectable', 'striped', 'no-border', 'loading', 'empty-label',
+      'virtual', 'row-height', 'overscan', 'resizable', 'reorderable', 'column-menu', 'filter-row',
+      'group-by',
+    ];
   }
 
   constructor() {
@@ -72,19 +154,84 @@ class LunaDataGrid extends HTMLElement {
     this._columns     = [];
     this._rows        = [];
     this._filter      = '';
-    this._sortKey     = null;
-    this._sortDir     = 'asc';
+    this._sorts       = [];
+    this._colFilters  = {};
+    this._filterTimer = null;
     this._page        = 1;
     this._selected    = new Set();
+    this._total       = 0;
     this._initialized = false;
 
-    this._onFilterInput = this._onFilterInput.bind(this);
+    this._dataProvider = null;
+    this._remoteRows   = [];
+    this._remoteTotal  = 0;
+    this._remoteCache  = new Map();
+    this._fetching     = false;
+    this._fetchToken   = 0;
+
+    this._viewItems    = [];
+    this._visibleIdxs  = [];
+    this._vStart       = 0;
+    this._vEnd         = 0;
+    this._vRowHeight   = 0;
+    this._vScrollTop   = 0;
+    this._vFrame       = null;
+    this._ro           = null;
+
+    this._editing      = null;
+
+    this._colOrder     = [];
+    this._colWidths    = {};
+    this._colHidden    = new Set();
+    this._dragKey      = null;
+    this._resizing     = false;
+    this._menuOpen     = false;
+
+    this._collapsed      = new Set();
+    this._groupIndex     = new Map();
+    this._expanded       = new Set();
+    this._detailRenderer = null;
+
+    this._focus          = { pos: -1, col: 0 };
+    this._keepFocus      = false;
+    this._ariaBase       = 1;
+
+    this._onFilterInput  = this._onFilterInput.bind(this);
+    this._onOutsideClick = this._onOutsideClick.bind(this);
+    this._onCopy         = this._onCopy.bind(this);
+    this._onScroll       = this._onScroll.bind(this);
   }
 
   connectedCallback() {
     this._initialized = true;
     this._filter = this.getAttribute('filter') || '';
-    this._render();
+
+    if (this._dataProvider) {
+      this._fetch();
+    } else {
+      this._render();
+    }
+
+    this._ro = new ResizeObserver(() => this._updateVirtualWindow());
+    this._ro.observe(this);
+
+    document.addEventListener('click', this._onOutsideClick);
+    this.addEventListener('copy', this._onCopy);
+  }
+
+  disconnectedCallback() {
+    document.removeEventListener('click', this._onOutsideClick);
+    this.removeEventListener('copy', this._onCopy);
+
+    if (this._ro) {
+      this._ro.disconnect();
+      this._ro = null;
+    }
+
+    if (this._vFrame) {
+      cancelAnimationFrame(this._vFrame);
+      this._vFrame = null;
+    }
   }
 
   attributeChangedCallback(name, oldVal, newVal) {
@@ -101,6 +248,23 @@ class LunaDataGrid extends HTMLElement {
       this._page = 1;
     }
 
+    if (name === 'row-height') {
+      this._vRowHeight = 0;
+    }
+
+    if (name === 'group-by') {
+      this._page      = 1;
+      this._collapsed = new Set();
+    }
+
+    if (this._dataProvider && (name === 'filter' || name === 'page-size')) {
+      if (name === 'filter') {
+        this._resetRemoteSelection();
+      }
+      this._fetch();
+      return;
+    }
+
     this._render();
   }
 
@@ -110,11 +274,21 @@ class LunaDataGrid extends HTMLElement {
 
   set columns(v) {
     this._columns  = Array.isArray(v) ? v : [];
-    this._sortKey  = null;
+    this._resetColumnState();
+    this._sorts      = [];
+    this._colFilters = {};
     this._page     = 1;
     this._selected = new Set();
+    this._expanded = new Set();
 
-    if (this._initialized) {
+    if (!this._initialized) {
+      return;
+    }
+
+    if (this._dataProvider) {
+      this._remoteCache = new Map();
+      this._fetch();
+    } else {
       this._render();
     }
   }
@@ -124,9 +298,11 @@ class LunaDataGrid extends HTMLElement {
   }
 
   set rows(v) {
-    this._rows     = Array.isArray(v) ? v : [];
-    this._page     = 1;
-    this._selected = new Set();
+    this._rows      = Array.isArray(v) ? v : [];
+    this._page      = 1;
+    this._selected  = new Set();
+    this._expanded  = new Set();
+    this._collapsed = new Set();
 
     if (this._initialized) {
       this._render();
@@ -137,54 +313,236 @@ class LunaDataGrid extends HTMLElement {
     return new Set(this._selected);
   }
 
+  get groupBy() {
+    return (this.getAttribute('group-by') || '').split(',').map(k => k.trim()).filter(Boolean);
+  }
+
+  set groupBy(keys) {
+    const list = Array.isArray(keys) ? keys : (keys ? [keys] : []);
+
+    if (list.length) {
+      this.setAttribute('group-by', list.join(','));
+    } else {
+      this.removeAttribute('group-by');
+    }
+  }
+
+  get detailRenderer() {
+    return this._detailRenderer;
+  }
+
+  set detailRenderer(fn) {
+    this._detailRenderer = typeof fn === 'function' ? fn : null;
+    this._expanded       = new Set();
+
+    if (this._initialized) {
+      this._render();
+    }
+  }
+
+  get sorts() {
+    return this._sorts.map(s => ({ key: s.key, direction: s.dir }));
+  }
+
+  set sorts(v) {
+    this._sorts = (Array.isArray(v) ? v : [])
+      .filter(s => s && s.key)
+      .map(s => ({ key: s.key, dir: s.direction === 'desc' ? 'desc' : 'asc' }));
+    this._page = 1;
+    this._reload();
+  }
+
+  get columnFilters() {
+    return JSON.parse(JSON.stringify(this._colFilters));
+  }
+
+  set columnFilters(v) {
+    this._colFilters = {};
+
+    Object.entries(v && typeof v === 'object' ? v : {}).forEach(([key, val]) => {
+      if (this._isFilterActive(val)) {
+        this._colFilters[key] = val;
+      }
+    });
+
+    this._page = 1;
+    this._reload();
+  }
+
+  get columnState() {
+    return this._colOrder.map(key => ({
+      key,
+      width:  this._colWidths[key] ?? null,
+      hidden: this._colHidden.has(key),
+    }));
+  }
+
+  set columnState(state) {
+    if (!Array.isArray(state)) {
+      return;
+    }
+
+    const known = new Set(this._columns.map(c => c.key));
+    const order = [];
+
+    this._colWidths = {};
+    this._colHidden = new Set();
+
+    state.forEach(entry => {
+      if (!entry || !known.has(entry.key) || order.includes(entry.key)) {
+        return;
+      }
+
+      order.push(entry.key);
+
+      if (entry.width > 0) {
+        this._colWidths[entry.key] = entry.width;
+      }
+
+      if (entry.hidden) {
+        this._colHidden.add(entry.key);
+      }
+    });
+
+    this._columns.forEach(c => {
+      if (!order.includes(c.key)) {
+        order.push(c.key);
+        if (c.hidden) {
+          this._colHidden.add(c.key);
+        }
+      }
+    });
+
+    this._colOrder = order;
+
+    if (this._initialized) {
+      this._render();
+    }
+  }
+
+  get dataProvider() {
+    return this._dataProvider;
+  }
+
+  set dataProvider(fn) {
+    this._dataProvider = typeof fn === 'function' ? fn : null;
+    this._page         = 1;
+    this._remoteRows   = [];
+    this._remoteTotal  = 0;
+    this._remoteCache  = new Map();
+    this._selected     = new Set();
+
+    if (!this._initialized) {
+      return;
+    }
+
+    if (this._dataProvider) {
+      this._fetch();
+    } else {
+      this._fetchToken++;
+      this._fetching = false;
+      this._render();
+    }
+  }
+
+  /**
+   * Re-request the current page from the data provider. No-op in local mode.
+   *
+   * @returns {Promise<boolean>} Resolves false if the response was superseded.
+   */
+  refresh() {
+    if (!this._dataProvider) {
+      return Promise.resolve(false);
+    }
+    return this._fetch();
+  }
+
   _pageSize() {
     const v = parseInt(this.getAttribute('page-size'), 10);
     return isNaN(v) ? 10 : v;
   }
 
   _filtered() {
-    const q = this._filter.trim().toLowerCase();
+    const q       = this._filter.trim().toLowerCase();
+    const filters = Object.entries(this._colFilters)
+      .map(([key, val]) => ({ col: this._column(key), val }))
+      .filter(f => f.col && f.col.filter);
 
-    if (!q) {
-      return this._rows.map((r, i) => ({ row: r, origIdx: i }));
+    const items = this._rows.map((r, i) => ({ row: r, origIdx: i }));
+
+    if (!q && !filters.length) {
+      return items;
     }
 
-    return this._rows
-      .map((r, i) => ({ row: r, origIdx: i }))
-      .filter(({ row }) => {
-        return this._columns.some(col => {
-          if (col.filterable === false) {
-            return false;
-          }
-          const val = row[col.key];
-          return val !== null && val !== undefined && String(val).toLowerCase().includes(q);
-        });
+    return items.filter(({ row }) => {
+      if (!filters.every(({ col, val }) => this._matchesFilter(col, row[col.key], val))) {
+        return false;
+      }
+
+      return !q || this._columns.some(col => {
+        if (col.filterable === false) {
+          return false;
+        }
+        const val = row[col.key];
+        return val !== null && val !== undefined && String(val).toLowerCase().includes(q);
       });
+    });
   }
 
   _sorted(items) {
-    if (!this._sortKey) {
+    const sorts = this._sorts
+      .map(s => ({ col: this._column(s.key), key: s.key, dir: s.dir === 'asc' ? 1 : -1 }));
+
+    if (!sorts.length) {
       return items;
     }
 
-    const key = this._sortKey;
-    const dir = this._sortDir === 'asc' ? 1 : -1;
-
     return [...items].sort((a, b) => {
-      const av = a.row[key];
-      const bv = b.row[key];
-
-      if (av === null || av === undefined) { return 1; }
-      if (bv === null || bv === undefined) { return -1; }
+      for (const { col, key, dir } of sorts) {
+        const av = a.row[key];
+        const bv = b.row[key];
+        let cmp;
+
+        if (col && typeof col.compare === 'function') {
+          cmp = col.compare(av, bv, a.row, b.row) * dir;
+        } else {
+          const aNil = av === null || av === undefined;
+          const bNil = bv === null || bv === undefined;
+
+          // Empty values always sink to the bottom, whatever the direction.
+          if (aNil || bNil) {
+            cmp = aNil && bNil ? 0 : (aNil ? 1 : -1);
+          } else {
+            cmp = this._compareValues(av, bv) * dir;
+          }
+        }
 
-      if (typeof av === 'number' && typeof bv === 'number') {
-        return (av - bv) * dir;
+        if (cmp) {
+          return cmp;
+        }
       }
 
-      return String(av).localeCompare(String(bv)) * dir;
+      return a.origIdx - b.origIdx;
     });
   }
 
+  _compareValues(av, bv) {
+    if (typeof av === 'number' && typeof bv === 'number') {
+      return av - bv;
+    }
+    return String(av).localeCompare(String(bv));
+  }
+
+  _rowAt(idx) {
+    return this._dataProvider ? this._remoteCache.get(idx) : this._rows[idx];
+  }
+
+  _remoteItems() {
+    const pageSize = this._pageSize();
+    const offset   = pageSize > 0 ? (this._page - 1) * pageSize : 0;
+    return this._remoteRows.map((row, i) => ({ row, origIdx: offset + i }));
+  }
+
   _paginated(items) {
     const ps = this._pageSize();
 
@@ -196,6 +554,66 @@ class LunaDataGrid extends HTMLElement {
     return items.slice(start, start + ps);
   }
 
+  // ─── remote ──────────────────────────────────────────────────────────────────
+
+  async _fetch() {
+    const token    = ++this._fetchToken;
+    const pageSize = this._pageSize();
+
+    this._fetching = true;
+    this._render();
+
+    try {
+      const res = await this._dataProvider({
+        page:     this._page,
+        pageSize,
+        sortKey:  this._sorts.length ? this._sorts[0].key : null,
+        sortDir:  this._sorts.length ? this._sorts[0].dir : 'asc',
+        sorts:    this.sorts,
+        filter:   this._filter,
+        filters:  this.columnFilters,
+      });
+
+      if (token !== this._fetchToken) {
+        return false;
+      }
+
+      const rows   = res && Array.isArray(res.rows) ? res.rows : [];
+      const total  = res && !isNaN(parseInt(res.total, 10)) ? parseInt(res.total, 10) : rows.length;
+      const offset = pageSize > 0 ? (this._page - 1) * pageSize : 0;
+
+      this._remoteRows  = rows;
+      this._remoteTotal = total;
+      rows.forEach((row, i) => this._remoteCache.set(offset + i, row));
+    } catch (err) {
+      if (token !== this._fetchToken) {
+        return false;
+      }
+
+      this._remoteRows  = [];
+      this._remoteTotal = 0;
+
+      this.dispatchEvent(new CustomEvent('luna-error', {
+        bubbles: true, composed: true,
+        detail: { error: err },
+      }));
+    }
+
+    this._fetching = false;
+    this._render();
+    return true;
+  }
+
+  _resetRemoteSelection() {
+    this._remoteCache = new Map();
+    this._expanded    = new Set();
+
+    if (this._selected.size) {
+      this._selected = new Set();
+      this._emitSelect();
+    }
+  }
+
   /**
    * Wire a <luna-input> (or any element that emits input events) to this
    * grid's filter. Call once after both elements are connected.
@@ -214,31 +632,256 @@ class LunaDataGrid extends HTMLElement {
     const val      = e.target.value !== undefined ? e.target.value : '';
     this._filter   = val.trim().toLowerCase();
     this._page     = 1;
+
+    if (this._dataProvider) {
+      this._resetRemoteSelection();
+      this._fetch().then(current => {
+        if (current) {
+          this._emitFilter(this._remoteTotal);
+        }
+      });
+      return;
+    }
+
     this._render();
+    this._emitFilter(this._filtered().length);
+  }
 
-    const visible = this._filtered();
+  _emitFilter(count) {
     this.dispatchEvent(new CustomEvent('luna-filter', {
       bubbles: true, composed: true,
-      detail: { query: this._filter, count: visible.length },
+      detail: { query: this._filter, count, filters: this.columnFilters },
     }));
   }
 
+  /**
+   * Re-run the view after sort or filter state changed programmatically.
+   */
+  _reload() {
+    if (!this._initialized) {
+      return;
+    }
+
+    if (this._dataProvider) {
+      this._resetRemoteSelection();
+      this._fetch();
+    } else {
+      this._render();
+    }
+  }
+
+  // ─── column filters ──────────────────────────────────────────────────────────
+
+  _isFilterActive(val) {
+    if (val === null || val === undefined || val === '') {
+      return false;
+    }
+
+    if (typeof val === 'object') {
+      return Object.values(val).some(v => v !== null && v !== undefined && v !== '');
+    }
+
+    return true;
+  }
+
+  _matchesFilter(col, value, filter) {
+    const type = col.filter;
+
+    if (type === 'number') {
+      const n = typeof value === 'number' ? value : parseFloat(value);
+
+      if (isNaN(n)) {
+        return false;
+      }
+      if (filter.min !== null && filter.min !== undefined && filter.min !== '' && n < Number(filter.min)) {
+        return false;
+      }
+      if (filter.max !== null && filter.max !== undefined && filter.max !== '' && n > Number(filter.max)) {
+        return false;
+      }
+      return true;
+    }
+
+    if (type === 'date') {
+      const iso = this._isoDate(value);
+
+      if (!iso) {
+        return false;
+      }
+      if (filter.from && iso < filter.from) {
+        return false;
+      }
+      if (filter.to && iso > filter.to) {
+        return false;
+      }
+      return true;
+    }
+
+    if (type === 'select') {
+      return value !== null && value !== undefined && String(value) === String(filter);
+    }
+
+    return value !== null && value !== undefined
+      && String(value).toLowerCase().includes(String(filter).trim().toLowerCase());
+  }
+
+  _isoDate(value) {
+    if (value instanceof Date) {
+      if (isNaN(value.getTime())) {
+        return '';
+      }
+      const m = String(value.getMonth() + 1).padStart(2, '0');
+      const d = String(value.getDate()).padStart(2, '0');
+      return `${value.getFullYear()}-${m}-${d}`;
+    }
+
+    return value ? String(value).slice(0, 10) : '';
+  }
+
+  _filterOptions(col) {
+    const source = col.filterOptions || col.options;
+
+    if (Array.isArray(source)) {
+      return source.map(o =>
+        (o !== null && typeof o === 'object') ? { value: String(o.value), label: o.label ?? String(o.value) } : { value: String(o), label: String(o) }
+      );
+    }
+
+    // A data provider only hands over the current page, so remote select filters should
+    // list their choices in `filterOptions`; without them the page's values are offered.
+    const rows = this._dataProvider ? this._remoteRows : this._rows;
+    const seen = new Set();
+    rows.forEach(r => {
+      const v = r[col.key];
+      if (v !== null && v !== undefined && v !== '') {
+        seen.add(String(v));
+      }
+    });
+
+    return [...seen].sort((a, b) => a.localeCompare(b)).map(v => ({ value: v, label: v }));
+  }
+
+  _filterCellHTML(col) {
+    const val   = this._colFilters[col.key];
+    const label = col.label || col.key;
+    const esc   = v => v === null || v === undefined ? '' : String(v).replace(/"/g, '&quot;');
+
+    switch (col.filter) {
+      case 'number':
+        return `
+          <span class="filter-range">
+            <input class="filter-input" type="number" placeholder="Min" aria-label="${label} minimum"
+              data-filter-key="${col.key}" data-filter-part="min" value="${esc(val && val.min)}" />
+            <input class="filter-input" type="number" placeholder="Max" aria-label="${label} maximum"
+              data-filter-key="${col.key}" data-filter-part="max" value="${esc(val && val.max)}" />
+          </span>`;
+
+      case 'date':
+        return `
+          <span class="filter-range">
+            <input class="filter-input" type="date" aria-label="${label} from"
+              data-filter-key="${col.key}" data-filter-part="from" value="${esc(val && val.from)}" />
+            <input class="filter-input" type="date" aria-label="${label} to"
+              data-filter-key="${col.key}" data-filter-part="to" value="${esc(val && val.to)}" />
+          </span>`;
+
+      case 'select':
+        return `
+          <select class="filter-input" aria-label="${label} filter" data-filter-key="${col.key}" data-filter-part="value">
+            <option value="">All</option>
+            ${this._filterOptions(col).map(o =>
+              `<option value="${esc(o.value)}"${String(val) === o.value ? ' selected' : ''}>${o.label}</option>`
+            ).join('')}
+          </select>`;
+
+      case 'text':
+        return `
+          <input class="filter-input" type="text" placeholder="Filter…" aria-label="${label} filter"
+            data-filter-key="${col.key}" data-filter-part="value" value="${esc(val)}" />`;
+
+      default:
+        return '';
+    }
+  }
+
+  _onColumnFilterInput(input, immediate) {
+    const key  = input.dataset.filterKey;
+    const part = input.dataset.filterPart;
+    const raw  = input.value;
+
+    if (part === 'value') {
+      this._colFilters[key] = raw;
+    } else {
+      const prev = this._colFilters[key] && typeof this._colFilters[key] === 'object' ? this._colFilters[key] : {};
+      const next = { ...prev, [part]: raw === '' ? null : (part === 'min' || part === 'max' ? Number(raw) : raw) };
+      this._colFilters[key] = next;
+    }
+
+    if (!this._isFilterActive(this._colFilters[key])) {
+      delete this._colFilters[key];
+    }
+
+    clearTimeout(this._filterTimer);
+
+    const apply = () => {
+      this._page = 1;
+
+      if (this._dataProvider) {
+        this._resetRemoteSelection();
+        this._fetch().then(current => {
+          if (current) {
+            this._emitFilter(this._remoteTotal);
+          }
+        });
+        return;
+      }
+
+      this._render();
+      this._emitFilter(this._filtered().length);
+    };
+
+    if (immediate) {
+      apply();
+    } else {
+      this._filterTimer = setTimeout(apply, 200);
+    }
+  }
+
   // ─── sort ────────────────────────────────────────────────────────────────────
 
-  _toggleSort(key) {
-    if (this._sortKey === key) {
-      this._sortDir = this._sortDir === 'asc' ? 'desc' : 'asc';
+  _toggleSort(key, additive = false) {
+    const existing = this._sorts.find(s => s.key === key);
+
+    if (additive) {
+      if (!existing) {
+        this._sorts.push({ key, dir: 'asc' });
+      } else if (existing.dir === 'asc') {
+        existing.dir = 'desc';
+      } else {
+        this._sorts = this._sorts.filter(s => s !== existing);
+      }
+    } else if (existing && this._sorts.length === 1) {
+      existing.dir = existing.dir === 'asc' ? 'desc' : 'asc';
     } else {
-      this._sortKey = key;
-      this._sortDir = 'asc';
+      this._sorts = [{ key, dir: existing && existing.dir === 'asc' ? 'desc' : 'asc' }];
     }
 
     this._page = 1;
-    this._render();
+
+    if (this._dataProvider) {
+      this._resetRemoteSelection();
+      this._fetch();
+    } else {
+      this._render();
+    }
 
     this.dispatchEvent(new CustomEvent('luna-sort', {
       bubbles: true, composed: true,
-      detail: { key: this._sortKey, direction: this._sortDir },
+      detail: {
+        key:       this._sorts.length ? this._sorts[0].key : null,
+        direction: this._sorts.length ? this._sorts[0].dir : 'asc',
+        sorts:     this.sorts,
+      },
     }));
   }
 
@@ -272,7 +915,7 @@ class LunaDataGrid extends HTMLElement {
       bubbles: true, composed: true,
       detail: {
         selected: idxs,
-        rows:     idxs.map(i => this._rows[i]),
+        rows:     idxs.map(i => this._rowAt(i)),
       },
     }));
   }
@@ -286,13 +929,14 @@ class LunaDataGrid extends HTMLElement {
       const row  = cb.closest('tr');
       if (row) {
         row.classList.toggle('selected', this._selected.has(idx));
+        row.setAttribute('aria-selected', String(this._selected.has(idx)));
       }
     });
 
-    const allCb     = root.querySelector('input[data-select-all]');
-    const visible   = root.querySelectorAll('input[data-row-idx]');
-    const allChecked = visible.length > 0 && [...visible].every(cb => cb.checked);
-    const anyChecked = [...visible].some(cb => cb.checked);
+    const allCb      = root.querySelector('input[data-select-all]');
+    const visible    = this._visibleIdxs;
+    const allChecked = visible.length > 0 && visible.every(i => this._selected.has(i));
+    const anyChecked = visible.some(i => this._selected.has(i));
 
     if (allCb) {
       allCb.checked       = allChecked;
@@ -300,90 +944,1216 @@ class LunaDataGrid extends HTMLElement {
     }
   }
 
+  // ─── export ──────────────────────────────────────────────────────────────────
+
+  /**
+   * Serialize grid rows as CSV, TSV or JSON.
+   *
+   * @param {{ format?: 'csv'|'tsv'|'json', scope?: 'all'|'filtered'|'selected'|'page' }} [options]
+   * @returns {string}
+   */
+  export({ format = 'csv', scope = 'filtered' } = {}) {
+    const items = this._exportItems(scope);
+    const cols  = this._visibleColumns();
+    const value = (col, row, idx) => {
+      const v = row[col.key];
+      return typeof col.exportValue === 'function' ? col.exportValue(v, row, idx) : v;
+    };
+
+    if (format === 'json') {
+      const out = items.map(({ row, origIdx }) => {
+        const obj = {};
+        cols.forEach(col => { obj[col.key] = value(col, row, origIdx); });
+        return obj;
+      });
+      return JSON.stringify(out, null, 2);
+    }
+
+    const tsv  = format === 'tsv';
+    const sep  = tsv ? '\t' : ',';
+    const cell = v => tsv ? this._tsvCell(v) : this._csvCell(v);
+
+    const lines = [cols.map(col => cell(col.label || col.key)).join(sep)];
+
+    items.forEach(({ row, origIdx }) => {
+      lines.push(cols.map(col => cell(value(col, row, origIdx))).join(sep));
+    });
+
+    return lines.join(tsv ? '\n' : '\r\n');
+  }
+
+  _exportItems(scope) {
+    if (scope === 'page') {
+      return this._viewItems.filter(item => !item.type);
+    }
+
+    let items;
+
+    if (this._dataProvider) {
+      items = [...this._remoteCache.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([origIdx, row]) => ({ row, origIdx }));
+    } else if (scope === 'filtered') {
+      items = this._sorted(this._filtered());
+    } else {
+      items = this._sorted(this._rows.map((row, origIdx) => ({ row, origIdx })));
+    }
+
+    return scope === 'selected'
+      ? items.filter(({ origIdx }) => this._selected.has(origIdx))
+      : items;
+  }
+
+  _exportText(v) {
+    if (v === null || v === undefined) {
+      return '';
+    }
+    if (v instanceof Date) {
+      return isNaN(v.getTime()) ? '' : v.toISOString();
+    }
+    if (typeof v === 'object') {
+      return JSON.stringify(v);
+    }
+    return String(v);
+  }
+
+  _csvCell(v) {
+    const text = this._exportText(v);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  _tsvCell(v) {
+    return this._exportText(v).replace(/[\t\r\n]+/g, ' ');
+  }
+
+  _onCopy(e) {
+    if (!this._selected.size || this._editing || !e.clipboardData) {
+      return;
+    }
+
+    // Leave ordinary text selections to the browser.
+    const sel = window.getSelection();
+    if (sel && sel.toString()) {
+      return;
+    }
+
+    e.clipboardData.setData('text/plain', this.export({ format: 'tsv', scope: 'selected' }));
+    e.preventDefault();
+  }
+
+  // ─── columns ─────────────────────────────────────────────────────────────────
+
+  _resetColumnState() {
+    this._colOrder  = this._columns.map(c => c.key);
+    this._colWidths = {};
+    this._colHidden = new Set(this._columns.filter(c => c.hidden).map(c => c.key));
+  }
+
+  _visibleColumns() {
+    return this._colOrder
+      .filter(key => !this._colHidden.has(key))
+      .map(key => this._column(key))
+      .filter(Boolean);
+  }
+
+  _colWidth(col) {
+    if (this._colWidths[col.key]) {
+      return `${this._colWidths[col.key]}px`;
+    }
+    return col.width && !/fr$/.test(col.width) ? col.width : '';
+  }
+
+  _emitColumnsChange(reason) {
+    this.dispatchEvent(new CustomEvent('luna-columns-change', {
+      bubbles: true, composed: true,
+      detail: { reason, columns: this.columnState },
+    }));
+  }
+
+  _startResize(e, key) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const th     = e.target.closest('th');
+    const colEl  = this.shadowRoot.querySelector(`col[data-key="${key}"]`);
+    const col    = this._column(key);
+    const min    = col.minWidth || 48;
+    const startX = e.clientX;
+    const startW = th.getBoundingClientRect().width;
+
+    this._resizing = true;
+    th.classList.add('resizing');
+
+    const onMove = ev => {
+      const width = Math.max(min, Math.round(startW + ev.clientX - startX));
+      this._colWidths[key] = width;
+      colEl.style.width    = `${width}px`;
+    };
+
+    const onUp = () => {
+      window.removeEventListener('pointermove', onMove);
+      window.removeEventListener('pointerup', onUp);
+      th.classList.remove('resizing');
+
+      // The click that ends a drag must not toggle sorting on the header.
+      setTimeout(() => { this._resizing = false; });
+
+      if (this._colWidths[key] && Math.round(startW) !== this._colWidths[key]) {
+        this._emitColumnsChange('resize');
+      }
+    };
+
+    window.addEventListener('pointermove', onMove);
+    window.addEventListener('pointerup', onUp);
+  }
+
+  _moveColumn(key, targetKey, after) {
+    if (key === targetKey) {
+      return;
+    }
+
+    const order = this._colOrder.filter(k => k !== key);
+    const at    = order.indexOf(targetKey) + (after ? 1 : 0);
+
+    order.splice(at, 0, key);
+    this._colOrder = order;
+    this._render();
+    this._emitColumnsChange('reorder');
+  }
+
+  _setColumnHidden(key, hidden) {
+    // Always keep at least one column on screen.
+    if (hidden && this._visibleColumns().length <= 1) {
+      this._render();
+      return;
+    }
+
+    if (hidden) {
+      this._colHidden.add(key);
+    } else {
+      this._colHidden.delete(key);
+    }
+
+    this._render();
+    this._emitColumnsChange('visibility');
+  }
+
+  _toggleMenu(force) {
+    this._menuOpen = force !== undefined ? force : !this._menuOpen;
+
+    const menu = this.shadowRoot.querySelector('.col-menu');
+    const btn  = this.shadowRoot.querySelector('.col-menu-btn');
+
+    if (menu) {
+      menu.classList.toggle('open', this._menuOpen);
+    }
+
+    if (btn) {
+      btn.setAttribute('aria-expanded', String(this._menuOpen));
+    }
+  }
+
+  _onOutsideClick(e) {
+    if (!this._menuOpen) {
+      return;
+    }
+
+    const wrap = this.shadowRoot.querySelector('.col-menu-wrap');
+    if (!wrap || !e.composedPath().includes(wrap)) {
+      this._toggleMenu(false);
+    }
+  }
+
+  _columnMenuHTML() {
+    const items = this._colOrder.map(key => {
+      const col = this._column(key);
+
+      if (!col) {
+        return '';
+      }
+
+      return `
+        <label class="col-menu-item">
+          <span class="check-wrap">
+            <input type="checkbox" class="cb" data-col-toggle="${key}" ${this._colHidden.has(key) ? '' : 'checked'} />
+            <span class="cb-box"></span>
+          </span>
+          <span>${col.label || col.key}</span>
+        </label>`;
+    }).join('');
+
+    return `
+      <div class="col-menu-wrap">
+        <button class="col-menu-btn" part="column-menu-button" aria-label="Columns" aria-haspopup="true" aria-expanded="${this._menuOpen}">
+          <svg viewBox="0 0 16 16"><path d="M3 4h10M3 8h10M3 12h10" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/></svg>
+        </button>
+        <div class="col-menu${this._menuOpen ? ' open' : ''}" part="column-menu" role="menu">
+          ${items}
+          <button class="col-menu-reset" data-col-reset>Reset columns</button>
+        </div>
+      </div>`;
+  }
+
+  // ─── grouping & detail rows ──────────────────────────────────────────────────
+
+  _grouped(items, ignoreCollapsed = false) {
+    const keys = this.groupBy;
+    const out  = [];
+
+    this._groupIndex = new Map();
+
+    const walk = (list, depth, parentIds, parentValues) => {
+      const key     = keys[depth];
+      const buckets = new Map();
+
+      list.forEach(item => {
+        const v  = item.row[key];
+        const id = v === null || v === undefined ? '' : String(v);
+
+        if (!buckets.has(id)) {
+          buckets.set(id, { value: v, items: [] });
+        }
+        buckets.get(id).items.push(item);
+      });
+
+      const sort = this._sorts.find(s => s.key === key);
+      const dir  = sort && sort.dir === 'desc' ? -1 : 1;
+
+      const groups = [...buckets.entries()].sort(([aId, a], [bId, b]) => {
+        if (aId === '' || bId === '') {
+          return aId === bId ? 0 : (aId === '' ? 1 : -1);
+        }
+        return this._compareValues(a.value, b.value) * dir;
+      });
+
+      groups.forEach(([id, g]) => {
+        const ids       = [...parentIds, id];
+        const path      = JSON.stringify(ids);
+        const collapsed = !ignoreCollapsed && this._collapsed.has(path);
+        const entry     = {
+          type:     'group',
+          key,
+          value:    g.value,
+          values:   [...parentValues, g.value],
+          path,
+          depth,
+          count:    g.items.length,
+          rows:     g.items.map(i => i.row),
+          firstIdx: g.items[0].origIdx,
+          collapsed,
+        };
+
+        this._groupIndex.set(path, entry);
+        out.push(entry);
+
+        if (collapsed) {
+          return;
+        }
+
+        if (depth + 1 < keys.length) {
+          walk(g.items, depth + 1, ids, [...parentValues, g.value]);
+        } else {
+          out.push(...g.items);
+        }
+      });
+    };
+
+    if (keys.length) {
+      walk(items, 0, [], []);
+    }
+
+    return out;
+  }
+
+  _withDetails(items) {
+    const out = [];
+
+    items.forEach(item => {
+      out.push(item);
+      if (!item.type && this._expanded.has(item.origIdx)) {
+        out.push({ type: 'detail', row: item.row, origIdx: item.origIdx });
+      }
+    });
+
+    return out;
+  }
+
+  // Number of open detail rows among `items`.
+  _detailCount(items) {
+    return items.filter(item => !item.type && this._expanded.has(item.origIdx)).length;
+  }
+
+  _aggregate(col, rows) {
+    const agg    = col.aggregate;
+    const values = rows.map(r => r[col.key]);
+
+    if (typeof agg === 'function') {
+      return agg(values, rows);
+    }
+
+    const nums = values
+      .filter(v => v !== null && v !== undefined && v !== '')
+      .map(Number)
+      .filter(n => !isNaN(n));
+
+    // Reduce rather than spreading into Math.min/max, which overflows the call stack on large row sets.
+    switch (agg) {
+      case 'count': return values.filter(v => v !== null && v !== undefined && v !== '').length;
+      case 'sum':   return nums.reduce((a, b) => a + b, 0);
+      case 'avg':   return nums.length ? nums.reduce((a, b) => a + b, 0) / nums.length : null;
+      case 'min':   return nums.length ? nums.reduce((a, b) => (b < a ? b : a)) : null;
+      case 'max':   return nums.length ? nums.reduce((a, b) => (b > a ? b : a)) : null;
+      default:      return null;
+    }
+  }
+
+  _formatAggregate(col, value) {
+    if (typeof col.aggregateFormat === 'function') {
+      return col.aggregateFormat(value, col.aggregate);
+    }
+
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    const text  = typeof value === 'number' ? value.toLocaleString(undefined, { maximumFractionDigits: 2 }) : String(value);
+    const label = typeof col.aggregate === 'string' ? `<span class="agg-label">${col.aggregate}</span>` : '';
+    return `${label}${text}`;
+  }
+
+  _groupRowHTML(group, rowPos, { cols, lead }) {
+    const groupCol = this._column(group.key);
+    const label    = groupCol ? (groupCol.label || groupCol.key) : group.key;
+    const display  = groupCol && groupCol.render
+      ? groupCol.render(group.value, group.rows[0], group.firstIdx)
+      : (group.value === null || group.value === undefined || group.value === '' ? '—' : String(group.value));
+
+    const cells = cols.map((col, i) => {
+      const agg = col.aggregate ? this._formatAggregate(col, this._aggregate(col, group.rows)) : '';
+
+      // The first column holds the group label; its summary follows the count.
+      if (i === 0) {
+        return `
+          <td class="td group-cell" role="gridcell" tabindex="-1" data-col="${lead}" style="padding-left:calc(${group.depth} * 1.25rem + 1rem)">
+            <span class="group-head">
+              <svg class="chevron${group.collapsed ? '' : ' open'}" viewBox="0 0 16 16"><path d="M6 3 L11 8 L6 13" stroke="currentColor" stroke-width="1.5" fill="none" stroke-linecap="round" stroke-linejoin="round"/></svg>
+              <span class="group-key">${label}:</span>
+              <span class="group-value">${display}</span>
+              <span class="group-count">${group.count}</span>
+              ${agg ? `<span class="group-agg">${agg}</span>` : ''}
+            </span>
+          </td>`;
+      }
+
+      return `<td class="td td-agg" role="gridcell" tabindex="-1" data-col="${lead + i}" style="text-align:${col.align || 'left'}">${agg}</td>`;
+    }).join('');
+
+    return `
+      <tr
+        class="group-row"
+        role="row"
+        aria-rowindex="${this._ariaBase + rowPos}"
+        aria-level="${group.depth + 1}"
+        aria-expanded="${!group.collapsed}"
+        data-group="${encodeURIComponent(group.path)}"
+        data-pos="${rowPos}"
+      >
+        ${lead ? `<td class="td" role="gridcell" tabindex="-1" colspan="${lead}" data-col="0"></td>` : ''}
+        ${cells}
+      </tr>`;
+  }
+
+  _detailRowHTML({ row, origIdx }, rowPos, { cols, lead }) {
+    return `
+      <tr class="detail-row" role="row" aria-rowindex="${this._ariaBase + rowPos}" data-detail-idx="${origIdx}">
+        <td class="td-detail" role="gridcell" colspan="${cols.length + lead}">
+          <div class="detail-panel" part="detail">${this._detailRenderer(row, origIdx)}</div>
+        </td>
+      </tr>`;
+  }
+
+  _entryHTML(entry, rowPos, ctx) {
+    if (entry.type === 'group') {
+      return this._groupRowHTML(entry, rowPos, ctx);
+    }
+    if (entry.type === 'detail') {
+      return this._detailRowHTML(entry, rowPos, ctx);
+    }
+    return this._rowHTML(entry, rowPos, ctx);
+  }
+
+  _toggleGroup(path) {
+    const group = this._groupIndex.get(path);
+
+    if (!group) {
+      return;
+    }
+
+    const expanded = this._collapsed.has(path);
+
+    if (expanded) {
+      this._collapsed.delete(path);
+    } else {
+      this._collapsed.add(path);
+    }
+
+    this._render();
+
+    this.dispatchEvent(new CustomEvent('luna-group-toggle', {
+      bubbles: true, composed: true,
+      detail: { key: group.key, value: group.value, path: group.values, expanded },
+    }));
+  }
+
+  expandAllGroups() {
+    this._collapsed = new Set();
+    this._render();
+  }
+
+  collapseAllGroups() {
+    const items = this._dataProvider ? this._remoteItems() : this._sorted(this._filtered());
+
+    this._grouped(items, true);
+    this._collapsed = new Set(this._groupIndex.keys());
+    this._render();
+  }
+
+  _toggleDetail(origIdx) {
+    const expanded = !this._expanded.has(origIdx);
+
+    if (expanded) {
+      this._expanded.add(origIdx);
+    } else {
+      this._expanded.delete(origIdx);
+    }
+
+    this._render();
+
+    this.dispatchEvent(new CustomEvent('luna-row-expand', {
+      bubbles: true, composed: true,
+      detail: { index: origIdx, row: this._rowAt(origIdx), expanded },
+    }));
+  }
+
+  // ─── editing ─────────────────────────────────────────────────────────────────
+
+  _column(key) {
+    return this._columns.find(c => c.key === key);
+  }
+
+  _cellContent(col, row, origIdx) {
+    const val = row[col.key];
+    return col.render ? col.render(val, row, origIdx) : (val === null || val === undefined ? '' : String(val));
+  }
+
+  _optionList(col) {
+    return (Array.isArray(col.options) ? col.options : []).map(o =>
+      (o !== null && typeof o === 'object') ? { value: o.value, label: o.label ?? String(o.value) } : { value: o, label: String(o) }
+    );
+  }
+
+  _createEditor(col, value) {
+    const type = col.editor || 'text';
+    let editor;
+
+    if (type === 'select') {
+      editor = document.createElement('select');
+      this._optionList(col).forEach((opt, i) => {
+        const el       = document.createElement('option');
+        el.value       = String(i);
+        el.textContent = opt.label;
+        el.selected    = opt.value === value;
+        editor.appendChild(el);
+      });
+    } else if (type === 'checkbox') {
+      editor         = document.createElement('input');
+      editor.type    = 'checkbox';
+      editor.checked = !!value;
+    } else if (type === 'date' && customElements.get('luna-date-picker')) {
+      editor = document.createElement('luna-date-picker');
+      if (value) {
+        editor.setAttribute('value', value);
+      }
+    } else {
+      editor       = document.createElement('input');
+      editor.type  = type === 'number' ? 'number' : (type === 'date' ? 'date' : 'text');
+      editor.value = value === null || value === undefined ? '' : String(value);
+    }
+
+    editor.classList.add('cell-editor');
+    editor.setAttribute('part', 'editor');
+    editor.setAttribute('aria-label', col.label || col.key);
+    return editor;
+  }
+
+  _readEditor() {
+    const { col, editor } = this._editing;
+    const type = col.editor || 'text';
+
+    if (type === 'select') {
+      const opt = this._optionList(col)[parseInt(editor.value, 10)];
+      return opt ? opt.value : null;
+    }
+
+    if (type === 'checkbox') {
+      return editor.checked;
+    }
+
+    if (type === 'number') {
+      return editor.value === '' ? null : Number(editor.value);
+    }
+
+    return editor.value;
+  }
+
+  _startEdit(origIdx, key) {
+    const col = this._column(key);
+    const row = this._rowAt(origIdx);
+    const td  = this.shadowRoot.querySelector(`tr[data-orig-idx="${origIdx}"] td[data-key="${key}"]`);
+
+    if (!col || !col.editable || !row || !td) {
+      return;
+    }
+
+    if (this._editing) {
+      if (this._editing.td === td) {
+        return;
+      }
+      if (!this._commitEdit()) {
+        return;
+      }
+    }
+
+    const editor     = this._createEditor(col, row[key]);
+    const onFocusOut = e => {
+      if (this._editing && this._editing.td === td && !td.contains(e.relatedTarget)) {
+        this._commitEdit();
+      }
+    };
+
+    this._editing = { origIdx, key, col, row, td, editor, onFocusOut };
+
+    td.classList.add('editing');
+    td.textContent = '';
+    td.appendChild(editor);
+
+    editor.addEventListener('keydown', e => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this._commitEdit();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this._cancelEdit();
+      }
+      e.stopPropagation();
+    });
+
+    if (editor.localName === 'luna-date-picker') {
+      editor.addEventListener('luna-change', () => this._commitEdit());
+      editor.addEventListener('luna-clear',  () => this._commitEdit());
+    } else if (editor.type === 'checkbox' || editor.localName === 'select') {
+      editor.addEventListener('change', () => this._commitEdit());
+    }
+
+    td.addEventListener('focusout', onFocusOut);
+
+    editor.focus();
+    if (typeof editor.select === 'function' && editor.localName === 'input' && editor.type !== 'checkbox') {
+      editor.select();
+    }
+  }
+
+  _commitEdit() {
+    if (!this._editing) {
+      return true;
+    }
+
+    const { origIdx, key, col, row, td } = this._editing;
+    const oldValue = row[key];
+    const newValue = this._readEditor();
+
+    if (newValue === oldValue) {
+      this._cancelEdit();
+      return true;
+    }
+
+    if (typeof col.validate === 'function') {
+      const result = col.validate(newValue, row, origIdx);
+
+      if (result !== true && result !== undefined) {
+        const message = typeof result === 'string' ? result : 'Invalid value';
+        td.classList.add('invalid');
+        td.title = message;
+        this._editing.editor.setAttribute('aria-invalid', 'true');
+        return false;
+      }
+    }
+
+    const evt = new CustomEvent('luna-cell-edit', {
+      bubbles: true, composed: true, cancelable: true,
+      detail: { index: origIdx, key, row, oldValue, newValue },
+    });
+
+    if (this.dispatchEvent(evt)) {
+      row[key] = newValue;
+    }
+
+    this._closeEditor();
+    return true;
+  }
+
+  _cancelEdit() {
+    if (this._editing) {
+      this._closeEditor();
+    }
+  }
+
+  _closeEditor() {
+    const { origIdx, col, row, td, onFocusOut } = this._editing;
+    const hadFocus = td.contains(this.shadowRoot.activeElement);
+
+    this._editing = null;
+    td.removeEventListener('focusout', onFocusOut);
+    td.classList.remove('editing', 'invalid');
+    td.removeAttribute('title');
+    td.innerHTML = this._cellContent(col, row, origIdx);
+
+    if (hadFocus) {
+      td.focus();
+    }
+  }
+
+  // ─── keyboard navigation ─────────────────────────────────────────────────────
+
+  _cellAt(pos, col) {
+    const root = this.shadowRoot;
+    const tr   = pos < 0
+      ? root.querySelector('thead tr.head-row')
+      : root.querySelector(`tbody tr[data-pos="${pos}"]`);
+
+    if (!tr) {
+      return null;
+    }
+
+    // Spanning cells (group rows) cover every column index up to the next cell.
+    let match = null;
+    tr.querySelectorAll(':scope > [data-col]').forEach(cell => {
+      if (!match || parseInt(cell.dataset.col, 10) <= col) {
+        match = cell;
+      }
+    });
+
+    return match;
+  }
+
+  _syncRovingFocus(focus = false) {
+    const root = this.shadowRoot;
+    const cell = this._cellAt(this._focus.pos, this._focus.col) || this._cellAt(-1, 0);
+
+    root.querySelectorAll('[data-col][tabindex="0"]').forEach(el => {
+      if (el !== cell) {
+        el.setAttribute('tabindex', '-1');
+      }
+    });
+
+    if (cell) {
+      cell.setAttribute('tabindex', '0');
+      if (focus) {
+        cell.focus({ preventScroll: this._isVirtual(this._pageSize()) });
+      }
+    }
+
+    return cell;
+  }
+
+  _colCount() {
+    return this._rowContext().lead + this._visibleColumns().length;
+  }
+
+  _stepRow(pos, delta) {
+    const items = this._viewItems;
+    let next    = pos;
+    let moved   = 0;
+
+    while (moved < Math.abs(delta)) {
+      let probe = next + Math.sign(delta);
+
+      while (probe >= 0 && probe < items.length && items[probe].type === 'detail') {
+        probe += Math.sign(delta);
+      }
+
+      if (probe < -1 || probe >= items.length) {
+        break;
+      }
+
+      next = probe;
+      moved++;
+
+      if (next === -1) {
+        break;
+      }
+    }
+
+    return next;
+  }
+
+  _lastRowPos() {
+    return this._stepRow(this._viewItems.length, -1);
+  }
+
+  _moveFocus(pos, col) {
+    const colCount = this._colCount();
+
+    this._focus = {
+      pos: Math.max(-1, Math.min(pos, this._viewItems.length - 1)),
+      col: Math.max(0, Math.min(col, colCount - 1)),
+    };
+
+    const wrap = this.shadowRoot.querySelector('.scroll-wrap.virtual');
+
+    if (wrap && this._focus.pos >= 0 && (this._focus.pos < this._vStart || this._focus.pos >= this._vEnd - 1)) {
+      const rh       = this._rowHeight();
+      const head     = this.shadowRoot.querySelector('thead');
+      const viewport = wrap.clientHeight - (head ? head.offsetHeight : 0);
+      const top      = this._focus.pos * rh;
+
+      wrap.scrollTop   = top < wrap.scrollTop ? top : Math.max(0, top - viewport + rh);
+      this._vScrollTop = wrap.scrollTop;
+      this._updateVirtualWindow(true);
+    }
+
+    const cell = this._syncRovingFocus(true);
+
+    if (cell && wrap) {
+      cell.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }
+  }
+
+  _onGridFocusIn(e) {
+    const cell = e.target.closest('[data-col]');
+    const tr   = cell && cell.parentElement;
+
+    if (!cell || !tr) {
+      return;
+    }
+
+    const pos = tr.classList.contains('head-row') ? -1 : parseInt(tr.dataset.pos, 10);
+
+    if (isNaN(pos)) {
+      return;
+    }
+
+    this._focus = { pos, col: parseInt(cell.dataset.col, 10) };
+    this._syncRovingFocus();
+  }
+
+  _onGridKeyDown(e) {
+    if (this._editing || !e.target.matches('[data-col]')) {
+      return;
+    }
+
+    const { pos, col } = this._focus;
+    const entry        = pos >= 0 ? this._viewItems[pos] : null;
+    const pageSize     = this._pageSize();
+    const ctrl         = e.ctrlKey || e.metaKey;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        this._moveFocus(this._stepRow(pos, 1), col);
+        break;
+
+      case 'ArrowUp':
+        this._moveFocus(this._stepRow(pos, -1), col);
+        break;
+
+      case 'ArrowRight':
+        if (entry && entry.type === 'group' && entry.collapsed) {
+          this._toggleGroup(entry.path);
+        } else {
+          this._moveFocus(pos, col + 1);
+        }
+        break;
+
+      case 'ArrowLeft':
+        if (entry && entry.type === 'group' && !entry.collapsed && col <= this._rowContext().lead) {
+          this._toggleGroup(entry.path);
+        } else {
+          this._moveFocus(pos, col - 1);
+        }
+        break;
+
+      case 'Home':
+        this._moveFocus(ctrl ? this._stepRow(-1, 1) : pos, 0);
+        break;
+
+      case 'End':
+        this._moveFocus(ctrl ? this._lastRowPos() : pos, this._colCount() - 1);
+        break;
+
+      case 'PageDown':
+      case 'PageUp': {
+        const dir = e.key === 'PageDown' ? 1 : -1;
+
+        if (pageSize > 0) {
+          this._keepFocus = true;
+          this._goToPage(this._page + dir);
+        } else {
+          const wrap = this.shadowRoot.querySelector('.scroll-wrap.virtual');
+          const step = wrap ? Math.max(1, Math.floor(wrap.clientHeight / this._rowHeight()) - 1) : 10;
+          this._moveFocus(this._stepRow(pos, step * dir), col);
+        }
+        break;
+      }
+
+      case ' ':
+      case 'Enter':
+        this._activateCell(e, entry);
+        break;
+
+      case 'F2': {
+        const key = e.target.dataset.key;
+        if (entry && !entry.type && key) {
+          this._startEdit(entry.origIdx, key);
+        }
+        break;
+      }
+
+      default:
+        return;
+    }
+
+    e.preventDefault();
+  }
+
+  _activateCell(e, entry) {
+    const cell = e.target;
+
+    if (!entry) {
+      if (cell.matches('th.sortable')) {
+        this._toggleSort(cell.dataset.key, e.shiftKey);
+      } else if (cell.matches('.th-check') && e.key === ' ') {
+        const allCb = cell.querySelector('input[data-select-all]');
+        if (allCb) {
+          this._toggleAll(!allCb.checked, this._visibleIdxs);
+        }
+      }
+      return;
+    }
+
+    if (entry.type === 'group') {
+      this._toggleGroup(entry.path);
+      return;
+    }
+
+    if (cell.matches('.td-expand')) {
+      this._toggleDetail(entry.origIdx);
+      return;
+    }
+
+    if (e.key === ' ') {
+      if (this.hasAttribute('selectable')) {
+        this._toggleRow(entry.origIdx);
+      }
+      return;
+    }
+
+    this._emitRowClick(entry.origIdx);
+  }
+
+  _emitRowClick(origIdx) {
+    this.dispatchEvent(new CustomEvent('luna-row-click', {
+      bubbles: true, composed: true,
+      detail: { index: origIdx, row: this._rowAt(origIdx) },
+    }));
+  }
+
+  // ─── virtual scrolling ───────────────────────────────────────────────────────
+
+  _isVirtual(pageSize) {
+    return this.hasAttribute('virtual') && pageSize === 0;
+  }
+
+  _rowHeight() {
+    const attr = parseFloat(this.getAttribute('row-height'));
+    if (!isNaN(attr) && attr > 0) {
+      return attr;
+    }
+    return this._vRowHeight || 41;
+  }
+
+  _virtualRange(scrollTop, viewportHeight) {
+    const rh       = this._rowHeight();
+    const overscan = Math.max(0, parseInt(this.getAttribute('overscan'), 10) || 6);
+    const count    = this._viewItems.length;
+    const first    = Math.floor(scrollTop / rh);
+    const last     = Math.ceil((scrollTop + viewportHeight) / rh);
+
+    return {
+      start: Math.max(0, first - overscan),
+      end:   Math.min(count, last + overscan),
+    };
+  }
+
+  _virtualRowsHTML(start, end, ctx) {
+    const rh      = this._rowHeight();
+    const colspan = ctx.cols.length + ctx.lead;
+    const top     = start * rh;
+    const bottom  = (this._viewItems.length - end) * rh;
+
+    this._vStart = start;
+    this._vEnd   = end;
+
+    const rows = this._viewItems
+      .slice(start, end)
+      .map((item, i) => this._entryHTML(item, start + i, ctx))
+      .join('');
+
+    return `
+      ${top > 0 ? `<tr class="v-spacer" aria-hidden="true"><td colspan="${colspan}" style="height:${top}px"></td></tr>` : ''}
+      ${rows}
+      ${bottom > 0 ? `<tr class="v-spacer" aria-hidden="true"><td colspan="${colspan}" style="height:${bottom}px"></td></tr>` : ''}`;
+  }
+
+  _onScroll(e) {
+    this._vScrollTop = e.target.scrollTop;
+
+    if (this._vFrame) {
+      return;
+    }
+
+    this._vFrame = requestAnimationFrame(() => {
+      this._vFrame = null;
+      this._updateVirtualWindow();
+    });
+  }
+
+  _updateVirtualWindow(force = false) {
+    const root  = this.shadowRoot;
+    const wrap  = root.querySelector('.scroll-wrap.virtual');
+    const tbody = root.getElementById('tbody');
+
+    if (!wrap || !tbody || !this._viewItems.length) {
+      return;
+    }
+
+    const head            = root.querySelector('thead');
+    const viewportHeight  = wrap.clientHeight - (head ? head.offsetHeight : 0);
+    const { start, end }  = this._virtualRange(wrap.scrollTop, viewportHeight);
+
+    if (!force && start === this._vStart && end === this._vEnd) {
+      return;
+    }
+
+    const hadFocus  = tbody.contains(root.activeElement);
+
+    // The rebuild discards the open editor's cell: commit the edit first, or drop it when invalid.
+    if (!this._commitEdit()) {
+      this._cancelEdit();
+    }
+
+    tbody.innerHTML = this._virtualRowsHTML(start, end, this._rowContext());
+    this._bindRowEvents(tbody);
+    this._updateSelectionUI();
+    this._syncRovingFocus(hadFocus && !!this._cellAt(this._focus.pos, this._focus.col));
+
+    // Spacer heights are estimates until a real row has been laid out.
+    if (!this.hasAttribute('row-height')) {
+      const sample = tbody.querySelector('tr.tr');
+      const height = sample ? sample.getBoundingClientRect().height : 0;
+
+      if (height && Math.abs(height - this._rowHeight()) > 0.5) {
+        this._vRowHeight = height;
+        this._updateVirtualWindow(true);
+      }
+    }
+  }
+
+  _rowContext() {
+    const selectable = this.hasAttribute('selectable');
+    const detail     = !!this._detailRenderer && !this._isVirtual(this._pageSize());
+
+    return {
+      cols:       this._visibleColumns(),
+      selectable,
+      striped:    this.hasAttribute('striped'),
+      detail,
+      lead:       (selectable ? 1 : 0) + (detail ? 1 : 0),
+    };
+  }
+
+  _rowHTML({ row, origIdx }, rowPos, { cols, selectable, striped, detail, lead }) {
+    const isSelected = this._selected.has(origIdx);
+    const isStripe   = striped && rowPos % 2 !== 0;
+
+    const cells = cols.map((col, i) => {
+      const align    = col.align || 'left';
+      const rendered = this._cellContent(col, row, origIdx);
+
+      return `<td class="td${col.editable ? ' editable' : ''}" role="gridcell" tabindex="-1" style="text-align:${align}" data-key="${col.key}" data-col="${lead + i}">${rendered}</td>`;
+    }).join('');
+
+    return `
+      <tr
+        class="tr${isSelected ? ' selected' : ''}${isStripe ? ' stripe' : ''}"
+        role="row"
+        aria-rowindex="${this._ariaBase + rowPos}"
+        ${selectable ? `aria-selected="${isSelected}"` : ''}
+        ${detail ? `aria-expanded="${this._expanded.has(origIdx)}"` : ''}
+        data-orig-idx="${origIdx}"
+        data-pos="${rowPos}"
+      >
+        ${selectable
+          ? `<td class="td td-check" role="gridcell" tabindex="-1" data-col="0">
+               <label class="check-wrap">
+                 <input type="checkbox" class="cb" data-row-idx="${origIdx}" tabindex="-1" aria-label="Select row" ${isSelected ? 'checked' : ''} />
+                 <span class="cb-box"></span>
+               </label>
+             </td>`
+          : ''}
+        ${detail
+          ? `<td class="td td-expand" role="gridcell" tabindex="-1" data-col="${selectable ? 1 : 0}">
+               <button class="row-expander" data-expand="${origIdx}" tabindex="-1" aria-label="Toggle details" aria-expanded="${this._expanded.has(origIdx)}">
+                 <svg class="chevron${this._expanded.has(origIdx) ? ' open' : ''}" viewBox="0 0 16 16"><path d="M6 3 L11 8 L6 13" stroke="currentColor" stroke-width="1.5" fill="none" stroke-linecap="round" stroke-linejoin="round"/></svg>
+               </button>
+             </td>`
+          : ''}
+        ${cells}
+      </tr>`;
+  }
+
   _render() {
+    // The render replaces the open editor's cell: commit the edit first, or drop it when invalid.
+    if (!this._commitEdit()) {
+      this._cancelEdit();
+    }
+
+    // Keep typing focus in the filter row across re-renders.
+    const active      = this.shadowRoot.activeElement;
+    const focusFilter = active && active.dataset && active.dataset.filterKey
+      ? {
+          key:   active.dataset.filterKey,
+          part:  active.dataset.filterPart,
+          caret: active.type === 'text' ? active.selectionStart : null,
+        }
+      : null;
+    const focusCell   = this._keepFocus || !!(active && active.closest('[data-col]'));
+
     const selectable  = this.hasAttribute('selectable');
-    const striped     = this.hasAttribute('striped');
     const noBorder    = this.hasAttribute('no-border');
-    const loading     = this.hasAttribute('loading');
+    const loading     = this.hasAttribute('loading') || this._fetching;
     const emptyLabel  = this.getAttribute('empty-label') || 'No results';
     const pageSize    = this._pageSize();
+    const remote      = !!this._dataProvider;
 
-    const filtered    = this._filtered();
-    const sorted      = this._sorted(filtered);
-    const total       = sorted.length;
+    const sorted      = remote ? this._remoteItems() : this._sorted(this._filtered());
+    const grouped     = this.groupBy.length > 0;
+    const entries     = grouped ? this._grouped(sorted) : sorted;
+    const total       = remote ? this._remoteTotal : entries.length;
     const totalPages  = pageSize > 0 ? Math.max(1, Math.ceil(total / pageSize)) : 1;
 
-    if (this._page > totalPages) {
+    if (!remote && this._page > totalPages) {
       this._page = totalPages;
     }
 
-    const pageItems   = this._paginated(sorted);
-    const cols        = this._columns;
+    this._total       = total;
+
+    const virtual     = this._isVirtual(pageSize);
+    const ctx         = this._rowContext();
+    const cols        = ctx.cols;
+    const paged       = remote ? entries : this._paginated(entries);
+    const pageItems   = ctx.detail ? this._withDetails(paged) : paged;
 
-    const colWidths   = cols.map(c => c.width || '1fr').join(' ');
+    this._viewItems   = pageItems;
+    this._visibleIdxs = sorted.map(s => s.origIdx);
+
+    // Open detail panels are rows too: count the ones on earlier pages and in the whole
+    // set (a data provider only hands over the current page, so there just its own).
+    const offset      = pageSize > 0 ? (this._page - 1) * pageSize : 0;
+    const detailRows  = !ctx.detail ? 0 : this._detailCount(remote ? pageItems : entries);
+    const detailsPast = !ctx.detail || remote ? 0 : this._detailCount(entries.slice(0, offset));
+
+    const headerRows  = this.hasAttribute('filter-row') ? 2 : 1;
+    this._ariaBase    = headerRows + 1 + offset + detailsPast;
+
+    const resizable   = this.hasAttribute('resizable');
+    const reorderable = this.hasAttribute('reorderable');
+    const columnMenu  = this.hasAttribute('column-menu');
+
+    const colGroup    = `
+      ${selectable ? '<col style="width:40px" />' : ''}
+      ${ctx.detail ? '<col style="width:36px" />' : ''}
+      ${cols.map(c => {
+        const w = this._colWidth(c);
+        return `<col data-key="${c.key}"${w ? ` style="width:${w}"` : ''} />`;
+      }).join('')}`;
 
     const skeletonRows = Array.from({ length: Math.min(pageSize || 5, 5) }).map(() => `
       <tr class="skeleton-row">
         ${selectable ? '<td class="td-check"><span class="skel skel-check"></span></td>' : ''}
+        ${ctx.detail ? '<td class="td-expand"></td>' : ''}
         ${cols.map(() => `<td><span class="skel"></span></td>`).join('')}
       </tr>`).join('');
 
-    const headerCells = cols.map(col => {
-      const isSorted = this._sortKey === col.key;
-      const arrow    = isSorted
-        ? (this._sortDir === 'asc'
+    const headerCells = cols.map((col, i) => {
+      const sortIdx  = this._sorts.findIndex(s => s.key === col.key);
+      const sort     = this._sorts[sortIdx];
+      const arrow    = sort
+        ? (sort.dir === 'asc'
             ? `<svg class="sort-icon asc" viewBox="0 0 10 10"><path d="M5 2 L8 7 L2 7Z"/></svg>`
             : `<svg class="sort-icon desc" viewBox="0 0 10 10"><path d="M5 8 L2 3 L8 3Z"/></svg>`)
         : (col.sortable
             ? `<svg class="sort-icon idle" viewBox="0 0 10 10"><path d="M5 2 L8 7 L2 7Z" opacity=".25"/><path d="M5 8 L2 3 L8 3Z" opacity=".25"/></svg>`
             : '');
+      const priority = sort && this._sorts.length > 1
+        ? `<span class="sort-priority">${sortIdx + 1}</span>`
+        : '';
 
       const align    = col.align || 'left';
 
+      const canResize = resizable && col.resizable !== false;
+      const ariaSort  = sortIdx === 0
+        ? (sort.dir === 'asc' ? 'ascending' : 'descending')
+        : (col.sortable ? (sort ? 'other' : 'none') : '');
+
       return `
         <th
           class="th${col.sortable ? ' sortable' : ''}"
+          role="columnheader"
+          tabindex="-1"
           data-key="${col.key}"
+          data-col="${ctx.lead + i}"
           style="text-align:${align}"
+          ${ariaSort ? `aria-sort="${ariaSort}"` : ''}
+          ${reorderable ? 'draggable="true"' : ''}
         >
           <span class="th-inner">
             <span class="th-label">${col.label || col.key}</span>
-            ${arrow}
+            ${arrow}${priority}
           </span>
+          ${canResize ? `<span class="col-resizer" data-resize="${col.key}" aria-hidden="true"></span>` : ''}
         </th>`;
     }).join('');
 
-    const bodyRows = loading ? skeletonRows : pageItems.map(({ row, origIdx }, rowPos) => {
-      const isSelected = this._selected.has(origIdx);
-      const isStripe   = striped && rowPos % 2 !== 0;
-
-      const cells = cols.map(col => {
-        const val      = row[col.key];
-        const align    = col.align || 'left';
-        const rendered = col.render ? col.render(val, row, origIdx) : (val === null || val === undefined ? '' : String(val));
+    const filterRow = this.hasAttribute('filter-row') ? `
+      <tr class="filter-row" role="row" aria-rowindex="2">
+        ${selectable ? '<th class="th th-check"></th>' : ''}
+        ${ctx.detail ? '<th class="th th-expand"></th>' : ''}
+        ${cols.map(col => `<th class="th th-filter">${this._filterCellHTML(col)}</th>`).join('')}
+      </tr>` : '';
 
-        return `<td class="td" style="text-align:${align}" data-key="${col.key}">${rendered}</td>`;
-      }).join('');
+    let bodyRows;
 
-      return `
-        <tr
-          class="tr${isSelected ? ' selected' : ''}${isStripe ? ' stripe' : ''}"
-          data-orig-idx="${origIdx}"
-        >
-          ${selectable
-            ? `<td class="td td-check">
-                 <label class="check-wrap">
-                   <input type="checkbox" class="cb" data-row-idx="${origIdx}" ${isSelected ? 'checked' : ''} />
-                   <span class="cb-box"></span>
-                 </label>
-               </td>`
-            : ''}
-          ${cells}
-        </tr>`;
-    }).join('');
+    if (loading) {
+      bodyRows = skeletonRows;
+    } else if (virtual) {
+      const { start, end } = this._virtualRange(this._vScrollTop, 400);
+      bodyRows = this._virtualRowsHTML(start, end, ctx);
+    } else {
+      bodyRows = pageItems.map((item, rowPos) => this._entryHTML(item, rowPos, ctx)).join('');
+    }
 
     const emptyRow = !loading && pageItems.length === 0
-      ? `<tr><td class="td td-empty" colspan="${cols.length + (selectable ? 1 : 0)}">${emptyLabel}</td></tr>`
+      ? `<tr><td class="td td-empty" colspan="${cols.length + ctx.lead}">${emptyLabel}</td></tr>`
       : '';
 
     const paginationHTML = (pageSize > 0 && total > 0) ? (() => {
@@ -423,9 +2193,9 @@ class LunaDataGrid extends HTMLElement {
     })() : '';
 
     const selectAllCell = selectable
-      ? `<th class="th th-check">
+      ? `<th class="th th-check" role="columnheader" tabindex="-1" data-col="0">
            <label class="check-wrap">
-             <input type="checkbox" class="cb" data-select-all />
+             <input type="checkbox" class="cb" data-select-all tabindex="-1" aria-label="Select all rows" />
              <span class="cb-box"></span>
            </label>
          </th>`
@@ -459,6 +2229,24 @@ class LunaDataGrid extends HTMLElement {
 
         *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
 
+        .grid-wrap { position: relative; }
+
+        .sr-only {
+          position: absolute;
+          width: 1px;
+          height: 1px;
+          overflow: hidden;
+          clip: rect(0 0 0 0);
+          white-space: nowrap;
+        }
+
+        [data-col]:focus { outline: none; }
+
+        [data-col]:focus-visible {
+          outline: 2px solid var(--luna-grid-accent);
+          outline-offset: -2px;
+        }
+
         .shell {
           background:    ${noBorder ? 'transparent' : 'var(--luna-grid-bg)'};
           border:        ${noBorder ? 'none'        : '1px solid var(--luna-grid-border)'};
@@ -474,7 +2262,22 @@ class LunaDataGrid extends HTMLElement {
           scrollbar-color: var(--luna-grid-scrollbar-color) transparent;
         }
 
-        .scroll-wrap::-webkit-scrollbar        { height: 5px; }
+        .scroll-wrap:focus { outline: none; }
+
+        .scroll-wrap.virtual {
+          overflow-y: auto;
+          max-height: var(--luna-grid-height, 400px);
+        }
+
+        .scroll-wrap.virtual thead {
+          position: sticky;
+          top: 0;
+          z-index: 1;
+        }
+
+        .v-spacer td { padding: 0; border: none; }
+
+        .scroll-wrap::-webkit-scrollbar        { height: 5px; width: 5px; }
         .scroll-wrap::-webkit-scrollbar-track  { background: transparent; }
         .scroll-wrap::-webkit-scrollbar-thumb  { background: var(--luna-grid-scrollbar-color); border-radius: 3px; }
 
@@ -502,6 +2305,113 @@ class LunaDataGrid extends HTMLElement {
           user-select: none;
         }
 
+        .th { position: relative; }
+
+        .th[draggable="true"] { cursor: grab; }
+        .th.dragging          { opacity: 0.4; }
+        .th.drop-before       { box-shadow: inset 2px 0 0 var(--luna-grid-accent); }
+        .th.drop-after        { box-shadow: inset -2px 0 0 var(--luna-grid-accent); }
+
+        .col-resizer {
+          position: absolute;
+          top: 0;
+          right: 0;
+          width: 6px;
+          height: 100%;
+          cursor: col-resize;
+          touch-action: none;
+        }
+
+        .col-resizer::after {
+          content: '';
+          position: absolute;
+          top: 25%;
+          right: 2px;
+          width: 1px;
+          height: 50%;
+          background: var(--luna-grid-border);
+          transition: background 0.1s ease;
+        }
+
+        .th:hover .col-resizer::after,
+        .th.resizing .col-resizer::after { background: var(--luna-grid-accent); }
+
+        :host([column-menu]) thead .th:last-child { padding-right: 2.5rem; }
+
+        /* ── column menu ── */
+        .col-menu-wrap {
+          position: absolute;
+          top: 0.375rem;
+          right: 0.5rem;
+          z-index: 3;
+        }
+
+        .col-menu-btn {
+          width: 26px;
+          height: 26px;
+          border: 1px solid transparent;
+          border-radius: 5px;
+          background: none;
+          color: var(--luna-grid-header-color);
+          cursor: pointer;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+        }
+
+        .col-menu-btn:hover,
+        .col-menu-btn[aria-expanded="true"] {
+          background: rgba(255, 255, 255, 0.04);
+          border-color: #2a2a2a;
+          color: #aaa;
+        }
+
+        .col-menu-btn svg { width: 14px; height: 14px; }
+
+        .col-menu {
+          display: none;
+          position: absolute;
+          top: calc(100% + 4px);
+          right: 0;
+          min-width: 180px;
+          padding: 0.375rem;
+          background: var(--luna-grid-header-bg);
+          border: 1px solid var(--luna-grid-border);
+          border-radius: 8px;
+          box-shadow: 0 8px 24px rgba(0, 0, 0, 0.4);
+        }
+
+        .col-menu.open { display: block; }
+
+        .col-menu-item {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          padding: 0.375rem 0.5rem;
+          border-radius: 5px;
+          font-size: var(--luna-grid-cell-size);
+          color: var(--luna-grid-cell-color);
+          cursor: pointer;
+        }
+
+        .col-menu-item:hover { background: rgba(255, 255, 255, 0.04); }
+
+        .col-menu-reset {
+          width: 100%;
+          margin-top: 0.25rem;
+          padding: 0.375rem 0.5rem;
+          border: none;
+          border-top: 1px solid var(--luna-grid-divider);
+          background: none;
+          color: var(--luna-grid-pagination-color);
+          font-family: inherit;
+          font-size: 0.6875rem;
+          text-align: left;
+          cursor: pointer;
+        }
+
+        .col-menu-reset:hover { color: #aaa; }
+
         .th-check, .td-check {
           width: 40px;
           padding: 0.625rem 0.625rem 0.625rem 1rem;
@@ -527,6 +2437,44 @@ class LunaDataGrid extends HTMLElement {
 
         .sort-icon.idle { fill: var(--luna-grid-header-color); }
 
+        .sort-priority {
+          font-size: 0.5625rem;
+          font-weight: 700;
+          color: var(--luna-grid-accent);
+          line-height: 1;
+        }
+
+        /* ── filter row ── */
+        thead tr.filter-row { border-bottom: 1px solid var(--luna-grid-divider); }
+
+        .th-filter {
+          padding: 0.375rem 0.5rem;
+          text-transform: none;
+          letter-spacing: normal;
+        }
+
+        .filter-range {
+          display: flex;
+          gap: 4px;
+        }
+
+        .filter-input {
+          width: 100%;
+          min-width: 0;
+          height: 26px;
+          padding: 0 0.375rem;
+          border: 1px solid #2a2a2a;
+          border-radius: 5px;
+          background: #111;
+          color: var(--luna-grid-cell-color);
+          font-family: inherit;
+          font-size: 0.75rem;
+          outline: none;
+          color-scheme: dark;
+        }
+
+        .filter-input:focus { border-color: var(--luna-grid-accent); }
+
         tbody tr.tr {
           background:  var(--luna-grid-row-bg);
           border-bottom: 1px solid var(--luna-grid-divider);
@@ -551,6 +2499,129 @@ class LunaDataGrid extends HTMLElement {
           max-width: 0;
         }
 
+        /* ── groups & detail rows ── */
+        tbody tr.group-row {
+          background: rgba(255, 255, 255, 0.02);
+          border-bottom: 1px solid var(--luna-grid-divider);
+          cursor: pointer;
+          user-select: none;
+        }
+
+        tbody tr.group-row:hover { background: var(--luna-grid-row-hover); }
+
+        .group-head {
+          display: inline-flex;
+          align-items: center;
+          gap: 6px;
+        }
+
+        .group-key   { color: var(--luna-grid-header-color); font-size: var(--luna-grid-header-size); text-transform: uppercase; letter-spacing: 0.06em; }
+        .group-value { font-weight: 600; }
+
+        .group-count {
+          padding: 0 6px;
+          border-radius: 999px;
+          background: rgba(255, 255, 255, 0.06);
+          color: var(--luna-grid-pagination-color);
+          font-size: 0.6875rem;
+          line-height: 1.5;
+        }
+
+        .td-agg,
+        .group-agg { font-weight: 600; }
+
+        .group-agg { margin-left: 6px; }
+
+        .agg-label {
+          margin-right: 4px;
+          color: var(--luna-grid-header-color);
+          font-size: 0.625rem;
+          font-weight: 400;
+          text-transform: uppercase;
+          letter-spacing: 0.06em;
+        }
+
+        .chevron {
+          width: 12px;
+          height: 12px;
+          flex-shrink: 0;
+          color: var(--luna-grid-header-color);
+          transition: transform 0.15s ease;
+        }
+
+        .chevron.open { transform: rotate(90deg); }
+
+        .th-expand, .td-expand {
+          width: 36px;
+          padding: 0 0 0 0.625rem;
+        }
+
+        .row-expander {
+          width: 22px;
+          height: 22px;
+          border: none;
+          border-radius: 4px;
+          background: none;
+          cursor: pointer;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+        }
+
+        .row-expander:hover { background: rgba(255, 255, 255, 0.05); }
+
+        tbody tr.detail-row { border-bottom: 1px solid var(--luna-grid-divider); }
+
+        .td-detail {
+          padding: 0;
+          background: rgba(0, 0, 0, 0.15);
+        }
+
+        .detail-panel {
+          padding: 1rem 1rem 1rem 2.5rem;
+          font-size: var(--luna-grid-cell-size);
+          color: var(--luna-grid-cell-color);
+        }
+
+        .td.editable { cursor: text; }
+
+        .td.editing {
+          padding: 0.25rem 0.5rem;
+          overflow: visible;
+        }
+
+        .td.invalid .cell-editor {
+          border-color: #e63946;
+          box-shadow: 0 0 0 2px rgba(230, 57, 70, 0.2);
+        }
+
+        input.cell-editor,
+        select.cell-editor {
+          width: 100%;
+          height: 28px;
+          padding: 0 0.5rem;
+          border: 1px solid #2a2a2a;
+          border-radius: 5px;
+          background: #111;
+          color: var(--luna-grid-cell-color);
+          font-family: inherit;
+          font-size: var(--luna-grid-cell-size);
+          outline: none;
+        }
+
+        input.cell-editor:focus,
+        select.cell-editor:focus {
+          border-color: var(--luna-grid-accent);
+        }
+
+        input.cell-editor[type="checkbox"] {
+          width: 14px;
+          height: 14px;
+          accent-color: var(--luna-grid-accent);
+        }
+
+        luna-date-picker.cell-editor { display: block; }
+
         .td-empty {
           text-align: center;
           color: #333;
@@ -699,86 +2770,239 @@ class LunaDataGrid extends HTMLElement {
         .pg-ellipsis  { font-size: 0.6875rem; color: #333; padding: 0 4px; }
       </style>
 
-      <div class="shell" part="base">
-        <div class="scroll-wrap" part="scroll">
-          <table part="table">
-            <thead part="head">
-              <tr>
-                ${selectAllCell}
-                ${headerCells}
-              </tr>
-            </thead>
-            <tbody id="tbody" part="body">
-              ${bodyRows}
-              ${emptyRow}
-            </tbody>
-          </table>
+      <div class="grid-wrap">
+        ${columnMenu ? this._columnMenuHTML() : ''}
+        <div class="shell" part="base">
+          <div class="scroll-wrap${virtual && !loading ? ' virtual' : ''}" part="scroll" tabindex="-1">
+            <table
+              part="table"
+              role="grid"
+              aria-rowcount="${loading ? -1 : headerRows + detailRows + (remote ? Math.max(total, entries.length) : entries.length)}"
+              aria-colcount="${cols.length + ctx.lead}"
+              ${selectable ? 'aria-multiselectable="true"' : ''}
+            >
+              <colgroup>${colGroup}</colgroup>
+              <thead part="head">
+                <tr class="head-row" role="row" aria-rowindex="1">
+                  ${selectAllCell}
+                  ${ctx.detail ? `<th class="th th-expand" role="columnheader" tabindex="-1" data-col="${selectable ? 1 : 0}"><span class="sr-only">Details</span></th>` : ''}
+                  ${headerCells}
+                </tr>
+                ${filterRow}
+              </thead>
+              <tbody id="tbody" part="body">
+                ${bodyRows}
+                ${emptyRow}
+              </tbody>
+            </table>
+          </div>
+          ${paginationHTML}
         </div>
-        ${paginationHTML}
       </div>
     `;
 
-    this._bindEvents(pageItems, sorted.map(s => s.origIdx), selectable);
+    this._bindEvents(selectable);
+
+    if (this._focus.pos >= this._viewItems.length) {
+      this._focus.pos = this._lastRowPos();
+    }
+
+    // A remote page change renders a skeleton first; restore focus once rows arrive.
+    if (focusCell && loading) {
+      this._keepFocus = true;
+    }
+
+    const focused = this._syncRovingFocus(focusCell && !focusFilter && !loading);
+
+    if (focused && focusCell && !loading) {
+      this._keepFocus = false;
+    }
+
+    if (focusFilter) {
+      const input = this.shadowRoot.querySelector(
+        `[data-filter-key="${focusFilter.key}"][data-filter-part="${focusFilter.part}"]`
+      );
+      if (input) {
+        input.focus();
+        if (focusFilter.caret !== null) {
+          input.setSelectionRange(focusFilter.caret, focusFilter.caret);
+        }
+      }
+    }
+
+    if (virtual && !loading) {
+      const wrap = this.shadowRoot.querySelector('.scroll-wrap');
+      wrap.scrollTop = this._vScrollTop;
+      wrap.addEventListener('scroll', this._onScroll, { passive: true });
+      this._updateVirtualWindow(true);
+    } else {
+      this._vScrollTop = 0;
+    }
+
+    this._updateSelectionUI();
   }
 
-  _bindEvents(pageItems, visibleOrigIdxs, selectable) {
+  _bindEvents(selectable) {
     const root = this.shadowRoot;
 
     root.querySelectorAll('th.sortable').forEach(th => {
-      th.addEventListener('click', () => this._toggleSort(th.dataset.key));
+      th.addEventListener('click', e => {
+        if (!this._resizing) {
+          this._toggleSort(th.dataset.key, e.shiftKey);
+        }
+      });
     });
 
-    if (selectable) {
-      root.querySelectorAll('input[data-row-idx]').forEach(cb => {
-        cb.addEventListener('change', () => {
-          this._toggleRow(parseInt(cb.dataset.rowIdx, 10));
+    root.querySelectorAll('.filter-input').forEach(input => {
+      const immediate = input.localName === 'select' || input.type === 'date';
+      input.addEventListener(immediate ? 'change' : 'input', () => this._onColumnFilterInput(input, immediate));
+    });
+
+    root.querySelectorAll('.col-resizer').forEach(handle => {
+      handle.addEventListener('pointerdown', e => this._startResize(e, handle.dataset.resize));
+      handle.addEventListener('click', e => e.stopPropagation());
+    });
+
+    root.querySelectorAll('th[draggable="true"]').forEach(th => {
+      const clearDrop = () => th.classList.remove('drop-before', 'drop-after');
+
+      th.addEventListener('dragstart', e => {
+        if (this._resizing) {
+          e.preventDefault();
+          return;
+        }
+        this._dragKey = th.dataset.key;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', th.dataset.key);
+        th.classList.add('dragging');
+      });
+
+      th.addEventListener('dragover', e => {
+        if (!this._dragKey || this._dragKey === th.dataset.key) {
+          return;
+        }
+        e.preventDefault();
+        const rect  = th.getBoundingClientRect();
+        const after = e.clientX > rect.left + rect.width / 2;
+        th.classList.toggle('drop-before', !after);
+        th.classList.toggle('drop-after', after);
+      });
+
+      th.addEventListener('dragleave', clearDrop);
+
+      th.addEventListener('drop', e => {
+        e.preventDefault();
+        const after = th.classList.contains('drop-after');
+        const key   = this._dragKey;
+        clearDrop();
+        this._dragKey = null;
+        if (key) {
+          this._moveColumn(key, th.dataset.key, after);
+        }
+      });
+
+      th.addEventListener('dragend', () => {
+        this._dragKey = null;
+        th.classList.remove('dragging');
+        root.querySelectorAll('.drop-before, .drop-after').forEach(el => {
+          el.classList.remove('drop-before', 'drop-after');
         });
       });
+    });
+
+    const menuBtn = root.querySelector('.col-menu-btn');
+    if (menuBtn) {
+      menuBtn.addEventListener('click', () => this._toggleMenu());
+
+      root.querySelectorAll('input[data-col-toggle]').forEach(cb => {
+        cb.addEventListener('change', () => this._setColumnHidden(cb.dataset.colToggle, !cb.checked));
+      });
+
+      root.querySelector('[data-col-reset]').addEventListener('click', () => {
+        this._resetColumnState();
+        this._render();
+        this._emitColumnsChange('reset');
+      });
+    }
 
+    if (selectable) {
       const allCb = root.querySelector('input[data-select-all]');
       if (allCb) {
         allCb.addEventListener('change', () => {
-          this._toggleAll(allCb.checked, visibleOrigIdxs);
+          this._toggleAll(allCb.checked, this._visibleIdxs);
         });
       }
     }
 
-    root.querySelectorAll('tr[data-orig-idx]').forEach(tr => {
-      tr.addEventListener('click', e => {
-        if (e.target.closest('input, button, a, luna-button')) {
-          return;
-        }
+    this._bindRowEvents(root);
 
-        const origIdx = parseInt(tr.dataset.origIdx, 10);
-        this.dispatchEvent(new CustomEvent('luna-row-click', {
-          bubbles: true, composed: true,
-          detail: { index: origIdx, row: this._rows[origIdx] },
-        }));
-      });
-    });
+    const table = root.querySelector('table');
+    table.addEventListener('keydown', e => this._onGridKeyDown(e));
+    table.addEventListener('focusin', e => this._onGridFocusIn(e));
 
     root.querySelectorAll('.pg-btn[data-page]').forEach(btn => {
       if (btn.disabled) {
         return;
       }
 
-      btn.addEventListener('click', () => {
-        const p         = parseInt(btn.dataset.page, 10);
-        const pageSize  = this._pageSize();
-        const total     = this._sorted(this._filtered()).length;
-        const maxPage   = pageSize > 0 ? Math.max(1, Math.ceil(total / pageSize)) : 1;
+      btn.addEventListener('click', () => this._goToPage(parseInt(btn.dataset.page, 10)));
+    });
+  }
+
+  _goToPage(p) {
+    const pageSize = this._pageSize();
+    const total    = this._total;
+    const maxPage  = pageSize > 0 ? Math.max(1, Math.ceil(total / pageSize)) : 1;
+
+    if (p < 1 || p > maxPage || p === this._page) {
+      this._keepFocus = false;
+      return;
+    }
+
+    this._page = p;
+
+    if (this._dataProvider) {
+      this._fetch();
+    } else {
+      this._render();
+    }
+
+    this.dispatchEvent(new CustomEvent('luna-page', {
+      bubbles: true, composed: true,
+      detail: { page: this._page, pageSize, total },
+    }));
+  }
+
+  _bindRowEvents(container) {
+    container.querySelectorAll('tr.group-row').forEach(tr => {
+      tr.addEventListener('click', () => this._toggleGroup(decodeURIComponent(tr.dataset.group)));
+    });
+
+    container.querySelectorAll('.row-expander').forEach(btn => {
+      btn.addEventListener('click', () => this._toggleDetail(parseInt(btn.dataset.expand, 10)));
+    });
+
+    container.querySelectorAll('td.editable').forEach(td => {
+      td.addEventListener('dblclick', () => {
+        this._startEdit(parseInt(td.parentElement.dataset.origIdx, 10), td.dataset.key);
+      });
+    });
+
+    if (this.hasAttribute('selectable')) {
+      container.querySelectorAll('input[data-row-idx]').forEach(cb => {
+        cb.addEventListener('change', () => {
+          this._toggleRow(parseInt(cb.dataset.rowIdx, 10));
+        });
+      });
+    }
 
-        if (p < 1 || p > maxPage) {
+    container.querySelectorAll('tr[data-orig-idx]').forEach(tr => {
+      tr.addEventListener('click', e => {
+        if (e.target.closest('input, select, button, a, luna-button, .cell-editor')) {
           return;
         }
 
-        this._page = p;
-        this._render();
-
-        this.dispatchEvent(new CustomEvent('luna-page', {
-          bubbles: true, composed: true,
-          detail: { page: this._page, pageSize, total },
-        }));
+        this._emitRowClick(parseInt(tr.dataset.origIdx, 10));
       });
     });
   }
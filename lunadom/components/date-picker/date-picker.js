@@ -1,24 +1,58 @@
 // lunadom/components/date-picker/date-picker.js
 
+import { createFloating } from '../floating/floating.js';
+import { FormValidity } from '../form-validity/form-validity.js';
+
 /**
  * @customElement luna-date-picker
  *
+ * @slot error-text - Custom error content, shown in place of the help text while invalid.
+ *
  * Attributes:
- * @attr {string}  value        - Selected date in YYYY-MM-DD format (single mode).
- * @attr {string}  value-start  - Range start date in YYYY-MM-DD format (range mode).
- * @attr {string}  value-end    - Range end date in YYYY-MM-DD format (range mode).
+ * @attr {'date'|'datetime'|'time'} type - What is picked. Defaults to 'date'.
+ * @attr {string}  value        - Selected value as ISO 8601 (single mode): YYYY-MM-DD, YYYY-MM-DDTHH:mm
+ *                                or HH:mm depending on `type`, with :ss when `seconds` is set and a
+ *                                UTC offset when `timezone` is set. Values carrying an offset are
+ *                                converted to the picker's zone.
+ * @attr {string}  value-start  - Range start in the same format as `value` (range mode).
+ * @attr {string}  value-end    - Range end in the same format as `value` (range mode).
  * @attr {string}  placeholder  - Placeholder text for the trigger input. Defaults to 'Pick a date'.
  * @attr {string}  label        - Label displayed above the trigger input.
  * @attr {string}  help-text    - Help text displayed below the trigger input.
- * @attr {string}  min          - Minimum selectable date in YYYY-MM-DD format.
- * @attr {string}  max          - Maximum selectable date in YYYY-MM-DD format.
- * @attr {string}  format       - Display format token string. Supports: YYYY MM DD MMM.
- *                                Defaults to 'MMM DD, YYYY'.
+ * @attr {string}  min          - Minimum selectable value in the same format as `value`.
+ * @attr {string}  max          - Maximum selectable value in the same format as `value`.
+ * @attr {string}  disabled-dates - Comma-separated days that cannot be picked: YYYY-MM-DD dates or
+ *                                YYYY-MM-DD/YYYY-MM-DD spans.
+ * @attr {boolean} presets      - Range mode: shows a sidebar of preset ranges (Today, Last 7 days,
+ *                                Last 30 days, This month, Last month). See the `presets` property.
+ * @attr {number}  step         - Minute granularity of the time spinners, 1–60. Defaults to 1.
+ * @attr {boolean} seconds      - Adds a seconds spinner and includes seconds in the value.
+ * @attr {'12'|'24'} hour-cycle - 12- or 24-hour time display. Defaults to the locale's convention.
+ * @attr {string}  timezone     - IANA time zone (e.g. 'Europe/Berlin') the time is picked in. The
+ *                                value then carries that zone's UTC offset. Defaults to local time,
+ *                                without an offset.
+ * @attr {string}  format       - Display and typing format of the date part. Tokens: YYYY YY MMMM MMM MM M DD D dddd ddd;
+ *                                wrap literal text in [brackets]. Defaults to the locale's medium
+ *                                date pattern, e.g. 'MMM DD, YYYY' for English.
+ * @attr {string}  lang         - BCP 47 locale for month/weekday names and the default format.
+ *                                Falls back to the nearest ancestor `lang`, then the browser locale.
+ * @attr {string}  week-start   - First day of the week: 0–6 (0 = Sunday) or a day name such as
+ *                                'monday'. Defaults to the locale's convention.
+ * @attr {'ltr'|'rtl'} dir      - Text direction. Defaults to the direction of the locale's script.
  * @attr {boolean} range        - Enables date-range selection mode (start + end date).
- * @attr {boolean} disabled     - Disables the trigger input.
+ * @attr {boolean} disabled     - Disables the trigger input, or every control of an inline panel.
  * @attr {boolean} readonly     - Makes the trigger input read-only (calendar still opens).
+ *                                Otherwise a date can be typed in the `format` pattern or as ISO.
  * @attr {boolean} clearable    - Shows a clear button when a value is set.
- * @attr {'top'|'bottom'} placement - Panel placement relative to the trigger. Defaults to 'bottom'.
+ * @attr {'top'|'bottom'} placement - Preferred panel side relative to the trigger; flips when that side
+ *                                    lacks room. Defaults to 'bottom'.
+ * @attr {number}  months       - Number of consecutive months shown side by side. Defaults to 1.
+ * @attr {boolean} inline       - If present, the calendar is always visible (no trigger input).
+ * @attr {string}  name         - Name the value is submitted under when inside a form. In range
+ *                                mode the value is submitted as an ISO interval: 'start/end'.
+ * @attr {boolean} required     - A date (or, in range mode, both ends) must be chosen to be valid.
+ * @attr {string}  error-text   - Error message shown in place of the help text while invalid.
+ *                                Defaults to the validation message.
  *
  * CSS Custom Properties:
  * @cssprop --luna-dp-bg              - Calendar panel background (default: #141414)
@@ -44,40 +78,109 @@
  * @cssprop --luna-dp-header-color    - Month/year heading colour (default: #fff)
  * @cssprop --luna-dp-weekday-color   - Weekday label colour (default: #444)
  * @cssprop --luna-dp-z               - Panel z-index (default: 1000)
+ * @cssprop --luna-dp-error           - Border and error text colour while invalid (default: #ef4444)
+ * @cssprop --luna-dp-marker          - Day marker dot and badge colour (default: #f59e0b)
+ *
+ * CSS Parts:
+ * @csspart panel      - The dropdown calendar panel.
+ * @csspart day-badge  - Badge text added by `dateInfo`.
+ * @csspart day-marker - Marker dot added by `dateInfo`.
+ * @csspart presets    - The range preset sidebar.
+ * @csspart error-text - The error message shown while invalid.
+ *
+ * Custom States:
+ * :state(invalid)      - The value is missing, out of `min`/`max` bounds, unparseable, or has a custom error.
+ * :state(user-invalid) - The picker is invalid and the user has interacted with it or tried to submit.
+ * Chrome 90–124 only supports dashed state names: match :state(--invalid) / :state(--user-invalid)
+ * (legacy syntax :--invalid / :--user-invalid) there.
+ *
+ * Form Association:
+ * Submits the ISO value under `name` in single mode, or 'start/end' once both ends of a range
+ * are set; an empty or half-chosen range adds no entry. A form reset restores the initial
+ * value attributes and discards unconfirmed times.
+ *
+ * Properties:
+ * @prop {(date: Date) => boolean} isDateDisabled - Return true to block a day, on top of `min`, `max`
+ *   and `disabled-dates`.
+ * @prop {(date: Date) => ?{ label?: string, badge?: string, marker?: boolean|string, className?: string }} dateInfo
+ *   - Decorates a day: `label` becomes its tooltip and is read out with the date, `badge` is a short
+ *   corner badge, `marker` adds a dot (true, or a CSS colour) and `className` an extra class.
+ * @prop {Array<{ label: string, range: Array<Date|string> | (() => Array<Date|string>) }>} presets
+ *   - Range-mode sidebar entries, each setting `value-start`/`value-end` in one click. Replaces the
+ *   built-in list and shows the sidebar even without the `presets` attribute.
  *
  * Events:
  * @event luna-change - Emitted when the selected value changes.
  *   detail (single): { value: string }
  *   detail (range):  { valueStart: string, valueEnd: string }
  * @event luna-clear  - Emitted when the value is cleared.
+ * @event luna-invalid - Emitted when a validity check fails. detail: { validity, message }
  */
-class LunaDatePicker extends HTMLElement {
+class LunaDatePicker extends FormValidity(HTMLElement) {
+
+  static formAssociated = true;
+
+  static FORMAT_TOKENS = /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|dddd|ddd|DD|D/g;
 
   static get observedAttributes() {
     return [
       'value', 'value-start', 'value-end',
       'placeholder', 'label', 'help-text',
-      'min', 'max', 'format',
-      'range', 'disabled', 'readonly', 'clearable', 'placement'
+      'min', 'max', 'format', 'lang', 'week-start', 'dir',
+      'type', 'step', 'seconds', 'hour-cycle', 'timezone',
+      'disabled-dates', 'presets', 'months', 'inline',
+      'range', 'disabled', 'readonly', 'clearable', 'placement',
+      'required', 'error-text'
     ];
   }
 
   constructor() {
     super();
     this.attachShadow({ mode: 'open' });
+    this._internals   = this.attachInternals();
+    this._formDisabled = false;
+    this._customValidity = '';
+    this._userInteracted = false;
+    this._typedInvalid   = false;
+    this._formatters     = new Map();
+    this._draftTimes     = {};
+    this._dayInfo        = new Map();
+    this._isDateDisabled = null;
+    this._dateInfoFn     = null;
+    this._presets        = null;
     this._open        = false;
+    this._view        = 'days';
     this._viewYear    = new Date().getFullYear();
     this._viewMonth   = new Date().getMonth();
     this._rangeHover  = null;
 
     this._handleOutsideClick = this._handleOutsideClick.bind(this);
     this._handleKeyDown      = this._handleKeyDown.bind(this);
+
+    this.addEventListener('invalid', () => {
+      this._userInteracted = true;
+      this._updateErrorUI();
+      this.dispatchEvent(new CustomEvent('luna-invalid', {
+        bubbles:  true,
+        composed: true,
+        detail:   { validity: this.validity, message: this.validationMessage }
+      }));
+    });
   }
 
   // ─── lifecycle ──────────────────────────────────────────────────────────────
 
   connectedCallback() {
+    if (this._defaults === undefined) {
+      this._defaults = {
+        'value':       this.getAttribute('value'),
+        'value-start': this.getAttribute('value-start'),
+        'value-end':   this.getAttribute('value-end')
+      };
+    }
     this._syncViewFromValue();
+    this._syncFormValue();
+    this._updateValidity();
     this._render();
     document.addEventListener('click',   this._handleOutsideClick);
     document.addEventListener('keydown', this._handleKeyDown);
@@ -86,6 +189,9 @@ class LunaDatePicker extends HTMLElement {
   disconnectedCallback() {
     document.removeEventListener('click',   this._handleOutsideClick);
     document.removeEventListener('keydown', this._handleKeyDown);
+    if (this._floating) {
+      this._floating.hide(0);
+    }
   }
 
   attributeChangedCallback(name, oldVal, newVal) {
@@ -93,8 +199,14 @@ class LunaDatePicker extends HTMLElement {
       return;
     }
 
-    if (name === 'value' || name === 'value-start' || name === 'value-end') {
+    if (name === 'value' || name === 'value-start' || name === 'value-end' || name === 'range') {
+      this._typedInvalid = false;
       this._syncViewFromValue();
+      this._syncFormValue();
+    }
+
+    if (['value', 'value-start', 'value-end', 'range', 'min', 'max', 'required', 'type', 'step', 'timezone'].includes(name)) {
+      this._updateValidity();
     }
 
     this._render();
@@ -116,6 +228,176 @@ class LunaDatePicker extends HTMLElement {
     return this.getAttribute('value-end') || '';
   }
 
+  get name() {
+    return this.getAttribute('name') || '';
+  }
+
+  set name(v) {
+    this.setAttribute('name', v);
+  }
+
+  get form() {
+    return this._internals.form;
+  }
+
+  get isDateDisabled() {
+    return this._isDateDisabled;
+  }
+
+  set isDateDisabled(fn) {
+    this._isDateDisabled = typeof fn === 'function' ? fn : null;
+    this._updateValidity();
+    this._renderPanel();
+  }
+
+  get dateInfo() {
+    return this._dateInfoFn;
+  }
+
+  set dateInfo(fn) {
+    this._dateInfoFn = typeof fn === 'function' ? fn : null;
+    this._renderPanel();
+  }
+
+  get presets() {
+    return this._presets;
+  }
+
+  set presets(list) {
+    this._presets = Array.isArray(list) ? list : null;
+    this._renderPanel();
+  }
+
+  // ─── form association ───────────────────────────────────────────────────────
+
+  formResetCallback() {
+    this._userInteracted = false;
+    this._draftTimes = {};
+    Object.entries(this._defaults || {}).forEach(([attr, val]) => {
+      if (val === null) {
+        this.removeAttribute(attr);
+      } else {
+        this.setAttribute(attr, val);
+      }
+    });
+    this._updateValidity();
+  }
+
+  formStateRestoreCallback(state) {
+    if (typeof state !== 'string') {
+      return;
+    }
+
+    if (this._isRange()) {
+      const [start, end] = state.split('/');
+      this.setAttribute('value-start', start || '');
+      this.setAttribute('value-end',   end   || '');
+    } else {
+      this.setAttribute('value', state);
+    }
+  }
+
+  formDisabledCallback(disabled) {
+    this._formDisabled = disabled;
+
+    if (disabled) {
+      this._closePanel();
+    }
+
+    if (this.isConnected) {
+      this._render();
+    }
+  }
+
+  _isDisabled() {
+    return this.hasAttribute('disabled') || this._formDisabled;
+  }
+
+  _syncFormValue() {
+    if (!this._isRange()) {
+      this._internals.setFormValue(this.value || null);
+      return;
+    }
+
+    const start = this.valueStart;
+    const end   = this.valueEnd;
+    this._internals.setFormValue(start && end ? `${start}/${end}` : null);
+  }
+
+  // ─── validation ─────────────────────────────────────────────────────────────
+
+  _validate() {
+    const range = this._isRange();
+    const first = range ? this.valueStart : this.value;
+    const last  = range ? this.valueEnd   : this.value;
+    const min   = this._comparable(this.getAttribute('min'));
+    const max   = this._comparable(this.getAttribute('max'));
+    const noun  = this._type() === 'time' ? 'time' : 'date';
+    const Noun  = noun === 'time' ? 'Time' : 'Date';
+    const step  = this._step();
+
+    if (this._customValidity) {
+      return [{ customError: true }, this._customValidity];
+    }
+    if (this._typedInvalid) {
+      return [{ badInput: true }, `Please enter a valid ${noun}.`];
+    }
+    if (this.hasAttribute('required') && !(first && last)) {
+      return [{ valueMissing: true }, range ? `Please select a ${noun} range.` : `Please select a ${noun}.`];
+    }
+    if ((first && !this._comparable(first)) || (last && !this._comparable(last))) {
+      return [{ badInput: true }, `Please enter a valid ${noun}.`];
+    }
+    if (first && min && this._comparable(first) < min) {
+      return [{ rangeUnderflow: true }, `${Noun} must be ${this.getAttribute('min')} or later.`];
+    }
+    if (last && max && this._comparable(last) > max) {
+      return [{ rangeOverflow: true }, `${Noun} must be ${this.getAttribute('max')} or earlier.`];
+    }
+    const unavailable = v => this._type() !== 'time' && !!this._dateOf(v) && this._isDisabledDate(this._dateOf(v));
+    if (unavailable(first) || unavailable(last)) {
+      return [{ badInput: true }, 'Please choose an available date.'];
+    }
+    const offStep = v => {
+      const time = this._splitValue(v)?.time;
+      return !!time && Number(time.slice(3, 5)) % step !== 0;
+    };
+    if (this._type() !== 'date' && (offStep(first) || offStep(last))) {
+      return [{ stepMismatch: true }, `Please choose a time in ${step}-minute steps.`];
+    }
+
+    return [{}, ''];
+  }
+
+  _updateValidity() {
+    const [flags, message] = this._validate();
+    const anchor = this.shadowRoot.getElementById('trigger-input') || this.shadowRoot.querySelector('#panel button:not([disabled])') || undefined;
+    this._internals.setValidity(flags, message, anchor);
+    this._updateErrorUI();
+  }
+
+  _showError() {
+    return !this._internals.validity.valid && this._userInteracted;
+  }
+
+  _updateErrorUI() {
+    const invalid = !this._internals.validity.valid;
+    this._setState('invalid', invalid);
+    this._setState('user-invalid', this._showError());
+
+    const group = this.shadowRoot.querySelector('.dp-group');
+    const msg   = this.shadowRoot.querySelector('.error-message');
+    const input = this.shadowRoot.getElementById('trigger-input');
+
+    if (!group) {
+      return;
+    }
+
+    group.classList.toggle('invalid', this._showError());
+    msg.textContent = this.getAttribute('error-text') || this.validationMessage;
+    input?.setAttribute('aria-invalid', String(this._showError()));
+  }
+
   _isRange() {
     return this.hasAttribute('range');
   }
@@ -135,24 +417,597 @@ class LunaDatePicker extends HTMLElement {
     return `${y}-${m}-${d}`;
   }
 
+  // ─── locale ─────────────────────────────────────────────────────────────────
+
+  _locale() {
+    const lang = this.closest('[lang]')?.getAttribute('lang');
+
+    if (lang) {
+      try {
+        return Intl.DateTimeFormat.supportedLocalesOf(lang).length ? lang : undefined;
+      } catch (e) {
+        return undefined;
+      }
+    }
+
+    return undefined;
+  }
+
+  _intlLocale() {
+    try {
+      return new Intl.Locale(this._dtf({}).resolvedOptions().locale);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Formatters are cached per locale + options; building them is the slow part.
+  _dtf(options) {
+    const locale = this._locale();
+    const key    = `${locale}|${JSON.stringify(options)}`;
+
+    if (!this._formatters.has(key)) {
+      this._formatters.set(key, new Intl.DateTimeFormat(locale, options));
+    }
+
+    return this._formatters.get(key);
+  }
+
+  _weekStart() {
+    const attr = (this.getAttribute('week-start') || '').trim().toLowerCase();
+
+    if (attr) {
+      const names = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+      const index = names.indexOf(attr.slice(0, 3));
+      const day   = index > -1 ? index : parseInt(attr, 10);
+
+      if (day >= 0 && day <= 6) {
+        return day;
+      }
+    }
+
+    const locale = this._intlLocale();
+    const info   = locale && (locale.getWeekInfo ? locale.getWeekInfo() : locale.weekInfo);
+
+    // Intl numbers days 1 (Monday) – 7 (Sunday).
+    return info && info.firstDay ? info.firstDay % 7 : 0;
+  }
+
+  _dir() {
+    const dir = this.getAttribute('dir');
+
+    if (dir === 'ltr' || dir === 'rtl') {
+      return dir;
+    }
+
+    const locale = this._intlLocale();
+    const info   = locale && (locale.getTextInfo ? locale.getTextInfo() : locale.textInfo);
+
+    return info && info.direction === 'rtl' ? 'rtl' : 'ltr';
+  }
+
+  _monthName(date, width) {
+    return this._dtf({ month: width }).format(date);
+  }
+
+  _weekdayName(date, width) {
+    return this._dtf({ weekday: width }).format(date);
+  }
+
+  _format() {
+    const fmt = this.getAttribute('format');
+
+    if (fmt) {
+      return fmt;
+    }
+
+    const parts = this._dtf({ year: 'numeric', month: 'short', day: '2-digit' })
+      .formatToParts(new Date(2000, 0, 2));
+
+    return parts.map(part => {
+      switch (part.type) {
+        case 'year':  return 'YYYY';
+        // Some locales (ja, zh, ko) keep the month numeric even when short.
+        case 'month': return /^\d+$/.test(part.value) ? 'M' : 'MMM';
+        case 'day':   return 'DD';
+        default:      return part.value ? `[${part.value}]` : '';
+      }
+    }).join('');
+  }
+
+  _formatDate(d, fmt) {
+    return fmt.replace(LunaDatePicker.FORMAT_TOKENS, (token, literal) => {
+      if (literal !== undefined) {
+        return literal;
+      }
+
+      switch (token) {
+        case 'YYYY': return String(d.getFullYear());
+        case 'YY':   return String(d.getFullYear()).slice(-2);
+        case 'MMMM': return this._monthName(d, 'long');
+        case 'MMM':  return this._monthName(d, 'short');
+        case 'MM':   return String(d.getMonth() + 1).padStart(2, '0');
+        case 'M':    return String(d.getMonth() + 1);
+        case 'dddd': return this._weekdayName(d, 'long');
+        case 'ddd':  return this._weekdayName(d, 'short');
+        case 'DD':   return String(d.getDate()).padStart(2, '0');
+        case 'D':    return String(d.getDate());
+        default:     return token;
+      }
+    });
+  }
+
   _formatDisplay(isoStr) {
-    const d = this._parseDate(isoStr);
+    const parts = this._splitValue(isoStr);
 
-    if (!d) {
+    if (!parts) {
       return '';
     }
 
-    const fmt    = this.getAttribute('format') || 'MMM DD, YYYY';
-    const months = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+    const type = this._type();
+    const date = type !== 'time' && parts.date ? this._formatDate(this._parseDate(parts.date), this._format()) : '';
+    const time = type !== 'date' && parts.time ? this._formatTime(parts.time) : '';
+
+    return [date, time].filter(Boolean).join(' ');
+  }
+
+  // ─── time ───────────────────────────────────────────────────────────────────
+  //
+  // Values are handled as wall-clock date and time parts in the picker's zone
+  // (`timezone`, or local time). Times are kept internally as HH:mm:ss.
+
+  _type() {
+    const type = this.getAttribute('type');
+    return type === 'datetime' || type === 'time' ? type : 'date';
+  }
+
+  _step() {
+    const step = parseInt(this.getAttribute('step'), 10);
+    return step >= 1 && step <= 60 ? step : 1;
+  }
+
+  _hasSeconds() {
+    return this.hasAttribute('seconds');
+  }
+
+  _hour12() {
+    const cycle = this.getAttribute('hour-cycle');
+
+    if (cycle === '12' || cycle === '24') {
+      return cycle === '12';
+    }
+
+    const hc = this._dtf({ hour: 'numeric' }).resolvedOptions().hourCycle;
+    return hc === 'h11' || hc === 'h12';
+  }
+
+  _timeZone() {
+    const tz = this.getAttribute('timezone');
+
+    if (!tz) {
+      return null;
+    }
+
+    try {
+      return this._tzFormatter(tz) ? tz : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  _tzFormatter(tz) {
+    const key = `tz|${tz}`;
+
+    if (!this._formatters.has(key)) {
+      this._formatters.set(key, new Intl.DateTimeFormat('en-US', {
+        timeZone: tz, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+      }));
+    }
+
+    return this._formatters.get(key);
+  }
+
+  // Wall-clock time in the picker's zone at the given instant, as a UTC timestamp.
+  _zoneWall(ms) {
+    const parts = {};
+    this._tzFormatter(this._timeZone()).formatToParts(new Date(ms)).forEach(p => {
+      parts[p.type] = Number(p.value);
+    });
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+  }
+
+  // UTC offset in minutes of the picker's zone at a wall-clock date and time,
+  // or null when no `timezone` is set.
+  _zoneOffset(date, time) {
+    if (!this._timeZone()) {
+      return null;
+    }
+
+    const [y, mo, d] = date.split('-').map(Number);
+    const [h, mi, s] = time.split(':').map(Number);
+    const wall = Date.UTC(y, mo - 1, d, h, mi, s);
+
+    // Second pass settles wall times right after a DST transition.
+    let offset = this._zoneWall(wall) - wall;
+    offset = this._zoneWall(wall - offset) - (wall - offset);
+
+    return Math.round(offset / 60000);
+  }
+
+  _offsetString(minutes) {
+    if (minutes === 0) {
+      return 'Z';
+    }
+
+    const pad  = n => String(n).padStart(2, '0');
+    const abs  = Math.abs(minutes);
+    return `${minutes < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+  }
+
+  // Splits an ISO 8601 date, time or date-time into { date, time } in the
+  // picker's zone. Returns null when the string is not valid ISO.
+  _splitValue(str) {
+    if (!str) {
+      return null;
+    }
+
+    const text = String(str).trim();
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+      return this._parseDate(text) ? { date: text, time: null } : null;
+    }
+
+    const m = /^(?:(\d{4}-\d{2}-\d{2})[T ])?(\d{2}):(\d{2})(?::(\d{2})(?:[.,]\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i.exec(text);
+
+    if (!m) {
+      return null;
+    }
+
+    let [, date = null, hh, mm, ss = '00', zone] = m;
+
+    if (Number(hh) > 23 || Number(mm) > 59 || Number(ss) > 59 || (date && !this._parseDate(date))) {
+      return null;
+    }
+
+    if (!zone) {
+      return { date, time: `${hh}:${mm}:${ss}` };
+    }
+
+    const sign   = zone[0] === '-' ? -1 : 1;
+    const digits = zone.replace(/\D/g, '');
+    const offset = /^z$/i.test(zone) ? 0 : sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2)));
+    const [y, mo, d] = (date || this._toISO(new Date())).split('-').map(Number);
+    const instant = Date.UTC(y, mo - 1, d, Number(hh), Number(mm), Number(ss)) - offset * 60000;
+
+    const tz  = this._timeZone();
+    const w   = new Date(tz ? this._zoneWall(instant) : instant);
+    const get = unit => tz ? w[`getUTC${unit}`]() : w[`get${unit}`]();
+    const pad = n => String(n).padStart(2, '0');
 
-    const tokens = {
-      'YYYY': String(d.getFullYear()),
-      'MMM':  months[d.getMonth()],
-      'MM':   String(d.getMonth() + 1).padStart(2, '0'),
-      'DD':   String(d.getDate()).padStart(2, '0'),
+    return {
+      date: date ? `${get('FullYear')}-${pad(get('Month') + 1)}-${pad(get('Date'))}` : null,
+      time: `${pad(get('Hours'))}:${pad(get('Minutes'))}:${pad(get('Seconds'))}`
     };
+  }
+
+  // Inverse of _splitValue: builds the ISO value for the current `type`.
+  _joinValue(date, time) {
+    const type = this._type();
+
+    if (type === 'date') {
+      return date || '';
+    }
+
+    const clock  = this._hasSeconds() ? time : time.slice(0, 5);
+    const offset = this._zoneOffset(date || this._toISO(new Date()), time);
+    const zone   = offset === null ? '' : this._offsetString(offset);
+
+    return type === 'time' ? `${clock}${zone}` : `${date}T${clock}${zone}`;
+  }
+
+  _dateOf(str) {
+    return this._splitValue(str)?.date || '';
+  }
+
+  // A string that sorts chronologically for the current `type`, or '' when
+  // the value cannot be read.
+  _comparable(str) {
+    const parts = this._splitValue(str);
+
+    if (!parts) {
+      return '';
+    }
+
+    switch (this._type()) {
+      case 'time': return parts.time || '';
+      case 'date': return parts.date || '';
+      default:     return parts.date ? `${parts.date}T${parts.time || '00:00:00'}` : '';
+    }
+  }
+
+  // Time of value / value-start / value-end, falling back to whatever was
+  // spun in before a date was chosen.
+  _timeOf(attr) {
+    return this._splitValue(this.getAttribute(attr))?.time || this._draftTimes[attr] || '00:00:00';
+  }
+
+  _setTime(attr, time) {
+    this._draftTimes[attr] = time;
+
+    if (this._type() === 'datetime') {
+      const date = this._dateOf(this.getAttribute(attr));
+
+      if (!date) {
+        this._renderPanel();
+        return;
+      }
 
-    return fmt.replace(/YYYY|MMM|MM|DD/g, token => tokens[token]);
+      this.setAttribute(attr, this._joinValue(date, time));
+    } else {
+      this.setAttribute(attr, this._joinValue(null, time));
+    }
+
+    this.dispatchEvent(new CustomEvent('luna-change', {
+      bubbles:  true,
+      composed: true,
+      detail:   this._isRange()
+        ? { valueStart: this.valueStart, valueEnd: this.valueEnd }
+        : { value: this.value }
+    }));
+  }
+
+  _spinTime(attr, unit, delta) {
+    if (this._isDisabled()) {
+      return;
+    }
+
+    let [h, m, s] = this._timeOf(attr).split(':').map(Number);
+    const step = this._step();
+
+    switch (unit) {
+      case 'hour':
+        h = (h + delta + 24) % 24;
+        break;
+      case 'minute':
+        m = delta > 0 ? (Math.floor(m / step) + 1) * step : (Math.ceil(m / step) - 1) * step;
+        m = m > 59 ? 0 : m < 0 ? Math.floor(59 / step) * step : m;
+        break;
+      case 'second':
+        s = (s + delta + 60) % 60;
+        break;
+      case 'period':
+        h = (h + 12) % 24;
+        break;
+    }
+
+    this._setTime(attr, this._clock(h, m, s));
+    this._focusTimeField(attr, unit);
+  }
+
+  // Applies a number typed straight into one of the spinner fields.
+  _typeTimeUnit(attr, unit, text) {
+    if (this._isDisabled()) {
+      return;
+    }
+
+    let [h, m, s] = this._timeOf(attr).split(':').map(Number);
+    const n    = parseInt(text, 10);
+    const step = this._step();
+
+    if (unit === 'hour' && this._hour12() && n >= 1 && n <= 12) {
+      h = n % 12 + (h >= 12 ? 12 : 0);
+    } else if (unit === 'hour' && !this._hour12() && n >= 0 && n <= 23) {
+      h = n;
+    } else if (unit === 'minute' && n >= 0 && n <= 59) {
+      m = Math.min(Math.round(n / step) * step, Math.floor(59 / step) * step);
+    } else if (unit === 'second' && n >= 0 && n <= 59) {
+      s = n;
+    } else {
+      this._renderPanel();
+      return;
+    }
+
+    this._setTime(attr, this._clock(h, m, s));
+  }
+
+  _focusTimeField(attr, unit) {
+    const field = this.shadowRoot.querySelector(`.time-row[data-target="${attr}"] [data-unit="${unit}"]:not(.spin-btn)`);
+    field?.focus();
+  }
+
+  _clock(h, m, s) {
+    return [h, m, s].map(n => String(n).padStart(2, '0')).join(':');
+  }
+
+  _formatTime(time) {
+    const [h, m, s] = time.split(':').map(Number);
+
+    return this._dtf({
+      hour:      'numeric',
+      minute:    '2-digit',
+      second:    this._hasSeconds() ? '2-digit' : undefined,
+      hourCycle: this._hour12() ? 'h12' : 'h23'
+    }).format(new Date(2000, 0, 1, h, m, s));
+  }
+
+  _dayPeriods() {
+    const fmt    = this._dtf({ hour: 'numeric', hourCycle: 'h12' });
+    const period = h => fmt.formatToParts(new Date(2000, 0, 1, h)).find(p => p.type === 'dayPeriod')?.value;
+    return [period(9) || 'AM', period(21) || 'PM'];
+  }
+
+  // Parses a typed time such as "9:30", "21.30.15", "9:30 pm" or "午後9:30".
+  // Returns HH:mm:ss or null.
+  _parseTypedTime(text) {
+    const m = /^(\D*?)\s*(\d{1,2})(?:[:.](\d{2}))?(?:[:.](\d{2}))?\s*(\D*)$/u.exec(text.trim());
+
+    if (!m) {
+      return null;
+    }
+
+    const [, before, hh, mm = '00', ss = '00', after] = m;
+    const norm   = v => v.toLowerCase().replace(/[.\s]/g, '');
+    const period = norm(after) || norm(before);
+    const [am, pm] = this._dayPeriods().map(norm);
+    let h = Number(hh);
+
+    if (period) {
+      const isAm = [am, 'am', 'a'].includes(period);
+      const isPm = [pm, 'pm', 'p'].includes(period);
+
+      if ((!isAm && !isPm) || h < 1 || h > 12) {
+        return null;
+      }
+
+      h = h % 12 + (isPm ? 12 : 0);
+    }
+
+    if (h > 23 || Number(mm) > 59 || Number(ss) > 59) {
+      return null;
+    }
+
+    return this._clock(h, Number(mm), Number(ss));
+  }
+
+  // Type-aware counterpart of _parseTyped. Returns the ISO value for the
+  // current `type` or null. A datetime typed without a time keeps `time`.
+  _parseTypedValue(text, time) {
+    const str  = text.trim();
+    const type = this._type();
+
+    if (type === 'date') {
+      return this._parseTyped(str);
+    }
+
+    const iso = this._splitValue(str);
+
+    if (iso && iso.time && (type === 'time' || iso.date)) {
+      return this._joinValue(iso.date, iso.time);
+    }
+
+    if (type === 'time') {
+      const parsed = this._parseTypedTime(str);
+      return parsed ? this._joinValue(null, parsed) : null;
+    }
+
+    const split = /^(.*?)[\s,]+(\D*\d{1,2}(?:[:.]\d{2}){1,2}\s*\D*)$/u.exec(str);
+    const date  = this._parseTyped(split ? split[1] : str);
+    const clock = split ? this._parseTypedTime(split[2]) : time;
+
+    return date && clock ? this._joinValue(date, clock) : null;
+  }
+
+  // Parses user-typed text against the active format. ISO (YYYY-MM-DD) is
+  // always accepted as well. Returns an ISO string or null.
+  _parseTyped(text) {
+    const str = text.trim();
+
+    if (!str) {
+      return null;
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(str)) {
+      return this._parseDate(str) ? str : null;
+    }
+
+    const escape = v => v.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Abbreviations often end in a period ("Jan.", "févr."); make it optional when typing.
+    const names  = (count, fn) => Array.from({ length: count }, (_, i) => fn(i));
+    const choice = list => list.map(n => escape(n).replace(/\\\./g, '\\.?')).join('|');
+    const fields = [];
+    let source   = '';
+    let lastIndex = 0;
+    const fmt    = this._format();
+    const re     = new RegExp(LunaDatePicker.FORMAT_TOKENS.source, 'g');
+    let match;
+
+    const pushLiteral = lit => {
+      source += lit.trim()
+        ? escape(lit.trim()).replace(/\s+/g, '\\s*')
+        : '';
+      source += '\\s*';
+    };
+
+    while ((match = re.exec(fmt))) {
+      if (match.index > lastIndex) {
+        pushLiteral(fmt.slice(lastIndex, match.index));
+      }
+      lastIndex = re.lastIndex;
+
+      const [token, literal] = match;
+
+      if (literal !== undefined) {
+        pushLiteral(literal);
+        continue;
+      }
+
+      switch (token) {
+        case 'YYYY': source += '(\\d{4})';   break;
+        case 'YY':   source += '(\\d{2})';   break;
+        case 'MM':
+        case 'M':    source += '(\\d{1,2})'; break;
+        case 'DD':
+        case 'D':    source += '(\\d{1,2})'; break;
+        case 'MMMM':
+        case 'MMM': {
+          const list = names(12, i => this._monthName(new Date(2000, i, 1), token === 'MMMM' ? 'long' : 'short').toLowerCase());
+          source += `(${choice(list)})`;
+          break;
+        }
+        default: {
+          // 2000-01-02 is a Sunday; 'dddd'/'ddd' are matched but not used.
+          const list = names(7, i => this._weekdayName(new Date(2000, 0, 2 + i), token === 'dddd' ? 'long' : 'short').toLowerCase());
+          source += `(?:${choice(list)})`;
+          continue;
+        }
+      }
+
+      fields.push(token);
+    }
+
+    if (lastIndex < fmt.length) {
+      pushLiteral(fmt.slice(lastIndex));
+    }
+
+    const found = new RegExp(`^\\s*${source}$`, 'iu').exec(str);
+
+    if (!found) {
+      return null;
+    }
+
+    let year = null, month = null, day = null;
+
+    fields.forEach((token, i) => {
+      const raw = found[i + 1].toLowerCase();
+
+      switch (token) {
+        case 'YYYY': year = parseInt(raw, 10); break;
+        case 'YY':   year = 2000 + parseInt(raw, 10); break;
+        case 'MM':
+        case 'M':    month = parseInt(raw, 10) - 1; break;
+        case 'DD':
+        case 'D':    day = parseInt(raw, 10); break;
+        default: {
+          const width = token === 'MMMM' ? 'long' : 'short';
+          const strip = n => n.replace(/\.$/, '');
+          month = names(12, m => strip(this._monthName(new Date(2000, m, 1), width).toLowerCase())).indexOf(strip(raw));
+        }
+      }
+    });
+
+    if (year === null || month === null || month < 0 || day === null) {
+      return null;
+    }
+
+    const d = new Date(year, month, day);
+
+    if (d.getFullYear() !== year || d.getMonth() !== month || d.getDate() !== day) {
+      return null;
+    }
+
+    return this._toISO(d);
   }
 
   _displayValue() {
@@ -176,7 +1031,7 @@ class LunaDatePicker extends HTMLElement {
 
   _syncViewFromValue() {
     const iso = this._isRange() ? this.valueStart : this.value;
-    const d   = this._parseDate(iso);
+    const d   = this._parseDate(this._dateOf(iso));
 
     if (d) {
       this._viewYear  = d.getFullYear();
@@ -185,8 +1040,8 @@ class LunaDatePicker extends HTMLElement {
   }
 
   _isDisabledDate(isoStr) {
-    const min = this.getAttribute('min');
-    const max = this.getAttribute('max');
+    const min = this._dateOf(this.getAttribute('min'));
+    const max = this._dateOf(this.getAttribute('max'));
 
     if (min && isoStr < min) {
       return true;
@@ -196,7 +1051,27 @@ class LunaDatePicker extends HTMLElement {
       return true;
     }
 
-    return false;
+    if (this._disabledSpans().some(([from, to]) => isoStr >= from && isoStr <= to)) {
+      return true;
+    }
+
+    return !!(this._isDateDisabled && this._isDateDisabled(this._parseDate(isoStr)));
+  }
+
+  // Parsed `disabled-dates`, re-read only when the attribute changes.
+  _disabledSpans() {
+    const source = this.getAttribute('disabled-dates') || '';
+
+    if (!this._disabledCache || this._disabledCache.source !== source) {
+      const spans = source.split(/[\s,]+/).filter(Boolean).map(item => {
+        const [from, to = from] = item.split('/');
+        return [this._dateOf(from), this._dateOf(to)];
+      }).filter(([from, to]) => from && to);
+
+      this._disabledCache = { source, spans };
+    }
+
+    return this._disabledCache.spans;
   }
 
   _isInRange(isoStr) {
@@ -204,8 +1079,8 @@ class LunaDatePicker extends HTMLElement {
       return false;
     }
 
-    const start = this.valueStart;
-    const end   = this.valueEnd || this._rangeHover;
+    const start = this._dateOf(this.valueStart);
+    const end   = this._dateOf(this.valueEnd) || this._rangeHover;
 
     if (!start || !end) {
       return false;
@@ -222,23 +1097,20 @@ class LunaDatePicker extends HTMLElement {
       return false;
     }
 
-    return isoStr === this.valueStart || isoStr === this.valueEnd;
+    return isoStr === this._dateOf(this.valueStart) || isoStr === this._dateOf(this.valueEnd);
   }
 
   _isRangeStart(isoStr) {
-    return this._isRange() && isoStr === this.valueStart;
+    return this._isRange() && isoStr === this._dateOf(this.valueStart);
   }
 
   _isRangeEnd(isoStr) {
-    return this._isRange() && isoStr === this.valueEnd;
+    return this._isRange() && isoStr === this._dateOf(this.valueEnd);
   }
 
-  _buildDays() {
-    const year  = this._viewYear;
-    const month = this._viewMonth;
-
+  _buildDays(year = this._viewYear, month = this._viewMonth) {
     const firstOfMonth = new Date(year, month, 1);
-    const startOffset  = firstOfMonth.getDay();
+    const startOffset  = (firstOfMonth.getDay() - this._weekStart() + 7) % 7;
     const gridStart    = new Date(year, month, 1 - startOffset);
 
     const days = [];
@@ -251,7 +1123,7 @@ class LunaDatePicker extends HTMLElement {
       const isToday    = iso === this._toISO(new Date());
       const isSelected = this._isRange()
         ? this._isRangeEdge(iso)
-        : iso === this.value;
+        : iso === this._dateOf(this.value);
       const isStart    = this._isRangeStart(iso);
       const isEnd      = this._isRangeEnd(iso);
       const inRange    = this._isInRange(iso);
@@ -263,25 +1135,53 @@ class LunaDatePicker extends HTMLElement {
     return days;
   }
 
+  _monthCount() {
+    const count = parseInt(this.getAttribute('months'), 10);
+    return count >= 1 && count <= 12 ? count : 1;
+  }
+
+  // [year, month] pairs of the months shown side by side, from the view month on.
+  _visibleMonths() {
+    return Array.from({ length: this._monthCount() }, (_, i) => {
+      const d = new Date(this._viewYear, this._viewMonth + i, 1);
+      return [d.getFullYear(), d.getMonth()];
+    });
+  }
+
+  _isInline() {
+    return this.hasAttribute('inline');
+  }
+
   _openPanel() {
-    if (this.hasAttribute('disabled')) {
+    if (this._isDisabled()) {
       return;
     }
 
     this._open = true;
+    this._view = 'days';
     this._syncViewFromValue();
     this._renderPanel();
   }
 
   _closePanel() {
+    if (this._open) {
+      this._userInteracted = true;
+    }
+
     this._open = false;
     this._rangeHover = null;
 
     const panel = this.shadowRoot.getElementById('panel');
 
-    if (panel) {
+    // Inline calendars never close; picking a date just counts as interaction.
+    if (this._isInline()) {
+      this._userInteracted = true;
+    } else if (panel) {
       panel.classList.remove('open');
+      this._floating.hide();
     }
+
+    this._updateErrorUI();
   }
 
   _handleOutsideClick(e) {
@@ -301,37 +1201,49 @@ class LunaDatePicker extends HTMLElement {
   }
 
   _selectDate(iso) {
-    if (this._isDisabledDate(iso)) {
+    if (this._isDisabled() || this._isDisabledDate(iso)) {
       return;
     }
 
+    // Date-times keep the time already spun in for that end.
+    const withTime    = attr => this._joinValue(iso, this._timeOf(attr));
+    const closeOnPick = this._type() === 'date';
+
     if (!this._isRange()) {
-      this.setAttribute('value', iso);
-      this._closePanel();
+      this.setAttribute('value', withTime('value'));
+
+      if (closeOnPick) {
+        this._closePanel();
+      }
+
       this.dispatchEvent(new CustomEvent('luna-change', {
         bubbles:  true,
         composed: true,
-        detail:   { value: iso }
+        detail:   { value: this.value }
       }));
       this._renderTrigger();
       return;
     }
 
-    const start = this.valueStart;
-    const end   = this.valueEnd;
+    const start = this._dateOf(this.valueStart);
+    const end   = this._dateOf(this.valueEnd);
 
     if (!start || (start && end)) {
-      this.setAttribute('value-start', iso);
+      this._draftTimes['value-end'] = this._timeOf('value-end');
+      this.setAttribute('value-start', withTime('value-start'));
       this.removeAttribute('value-end');
     } else {
       if (iso < start) {
-        this.setAttribute('value-end',   start);
-        this.setAttribute('value-start', iso);
+        this.setAttribute('value-end',   this._joinValue(start, this._timeOf('value-end')));
+        this.setAttribute('value-start', withTime('value-start'));
       } else {
-        this.setAttribute('value-end', iso);
+        this.setAttribute('value-end', withTime('value-end'));
+      }
+
+      if (closeOnPick) {
+        this._closePanel();
       }
 
-      this._closePanel();
       this.dispatchEvent(new CustomEvent('luna-change', {
         bubbles:  true,
         composed: true,
@@ -349,10 +1261,86 @@ class LunaDatePicker extends HTMLElement {
     this.removeAttribute('value-start');
     this.removeAttribute('value-end');
     this._rangeHover = null;
+    this._userInteracted = true;
+    this._updateErrorUI();
     this.dispatchEvent(new CustomEvent('luna-clear', { bubbles: true, composed: true }));
     this._renderTrigger();
   }
 
+  // Applies text typed into the trigger. Range text is split on an en dash
+  // (the display separator) or a spaced hyphen.
+  _commitTyped(text) {
+    const trimmed = text.trim();
+    this._userInteracted = true;
+
+    if (!trimmed) {
+      this._typedInvalid = false;
+      this._updateValidity();
+      this._clear(new Event('clear'));
+      return;
+    }
+
+    if (!this._isRange()) {
+      const iso = this._parseTypedValue(trimmed, this._timeOf('value'));
+
+      if (!iso) {
+        this._typedInvalid = true;
+        this._updateValidity();
+        return;
+      }
+
+      this._typedInvalid = false;
+      this.setAttribute('value', iso);
+      this.dispatchEvent(new CustomEvent('luna-change', {
+        bubbles:  true,
+        composed: true,
+        detail:   { value: iso }
+      }));
+      this._renderTrigger();
+      return;
+    }
+
+    const [first, last] = trimmed.split(/\s*[–—]\s*|\s+-\s+/);
+    let start = this._parseTypedValue(first || '', this._timeOf('value-start'));
+    let end   = this._parseTypedValue(last  || '', this._timeOf('value-end'));
+
+    if (!start || !end) {
+      this._typedInvalid = true;
+      this._updateValidity();
+      return;
+    }
+
+    if (this._comparable(end) < this._comparable(start)) {
+      [start, end] = [end, start];
+    }
+
+    this._typedInvalid = false;
+    this.setAttribute('value-start', start);
+    this.setAttribute('value-end',   end);
+    this.dispatchEvent(new CustomEvent('luna-change', {
+      bubbles:  true,
+      composed: true,
+      detail:   { valueStart: start, valueEnd: end }
+    }));
+    this._renderTrigger();
+  }
+
+  // Prev / next step a month in the day view, a year in the month view and
+  // twelve years in the year view.
+  _shiftView(dir) {
+    if (this._view === 'months' || this._view === 'years') {
+      this._viewYear += dir * (this._view === 'years' ? 12 : 1);
+      this._renderPanel();
+      return;
+    }
+
+    if (dir < 0) {
+      this._prevMonth();
+    } else {
+      this._nextMonth();
+    }
+  }
+
   _prevMonth() {
     if (this._viewMonth === 0) {
       this._viewMonth = 11;
@@ -407,14 +1395,26 @@ class LunaDatePicker extends HTMLElement {
       return;
     }
 
-    if (!this._open) {
+    if (!this._open && !this._isInline()) {
       panelHost.classList.remove('open');
       return;
     }
 
-    panelHost.classList.add('open');
     panelHost.innerHTML = this._buildPanelHTML();
     this._bindPanelEvents(panelHost);
+
+    // A disabled inline panel stays on show, but none of its controls can be reached or used.
+    if (this._isDisabled()) {
+      panelHost.querySelectorAll('button, input').forEach(el => {
+        el.disabled = true;
+        el.setAttribute('tabindex', '-1');
+      });
+    }
+
+    if (this._floating) {
+      this._floating.show();
+    }
+    panelHost.classList.add('open');
   }
 
   // Lightweight hover refresh — only patches class names on existing day
@@ -427,7 +1427,7 @@ class LunaDatePicker extends HTMLElement {
       return;
     }
 
-    const days = this._buildDays();
+    const days = this._visibleMonths().flatMap(([year, month]) => this._buildDays(year, month));
 
     panelHost.querySelectorAll('.day').forEach((btn, i) => {
       const d = days[i];
@@ -436,69 +1436,355 @@ class LunaDatePicker extends HTMLElement {
         return;
       }
 
-      const classes = [
-        'day',
-        !d.inMonth   ? 'muted'       : '',
-        d.isToday    ? 'today'       : '',
-        d.isSelected ? 'selected'    : '',
-        d.isStart    ? 'range-start' : '',
-        d.isEnd      ? 'range-end'   : '',
-        d.inRange    ? 'in-range'    : '',
-        d.disabled   ? 'disabled'    : '',
-      ].filter(Boolean).join(' ');
-
-      btn.className = classes;
+      btn.className = this._dayClasses(d);
     });
   }
 
+  _dayClasses(d) {
+    const info = this._dayInfo.get(d.iso);
+
+    return [
+      'day',
+      !d.inMonth   ? 'muted'       : '',
+      d.isToday    ? 'today'       : '',
+      d.isSelected ? 'selected'    : '',
+      d.isStart    ? 'range-start' : '',
+      d.isEnd      ? 'range-end'   : '',
+      d.inRange    ? 'in-range'    : '',
+      d.disabled   ? 'disabled'    : '',
+      info && info.marker ? 'marked' : '',
+      info && info.className ? info.className : '',
+    ].filter(Boolean).join(' ');
+  }
+
+  _escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // ─── presets ────────────────────────────────────────────────────────────────
+
+  _presetList() {
+    if (!this._isRange() || this._type() === 'time') {
+      return [];
+    }
+
+    if (this._presets) {
+      return this._presets;
+    }
+
+    return this.hasAttribute('presets') ? this._defaultPresets() : [];
+  }
+
+  _defaultPresets() {
+    const today = new Date();
+    const y     = today.getFullYear();
+    const m     = today.getMonth();
+    const ago   = days => new Date(y, m, today.getDate() - days);
+
+    return [
+      { label: 'Today',        range: [today, today] },
+      { label: 'Last 7 days',  range: [ago(6), today] },
+      { label: 'Last 30 days', range: [ago(29), today] },
+      { label: 'This month',   range: [new Date(y, m, 1), new Date(y, m + 1, 0)] },
+      { label: 'Last month',   range: [new Date(y, m - 1, 1), new Date(y, m, 0)] },
+    ];
+  }
+
+  // Resolves a preset to [startISO, endISO] dates, or null.
+  _resolvePreset(preset) {
+    const range = typeof preset.range === 'function' ? preset.range() : preset.range;
+
+    if (!Array.isArray(range)) {
+      return null;
+    }
+
+    const [start, end] = range.map(v => v instanceof Date ? this._toISO(v) : this._dateOf(v));
+
+    if (!start || !end) {
+      return null;
+    }
+
+    return start <= end ? [start, end] : [end, start];
+  }
+
+  _applyPreset(preset) {
+    const resolved = this._resolvePreset(preset);
+
+    if (!resolved || this._isDisabled()) {
+      return;
+    }
+
+    const [start, end] = resolved;
+    this.setAttribute('value-start', this._joinValue(start, this._timeOf('value-start')));
+    this.setAttribute('value-end',   this._joinValue(end,   this._timeOf('value-end')));
+
+    if (this._type() === 'date') {
+      this._closePanel();
+    }
+
+    this.dispatchEvent(new CustomEvent('luna-change', {
+      bubbles:  true,
+      composed: true,
+      detail:   { valueStart: this.valueStart, valueEnd: this.valueEnd }
+    }));
+    this._renderTrigger();
+  }
+
   _buildPanelHTML() {
-    const months  = ['January','February','March','April','May','June','July','August','September','October','November','December'];
-    const weekdays = ['Su','Mo','Tu','We','Th','Fr','Sa'];
-    const days    = this._buildDays();
+    if (this._type() === 'time') {
+      return this._buildTimeHTML();
+    }
+
+    let calendar;
+
+    if (this._view === 'months') {
+      calendar = this._buildMonthsViewHTML();
+    } else if (this._view === 'years') {
+      calendar = this._buildYearsViewHTML();
+    } else {
+      const count = this._monthCount();
+      this._dayInfo = new Map();
+
+      const months = this._visibleMonths()
+        .map(([year, month], i) => this._buildMonthHTML(year, month, i === 0, i === count - 1))
+        .join('');
+
+      calendar = `<div class="months ${count > 1 ? 'multi' : ''}">${months}</div>`;
+    }
+
+    calendar += this._type() === 'datetime' ? this._buildTimeHTML() : '';
+
+    const presets = this._presetList();
+
+    if (!presets.length) {
+      return calendar;
+    }
+
+    const start = this._dateOf(this.valueStart);
+    const end   = this._dateOf(this.valueEnd);
+
+    const presetButtons = presets.map((preset, i) => {
+      const range  = this._resolvePreset(preset);
+      const active = !!range && range[0] === start && range[1] === end;
+
+      return `<button class="preset ${active ? 'active' : ''}" data-index="${i}" aria-pressed="${active}">${this._escape(preset.label)}</button>`;
+    }).join('');
+
+    return `
+      <div class="panel-body">
+        <div class="presets" part="presets" role="group" aria-label="Presets">${presetButtons}</div>
+        <div class="calendar">${calendar}</div>
+      </div>
+    `;
+  }
+
+  _navButton(id, label) {
+    const points = id === 'prev' ? '15 18 9 12 15 6' : '9 18 15 12 9 6';
+
+    return `
+      <button class="nav-btn" id="${id}" aria-label="${label}">
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="${points}"/></svg>
+      </button>
+    `;
+  }
+
+  // One month of the day view. Only the outer months get prev / next buttons.
+  _buildMonthHTML(year, month, first, last) {
+    const weekStart = this._weekStart();
+    const weekdays  = Array.from({ length: 7 }, (_, i) => this._weekdayName(new Date(2000, 0, 2 + weekStart + i), 'short'));
+    const monthLabel = this._dtf({ month: 'long', year: 'numeric' }).format(new Date(year, month, 1));
+    const dayLabel  = this._dtf({ dateStyle: 'full' });
+    const days      = this._buildDays(year, month);
+
+    if (this._dateInfoFn) {
+      days.forEach(d => {
+        const info = this._dateInfoFn(this._parseDate(d.iso));
+
+        if (info) {
+          this._dayInfo.set(d.iso, info);
+        }
+      });
+    }
 
     const dayCells = days.map(d => {
-      const classes = [
-        'day',
-        !d.inMonth   ? 'muted'    : '',
-        d.isToday    ? 'today'    : '',
-        d.isSelected ? 'selected' : '',
-        d.isStart    ? 'range-start' : '',
-        d.isEnd      ? 'range-end'   : '',
-        d.inRange    ? 'in-range' : '',
-        d.disabled   ? 'disabled' : '',
+      const info   = this._dayInfo.get(d.iso) || {};
+      const label  = dayLabel.format(this._parseDate(d.iso)) + (info.label ? `, ${info.label}` : '');
+      const title  = info.label ? ` title="${this._escape(info.label)}"` : '';
+      const badge  = info.badge ? `<span class="badge" part="day-badge">${this._escape(info.badge)}</span>` : '';
+      const marker = info.marker
+        ? `<span class="marker" part="day-marker"${typeof info.marker === 'string' ? ` style="background: ${this._escape(info.marker)};"` : ''}></span>`
+        : '';
+
+      return `<button class="${this._escape(this._dayClasses(d))}" data-date="${d.iso}" tabindex="${d.disabled ? -1 : 0}" aria-label="${this._escape(label)}"${title}${d.disabled ? ' disabled' : ''}>${d.day}${badge}${marker}</button>`;
+    }).join('');
+
+    const weekdayHeaders = weekdays.map(w => `<span class="weekday">${w}</span>`).join('');
+
+    return `
+      <div class="month">
+        <div class="panel-header">
+          ${first ? this._navButton('prev', 'Previous month') : '<span class="nav-spacer"></span>'}
+          <button class="month-label" data-view="months" aria-label="${monthLabel}, choose month and year">${monthLabel}</button>
+          ${last ? this._navButton('next', 'Next month') : '<span class="nav-spacer"></span>'}
+        </div>
+        <div class="grid">
+          ${weekdayHeaders}
+          ${dayCells}
+        </div>
+      </div>
+    `;
+  }
+
+  // Quick-jump grid of the twelve months of the viewed year.
+  _buildMonthsViewHTML() {
+    const year  = this._viewYear;
+    const today = new Date();
+    const min   = this._dateOf(this.getAttribute('min'));
+    const max   = this._dateOf(this.getAttribute('max'));
+
+    const cells = Array.from({ length: 12 }, (_, i) => {
+      const firstDay = this._toISO(new Date(year, i, 1));
+      const lastDay  = this._toISO(new Date(year, i + 1, 0));
+      const disabled = (min && lastDay < min) || (max && firstDay > max);
+      const classes  = [
+        'jump-cell',
+        i === this._viewMonth ? 'selected' : '',
+        year === today.getFullYear() && i === today.getMonth() ? 'current' : '',
       ].filter(Boolean).join(' ');
 
-      return `<button class="${classes}" data-date="${d.iso}" tabindex="${d.disabled ? -1 : 0}" aria-label="${d.iso}"${d.disabled ? ' disabled' : ''}>${d.day}</button>`;
+      return `<button class="${classes}" data-month="${i}"${disabled ? ' disabled' : ''}>${this._monthName(new Date(year, i, 1), 'short')}</button>`;
     }).join('');
 
-    const weekdayHeaders = weekdays.map(w => `<span class="weekday">${w}</span>`).join('');
+    return `
+      <div class="month">
+        <div class="panel-header">
+          ${this._navButton('prev', 'Previous year')}
+          <button class="month-label" data-view="years" aria-label="${this._dtf({ year: 'numeric' }).format(new Date(year, 0, 1))}, choose year">${this._dtf({ year: 'numeric' }).format(new Date(year, 0, 1))}</button>
+          ${this._navButton('next', 'Next year')}
+        </div>
+        <div class="jump-grid">${cells}</div>
+      </div>
+    `;
+  }
+
+  // Quick-jump grid of twelve years around the viewed year.
+  _buildYearsViewHTML() {
+    const first = this._viewYear - (((this._viewYear % 12) + 12) % 12);
+    const fmt   = this._dtf({ year: 'numeric' });
+    const min   = this._dateOf(this.getAttribute('min'));
+    const max   = this._dateOf(this.getAttribute('max'));
+
+    const cells = Array.from({ length: 12 }, (_, i) => {
+      const year     = first + i;
+      const disabled = (min && `${year}-12-31` < min) || (max && `${year}-01-01` > max);
+      const classes  = [
+        'jump-cell',
+        year === this._viewYear ? 'selected' : '',
+        year === new Date().getFullYear() ? 'current' : '',
+      ].filter(Boolean).join(' ');
+
+      return `<button class="${classes}" data-year="${year}"${disabled ? ' disabled' : ''}>${fmt.format(new Date(year, 0, 1))}</button>`;
+    }).join('');
 
     return `
-      <div class="panel-header">
-        <button class="nav-btn" id="prev" aria-label="Previous month">
-          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="15 18 9 12 15 6"/></svg>
-        </button>
-        <span class="month-label">${months[this._viewMonth]} ${this._viewYear}</span>
-        <button class="nav-btn" id="next" aria-label="Next month">
-          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="9 18 15 12 9 6"/></svg>
-        </button>
+      <div class="month">
+        <div class="panel-header">
+          ${this._navButton('prev', 'Previous years')}
+          <span class="month-label">${fmt.format(new Date(first, 0, 1))} – ${fmt.format(new Date(first + 11, 0, 1))}</span>
+          ${this._navButton('next', 'Next years')}
+        </div>
+        <div class="jump-grid">${cells}</div>
       </div>
-      <div class="grid">
-        ${weekdayHeaders}
-        ${dayCells}
+    `;
+  }
+
+  // One row of hour / minute (/ second) spinners per value being edited.
+  _buildTimeHTML() {
+    const rows    = this._isRange() ? [['value-start', 'Start'], ['value-end', 'End']] : [['value', '']];
+    const hour12  = this._hour12();
+    const periods = this._dayPeriods();
+    const pad     = n => String(n).padStart(2, '0');
+    const chevron = points => `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="${points}"/></svg>`;
+
+    const spinner = (unit, label, value, min, max) => `
+      <div class="spinner">
+        <button class="spin-btn" data-unit="${unit}" data-delta="1" tabindex="-1" aria-label="Increase ${label}">${chevron('18 15 12 9 6 15')}</button>
+        <input class="spin-value" data-unit="${unit}" role="spinbutton" inputmode="numeric" maxlength="2"
+          aria-label="${label}" aria-valuemin="${min}" aria-valuemax="${max}" aria-valuenow="${value}" value="${pad(value)}" />
+        <button class="spin-btn" data-unit="${unit}" data-delta="-1" tabindex="-1" aria-label="Decrease ${label}">${chevron('6 9 12 15 18 9')}</button>
       </div>
     `;
+
+    const rowHTML = rows.map(([attr, label]) => {
+      const [h, m, s] = this._timeOf(attr).split(':').map(Number);
+
+      return `
+        <div class="time-row" data-target="${attr}" dir="ltr">
+          ${label ? `<span class="time-label">${label}</span>` : ''}
+          ${hour12 ? spinner('hour', 'Hours', h % 12 || 12, 1, 12) : spinner('hour', 'Hours', h, 0, 23)}
+          <span class="time-sep">:</span>
+          ${spinner('minute', 'Minutes', m, 0, 59)}
+          ${this._hasSeconds() ? `<span class="time-sep">:</span>${spinner('second', 'Seconds', s, 0, 59)}` : ''}
+          ${hour12 ? `<button class="period-btn" data-unit="period" aria-label="Toggle AM/PM">${periods[h < 12 ? 0 : 1]}</button>` : ''}
+        </div>
+      `;
+    }).join('');
+
+    return `<div class="time-section">${rowHTML}</div>`;
   }
 
   _bindPanelEvents(panel) {
+    this._bindTimeEvents(panel);
+
+    if (this._type() === 'time') {
+      return;
+    }
+
+    panel.querySelectorAll('.preset').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._applyPreset(this._presetList()[Number(btn.dataset.index)]);
+      });
+    });
+
     panel.querySelector('#prev').addEventListener('click', (e) => {
       e.stopPropagation();
-      this._prevMonth();
+      this._shiftView(-1);
     });
 
     panel.querySelector('#next').addEventListener('click', (e) => {
       e.stopPropagation();
-      this._nextMonth();
+      this._shiftView(1);
+    });
+
+    panel.querySelectorAll('button.month-label').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._view = btn.dataset.view;
+        this._renderPanel();
+        this._focusPanel('.jump-cell.selected');
+      });
+    });
+
+    panel.querySelectorAll('.jump-cell').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+
+        if (btn.dataset.year !== undefined) {
+          this._viewYear = Number(btn.dataset.year);
+          this._view     = 'months';
+        } else {
+          this._viewMonth = Number(btn.dataset.month);
+          this._view      = 'days';
+        }
+
+        this._renderPanel();
+        this._focusPanel(this._view === 'days' ? '.month-label' : '.jump-cell.selected');
+      });
     });
 
     panel.querySelectorAll('.day:not(.disabled)').forEach(btn => {
@@ -518,27 +1804,57 @@ class LunaDatePicker extends HTMLElement {
     });
 
     if (this._isRange()) {
-      const grid = panel.querySelector('.grid');
-
-      if (grid) {
+      panel.querySelectorAll('.grid').forEach(grid => {
         grid.addEventListener('mouseleave', () => {
           if (this._rangeHover !== null) {
             this._rangeHover = null;
             this._refreshDayClasses();
           }
         });
-      }
+      });
     }
   }
 
+  _focusPanel(selector) {
+    this.shadowRoot.getElementById('panel')?.querySelector(selector)?.focus();
+  }
+
+  _bindTimeEvents(panel) {
+    panel.querySelectorAll('.time-row').forEach(row => {
+      const attr = row.dataset.target;
+
+      row.querySelectorAll('.spin-btn, .period-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this._spinTime(attr, btn.dataset.unit, Number(btn.dataset.delta || 1));
+        });
+      });
+
+      row.querySelectorAll('.spin-value').forEach(field => {
+        field.addEventListener('keydown', (e) => {
+          if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            e.preventDefault();
+            this._spinTime(attr, field.dataset.unit, e.key === 'ArrowUp' ? 1 : -1);
+          }
+        });
+
+        field.addEventListener('change', () => {
+          this._typeTimeUnit(attr, field.dataset.unit, field.value);
+        });
+      });
+    });
+  }
+
   _render() {
     const label      = this.getAttribute('label');
     const helpText   = this.getAttribute('help-text');
-    const placeholder = this.getAttribute('placeholder') || (this._isRange() ? 'Pick a range' : 'Pick a date');
-    const disabled   = this.hasAttribute('disabled');
+    const type       = this._type();
+    const what       = { date: 'date', datetime: 'date and time', time: 'time' }[type];
+    const placeholder = this.getAttribute('placeholder') || (this._isRange() ? (type === 'time' ? 'Pick a time range' : 'Pick a range') : `Pick a ${what}`);
+    const disabled   = this._isDisabled();
     const readonly   = this.hasAttribute('readonly');
-    const placement  = this.getAttribute('placement') || 'bottom';
     const displayVal = this._displayValue();
+    const inline     = this._isInline();
 
     this.shadowRoot.innerHTML = `
       <style>
@@ -559,6 +1875,8 @@ class LunaDatePicker extends HTMLElement {
           --luna-dp-focus-alpha:    rgba(37,99,235,.2);
           --luna-dp-label-color:    #fff;
           --luna-dp-helptext-color: #666;
+          --luna-dp-error:          #ef4444;
+          --luna-dp-marker:         #f59e0b;
 
           --luna-dp-day-color:      #ccc;
           --luna-dp-day-hover:      #2a2a2a;
@@ -591,6 +1909,19 @@ class LunaDatePicker extends HTMLElement {
           color: var(--luna-dp-helptext-color);
         }
 
+        .dp-error {
+          display: none;
+          font-size: 0.75rem;
+          color: var(--luna-dp-error);
+        }
+
+        .dp-group.invalid .trigger-wrap {
+          border-color: var(--luna-dp-error);
+        }
+
+        .dp-group.invalid .dp-help  { display: none; }
+        .dp-group.invalid .dp-error { display: block; }
+
         .trigger-wrap {
           position: relative;
           display: flex;
@@ -629,7 +1960,8 @@ class LunaDatePicker extends HTMLElement {
         .cal-icon {
           display: flex;
           align-items: center;
-          padding: 0 0.625rem 0 0.75rem;
+          padding-block: 0;
+          padding-inline: 0.75rem 0.625rem;
           color: #555;
           flex-shrink: 0;
           pointer-events: none;
@@ -650,6 +1982,12 @@ class LunaDatePicker extends HTMLElement {
           user-select: none;
         }
 
+        .trigger-wrap.typeable #trigger-input {
+          cursor: text;
+          caret-color: auto;
+          user-select: auto;
+        }
+
         #trigger-input::placeholder {
           color: #555;
         }
@@ -664,7 +2002,7 @@ class LunaDatePicker extends HTMLElement {
           justify-content: center;
           border-radius: 6px;
           color: #555;
-          margin-right: 0.375rem;
+          margin-inline-end: 0.375rem;
           flex-shrink: 0;
           transition: color 0.15s ease, background 0.15s ease;
           font-size: 0.75rem;
@@ -676,23 +2014,22 @@ class LunaDatePicker extends HTMLElement {
         }
 
         #panel {
-          position: absolute;
-          ${placement === 'top' ? 'bottom: calc(100% + 0.5rem);' : 'top: calc(100% + 0.5rem);'}
-          left: 0;
+          position: fixed;
           z-index: var(--luna-dp-z);
-          width: 280px;
+          width: max-content;
           background: var(--luna-dp-bg);
           border: 1px solid var(--luna-dp-border);
           border-radius: var(--luna-dp-radius);
           box-shadow: var(--luna-dp-shadow);
           padding: 1rem;
+          color: inherit;
           backdrop-filter: blur(16px);
           -webkit-backdrop-filter: blur(16px);
 
           opacity: 0;
           visibility: hidden;
-          transform: ${placement === 'top' ? 'translateY(8px)' : 'translateY(-8px)'} scale(0.97);
-          transform-origin: ${placement === 'top' ? 'bottom left' : 'top left'};
+          transform: translateY(-8px) scale(0.97);
+          transform-origin: top left;
           transition:
             opacity  0.18s cubic-bezier(0.4,0,0.2,1),
             transform 0.18s cubic-bezier(0.4,0,0.2,1),
@@ -700,6 +2037,11 @@ class LunaDatePicker extends HTMLElement {
           pointer-events: none;
         }
 
+        #panel[data-placement^="top"] {
+          transform: translateY(8px) scale(0.97);
+          transform-origin: bottom left;
+        }
+
         #panel.open {
           opacity: 1;
           visibility: visible;
@@ -742,6 +2084,10 @@ class LunaDatePicker extends HTMLElement {
           background: rgba(255,255,255,.06);
         }
 
+        [dir="rtl"] .nav-btn svg {
+          transform: scaleX(-1);
+        }
+
         .grid {
           display: grid;
           grid-template-columns: repeat(7, 1fr);
@@ -817,11 +2163,15 @@ class LunaDatePicker extends HTMLElement {
         }
 
         .day.range-start {
-          border-radius: 6px 0 0 6px;
+          border-radius: 0;
+          border-start-start-radius: 6px;
+          border-end-start-radius: 6px;
         }
 
         .day.range-end {
-          border-radius: 0 6px 6px 0;
+          border-radius: 0;
+          border-start-end-radius: 6px;
+          border-end-end-radius: 6px;
         }
 
         .day.range-start.range-end {
@@ -832,42 +2182,299 @@ class LunaDatePicker extends HTMLElement {
           opacity: 0.25;
           cursor: not-allowed;
         }
+
+        .day .marker {
+          position: absolute;
+          bottom: 3px;
+          left: 50%;
+          transform: translateX(-50%);
+          width: 4px;
+          height: 4px;
+          border-radius: 50%;
+          background: var(--luna-dp-marker);
+        }
+
+        .day.marked.today:not(.selected)::after {
+          display: none;
+        }
+
+        .day .badge {
+          position: absolute;
+          top: 1px;
+          inset-inline-end: 1px;
+          min-width: 8px;
+          padding: 0 3px;
+          border-radius: 6px;
+          font-size: 0.55rem;
+          font-weight: 700;
+          line-height: 12px;
+          text-align: center;
+          color: #000;
+          background: var(--luna-dp-marker);
+        }
+
+        .panel-body {
+          display: flex;
+          gap: 1rem;
+        }
+
+        .presets {
+          display: flex;
+          flex-direction: column;
+          gap: 2px;
+          padding-inline-end: 1rem;
+          border-inline-end: 1px solid var(--luna-dp-border);
+        }
+
+        .preset {
+          all: unset;
+          cursor: pointer;
+          padding: 0.4rem 0.625rem;
+          border-radius: 6px;
+          font-size: 0.8125rem;
+          color: var(--luna-dp-day-color);
+          white-space: nowrap;
+          transition: background 0.12s ease, color 0.12s ease;
+        }
+
+        .preset:hover {
+          background: var(--luna-dp-day-hover);
+          color: #fff;
+        }
+
+        .preset.active {
+          background: var(--luna-dp-range-bg);
+          color: #fff;
+          font-weight: 600;
+        }
+
+        .calendar {
+          flex-shrink: 0;
+        }
+
+        .months {
+          display: flex;
+          gap: 1.5rem;
+        }
+
+        .month {
+          width: 280px;
+        }
+
+        .months.multi .day.muted {
+          visibility: hidden;
+        }
+
+        .nav-spacer {
+          width: 28px;
+        }
+
+        button.month-label {
+          all: unset;
+          cursor: pointer;
+          padding: 0.25rem 0.5rem;
+          border-radius: 6px;
+          transition: background 0.15s ease;
+        }
+
+        button.month-label:hover {
+          background: rgba(255,255,255,.06);
+        }
+
+        .jump-grid {
+          display: grid;
+          grid-template-columns: repeat(3, 1fr);
+          gap: 0.375rem;
+        }
+
+        .jump-cell {
+          all: unset;
+          cursor: pointer;
+          padding: 0.75rem 0;
+          border-radius: 6px;
+          text-align: center;
+          font-size: 0.8125rem;
+          color: var(--luna-dp-day-color);
+          transition: background 0.12s ease, color 0.12s ease;
+        }
+
+        .jump-cell:hover:not([disabled]):not(.selected) {
+          background: var(--luna-dp-day-hover);
+          color: #fff;
+        }
+
+        .jump-cell.current:not(.selected) {
+          color: var(--luna-dp-today-color);
+          font-weight: 700;
+        }
+
+        .jump-cell.selected {
+          background: var(--luna-dp-selected-bg);
+          color: var(--luna-dp-selected-color);
+          font-weight: 600;
+        }
+
+        .jump-cell[disabled] {
+          opacity: 0.25;
+          cursor: not-allowed;
+        }
+
+        #panel.inline {
+          position: static;
+          opacity: 1;
+          visibility: visible;
+          transform: none;
+          transition: none;
+          pointer-events: auto;
+          max-width: 100%;
+          overflow-x: auto;
+        }
+
+        #panel.inline.disabled {
+          opacity: 0.45;
+          pointer-events: none;
+        }
+
+        .time-section {
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+        }
+
+        .grid + .time-section {
+          margin-top: 0.875rem;
+          padding-top: 0.875rem;
+          border-top: 1px solid var(--luna-dp-border);
+        }
+
+        .time-row {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          gap: 0.25rem;
+        }
+
+        .time-label {
+          flex: 1;
+          font-size: 0.65rem;
+          font-weight: 600;
+          color: var(--luna-dp-weekday-color);
+          letter-spacing: 0.06em;
+          text-transform: uppercase;
+        }
+
+        .spinner {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+        }
+
+        .spin-btn {
+          all: unset;
+          cursor: pointer;
+          width: 28px;
+          height: 18px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          border-radius: 4px;
+          color: var(--luna-dp-nav-color);
+          transition: color 0.15s ease, background 0.15s ease;
+        }
+
+        .spin-btn:hover {
+          color: var(--luna-dp-nav-hover);
+          background: rgba(255,255,255,.06);
+        }
+
+        .spin-value {
+          width: 2.25rem;
+          padding: 0.25rem 0;
+          text-align: center;
+          background: var(--luna-dp-input-bg);
+          border: 1px solid var(--luna-dp-border);
+          border-radius: 6px;
+          color: var(--luna-dp-input-color);
+          font: inherit;
+          font-size: 0.875rem;
+          font-variant-numeric: tabular-nums;
+          outline: none;
+        }
+
+        .spin-value:focus {
+          border-color: var(--luna-dp-focus);
+        }
+
+        .time-sep {
+          color: var(--luna-dp-nav-color);
+          font-weight: 600;
+        }
+
+        .period-btn {
+          all: unset;
+          cursor: pointer;
+          margin-inline-start: 0.375rem;
+          padding: 0.3rem 0.5rem;
+          border-radius: 6px;
+          font-size: 0.75rem;
+          font-weight: 600;
+          color: var(--luna-dp-selected-color);
+          background: var(--luna-dp-selected-bg);
+        }
       </style>
 
-      <div class="dp-group">
+      <div class="dp-group ${this._showError() ? 'invalid' : ''}" dir="${this._dir()}">
         ${label ? `<span class="dp-label">${label}</span>` : ''}
 
-        <div class="trigger-wrap ${disabled ? 'disabled' : ''} ${readonly ? 'readonly' : ''}" id="trigger-wrap">
-          <span class="cal-icon">
-            <svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-              <rect x="3" y="4" width="18" height="18" rx="2" ry="2"/><line x1="16" y1="2" x2="16" y2="6"/><line x1="8" y1="2" x2="8" y2="6"/><line x1="3" y1="10" x2="21" y2="10"/>
-            </svg>
-          </span>
-          <input
-            id="trigger-input"
-            type="text"
-            readonly
-            placeholder="${placeholder}"
-            value="${displayVal}"
-            ${disabled ? 'disabled' : ''}
-            aria-haspopup="true"
-            aria-expanded="${this._open}"
-            autocomplete="off"
-          />
-          <button id="clear-btn" aria-label="Clear date" style="display:${this._hasClearableValue() ? 'flex' : 'none'};">
-            <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
-          </button>
-        </div>
-
-        <div id="panel" part="panel"></div>
+        ${inline ? '' : `
+          <div class="trigger-wrap ${disabled ? 'disabled' : ''} ${readonly ? 'readonly' : 'typeable'}" id="trigger-wrap">
+            <span class="cal-icon">
+              <svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                ${type === 'time'
+                  ? '<circle cx="12" cy="12" r="9"/><polyline points="12 7 12 12 15 14"/>'
+                  : '<rect x="3" y="4" width="18" height="18" rx="2" ry="2"/><line x1="16" y1="2" x2="16" y2="6"/><line x1="8" y1="2" x2="8" y2="6"/><line x1="3" y1="10" x2="21" y2="10"/>'}
+              </svg>
+            </span>
+            <input
+              id="trigger-input"
+              type="text"
+              ${readonly ? 'readonly' : ''}
+              placeholder="${placeholder}"
+              value="${displayVal}"
+              ${disabled ? 'disabled' : ''}
+              aria-haspopup="true"
+              aria-expanded="${this._open}"
+              autocomplete="off"
+            />
+            <button id="clear-btn" aria-label="Clear ${what}" style="display:${this._hasClearableValue() ? 'flex' : 'none'};">
+              <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+            </button>
+          </div>
+        `}
+
+        <div id="panel" part="panel" class="${inline ? 'inline' : ''} ${inline && disabled ? 'disabled' : ''}"></div>
 
         ${helpText ? `<span class="dp-help">${helpText}</span>` : ''}
+        <span class="dp-error" part="error-text" role="alert">
+          <slot name="error-text"><span class="error-message"></span></slot>
+        </span>
       </div>
     `;
 
+    this._updateErrorUI();
+
     this._bindTriggerEvents();
 
-    if (this._open) {
+    if (this._floating) {
+      this._floating.destroy();
+    }
+    this._floating = inline ? null : createFloating(
+      this.shadowRoot.getElementById('trigger-wrap'),
+      this.shadowRoot.getElementById('panel'),
+      () => ({ placement: `${this.getAttribute('placement') === 'top' ? 'top' : 'bottom'}-start`, offset: 8 })
+    );
+
+    if (this._open || inline) {
       this._renderPanel();
     }
   }
@@ -881,7 +2488,12 @@ class LunaDatePicker extends HTMLElement {
       wrap.addEventListener('click', (e) => {
         e.stopPropagation();
 
-        if (this.hasAttribute('disabled') || this.hasAttribute('readonly')) {
+        if (this._isDisabled() || this.hasAttribute('readonly')) {
+          return;
+        }
+
+        // Clicking back into the text while the panel is open positions the caret.
+        if (this._open && e.target === input) {
           return;
         }
 
@@ -895,12 +2507,24 @@ class LunaDatePicker extends HTMLElement {
 
     if (input) {
       input.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
+        if (this._isDisabled() || this.hasAttribute('readonly')) {
+          return;
+        }
+
+        if (e.key === 'Enter' && input.value !== this._displayValue()) {
           e.preventDefault();
+          this._commitTyped(input.value);
+          return;
+        }
 
-          if (this.hasAttribute('disabled') || this.hasAttribute('readonly')) {
-            return;
-          }
+        if (e.key === 'ArrowDown' && !this._open) {
+          e.preventDefault();
+          this._openPanel();
+          return;
+        }
+
+        if (e.key === 'Enter') {
+          e.preventDefault();
 
           if (this._open) {
             this._closePanel();
@@ -909,6 +2533,12 @@ class LunaDatePicker extends HTMLElement {
           }
         }
       });
+
+      input.addEventListener('change', () => {
+        if (!this.hasAttribute('readonly') && input.value !== this._displayValue()) {
+          this._commitTyped(input.value);
+        }
+      });
     }
 
     if (clearBtn) {
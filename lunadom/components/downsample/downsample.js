@@ -0,0 +1,106 @@
+// lunadom/components/downsample/downsample.js
+
+/**
+ * Downsampling shared by chart components (line chart, sparkline).
+ *
+ * Large series are reduced with Largest-Triangle-Three-Buckets (LTTB): the
+ * first and last points are kept, the rest are split into equal buckets and
+ * each bucket keeps the point forming the largest triangle with the point
+ * kept before it and the average of the next bucket. Peaks and troughs
+ * survive, so the reduced line is visually close to the full one at a
+ * fraction of the path size.
+ *
+ * The functions work on lists of data indices rather than values, so callers
+ * can map every kept point back to the original data (hover lookups, event
+ * details) and reduce a subset of the data (a zoomed view, one segment of a
+ * broken line).
+ */
+
+/**
+ * Reduces `indices` to at most `threshold` indices with LTTB.
+ *
+ * @param {number[]} indices - Data indices in x order.
+ * @param {(index: number) => number} xOf - x position of a data index.
+ * @param {(index: number) => number} yOf - y value of a data index.
+ * @param {number} threshold - Maximum number of indices to keep. Values below 3, or not
+ *   below the input length, return `indices` unchanged.
+ * @returns {number[]} The kept data indices, in x order.
+ */
+export function lttb(indices, xOf, yOf, threshold) {
+  const length = indices.length;
+  if (!(threshold >= 3) || threshold >= length) {
+    return indices;
+  }
+
+  const sampled = [indices[0]];
+  const every = (length - 2) / (threshold - 2);
+  let a = 0;
+
+  for (let bucket = 0; bucket < threshold - 2; bucket++) {
+    // Average of the next bucket, the third corner of the triangle.
+    const avgStart = Math.floor((bucket + 1) * every) + 1;
+    const avgEnd = Math.min(Math.floor((bucket + 2) * every) + 1, length);
+    let avgX = 0;
+    let avgY = 0;
+    for (let k = avgStart; k < avgEnd; k++) {
+      avgX += xOf(indices[k]);
+      avgY += yOf(indices[k]);
+    }
+    const avgCount = avgEnd - avgStart || 1;
+    avgX /= avgCount;
+    avgY /= avgCount;
+
+    const ax = xOf(indices[a]);
+    const ay = yOf(indices[a]);
+    const from = Math.floor(bucket * every) + 1;
+    const to = Math.floor((bucket + 1) * every) + 1;
+    let maxArea = -1;
+    let next = from;
+
+    for (let k = from; k < to; k++) {
+      const area = Math.abs((ax - avgX) * (yOf(indices[k]) - ay) - (ax - xOf(indices[k])) * (avgY - ay));
+      if (area > maxArea) {
+        maxArea = area;
+        next = k;
+      }
+    }
+
+    sampled.push(indices[next]);
+    a = next;
+  }
+
+  sampled.push(indices[length - 1]);
+  return sampled;
+}
+
+/**
+ * Downsamples a line broken into segments, giving each segment a share of the
+ * point budget proportional to its length so the breaks are preserved.
+ *
+ * @param {number[]} indices - Data indices in x order.
+ * @param {Array<[number, number]>} segments - Ranges [start, end) of positions in `indices`.
+ * @param {(index: number) => number} xOf
+ * @param {(index: number) => number} yOf
+ * @param {number} threshold - Total point budget.
+ * @returns {{ indices: number[], segments: Array<[number, number]> }} The kept indices and
+ *   the segment ranges re-expressed as positions in them.
+ */
+export function lttbSegments(indices, segments, xOf, yOf, threshold) {
+  if (!(threshold >= 3) || threshold >= indices.length) {
+    return { indices, segments };
+  }
+
+  const kept = [];
+  const ranges = [];
+
+  segments.forEach(([start, end]) => {
+    const share = Math.max(3, Math.round(threshold * (end - start) / indices.length));
+    const part = lttb(indices.slice(start, end), xOf, yOf, share);
+    ranges.push([kept.length, kept.length + part.length]);
+    for (let k = 0; k < part.length; k++) {
+      kept.push(part[k]);
+    }
+  });
+
+  return { indices: kept, segments: ranges };
+}
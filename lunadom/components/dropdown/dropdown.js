@@ -1,5 +1,7 @@
 // lunadom/components/dropdown/dropdown.js
 
+import { createFloating } from '../floating/floating.js';
+
 /**
  * @customElement luna-dropdown
  * 
@@ -8,8 +10,14 @@
  * 
  * Attributes:
  * @attr {boolean} open - Whether the dropdown panel is currently visible.
- * @attr {'top-start' | 'top-end' | 'bottom-start' | 'bottom-end' | 'right-start' | 'left-start'} placement - Where to position the dropdown relative to the trigger. Defaults to 'bottom-start'.
+ * @attr {'top-start' | 'top-end' | 'bottom-start' | 'bottom-end' | 'right-start' | 'left-start'} placement - Preferred position of the dropdown relative to the trigger; the panel flips and shifts to stay in the viewport. Defaults to 'bottom-start'.
  * 
+ * Keyboard:
+ * ArrowDown/ArrowUp on the trigger open the panel and focus the first/last item of the slotted
+ * luna-menu; opening with Enter or Space focuses the first item. Escape closes the panel and returns
+ * focus to the trigger, and Tab closes it. A dropdown nested in a luna-menu (a submenu) opens with
+ * ArrowRight, Enter or Space on its trigger item and closes with ArrowLeft.
+ *
  * CSS Custom Properties:
  * @cssprop --luna-dropdown-bg - Background color of the dropdown panel.
  * @cssprop --luna-dropdown-border - Border color of the dropdown panel.
@@ -17,6 +25,10 @@
  * @cssprop --luna-dropdown-shadow - Box shadow for the panel.
  * @cssprop --luna-dropdown-z - Z-index for the panel.
  * 
+ * Methods:
+ * @method show(focus) - Opens the panel; pass 'first' or 'last' to focus that item of the slotted luna-menu.
+ * @method hide(returnFocus) - Closes the panel, optionally moving focus back to the trigger.
+ * 
  * Events:
  * @event luna-show - Emitted when the dropdown panel opens.
  * @event luna-hide - Emitted when the dropdown panel closes.
@@ -32,6 +44,8 @@ class LunaDropdown extends HTMLElement {
     this.attachShadow({ mode: 'open' });
     this.toggle = this.toggle.bind(this);
     this.handleOutsideClick = this.handleOutsideClick.bind(this);
+    this.handleTriggerKeyDown = this.handleTriggerKeyDown.bind(this);
+    this.addEventListener('keydown', (e) => this.handleKeyDown(e));
   }
 
   connectedCallback() {
@@ -41,6 +55,9 @@ class LunaDropdown extends HTMLElement {
 
   disconnectedCallback() {
     document.removeEventListener('click', this.handleOutsideClick);
+    if (this.floating) {
+      this.floating.hide(0);
+    }
   }
 
   attributeChangedCallback() {
@@ -53,11 +70,72 @@ class LunaDropdown extends HTMLElement {
     
     if (this.hasAttribute('open')) {
       this.dispatchEvent(new CustomEvent('luna-show', { bubbles: true, composed: true }));
+      // A click with detail 0 came from the keyboard (Enter/Space on a button).
+      if (e.detail === 0) {
+        this.menu?.focusFirst();
+      }
     } else {
       this.dispatchEvent(new CustomEvent('luna-hide', { bubbles: true, composed: true }));
     }
   }
 
+  get menu() {
+    return Array.from(this.children).find(el => el.localName === 'luna-menu') || null;
+  }
+
+  get isSubmenu() {
+    return !!this.parentElement?.closest('luna-menu');
+  }
+
+  show(focus) {
+    if (!this.hasAttribute('open')) {
+      this.setAttribute('open', '');
+      this.dispatchEvent(new CustomEvent('luna-show', { bubbles: true, composed: true }));
+    }
+    if (focus === 'first') {
+      this.menu?.focusFirst();
+    } else if (focus === 'last') {
+      this.menu?.focusLast();
+    }
+  }
+
+  hide(returnFocus) {
+    if (this.hasAttribute('open')) {
+      this.removeAttribute('open');
+      this.dispatchEvent(new CustomEvent('luna-hide', { bubbles: true, composed: true }));
+    }
+    if (returnFocus) {
+      const trigger = this.querySelector(':scope > [slot="trigger"]');
+      const target  = trigger?.shadowRoot?.querySelector('button, a[href], [tabindex]') || trigger;
+      target?.focus();
+    }
+  }
+
+  handleTriggerKeyDown(e) {
+    const keys = this.isSubmenu ? ['ArrowRight', 'Enter', ' '] : ['ArrowDown', 'ArrowUp'];
+    if (!keys.includes(e.key)) {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+    this.show(e.key === 'ArrowUp' ? 'last' : 'first');
+  }
+
+  handleKeyDown(e) {
+    if (!this.hasAttribute('open')) {
+      return;
+    }
+    const fromPanel = !this.querySelector(':scope > [slot="trigger"]')?.contains(e.target);
+
+    if (e.key === 'Escape' || (e.key === 'ArrowLeft' && this.isSubmenu && fromPanel)) {
+      e.preventDefault();
+      e.stopPropagation();
+      this.hide(true);
+    } else if (e.key === 'Tab') {
+      this.hide(false);
+    }
+  }
+
   handleOutsideClick(e) {
     if (!this.contains(e.target) && !this.shadowRoot.contains(e.target)) {
       if (this.hasAttribute('open')) {
@@ -74,15 +152,15 @@ class LunaDropdown extends HTMLElement {
     
     const isOpen = this.hasAttribute('open');
     if (isOpen) {
+      this.floating.show();
       this.panel.classList.add('open');
     } else {
       this.panel.classList.remove('open');
+      this.floating.hide();
     }
   }
 
   render() {
-    const placement = this.getAttribute('placement') || 'bottom-start';
-
     this.shadowRoot.innerHTML = `
       <style>
         :host {
@@ -110,7 +188,7 @@ class LunaDropdown extends HTMLElement {
         }
 
         .panel {
-          position: absolute;
+          position: fixed;
           min-width: 12rem;
           background: var(--luna-dropdown-bg);
           border: 1px solid var(--luna-dropdown-border);
@@ -119,51 +197,64 @@ class LunaDropdown extends HTMLElement {
           z-index: var(--luna-dropdown-z);
           padding: 0.5rem;
           margin: 0;
+          color: inherit;
           list-style: none;
           backdrop-filter: blur(16px);
           -webkit-backdrop-filter: blur(16px);
           opacity: 0;
           visibility: hidden;
           transform: translateY(10px) scale(0.95);
-          transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
+          transform-origin: top left;
+          transition: opacity 0.2s cubic-bezier(0.4, 0, 0.2, 1),
+                      transform 0.2s cubic-bezier(0.4, 0, 0.2, 1),
+                      visibility 0.2s;
           pointer-events: none;
         }
 
+        /* Visible at once when opening so the first menu item can take focus right away */
         .panel.open {
           opacity: 1;
           visibility: visible;
           transform: translateY(0) scale(1);
           pointer-events: auto;
+          transition: opacity 0.2s cubic-bezier(0.4, 0, 0.2, 1),
+                      transform 0.2s cubic-bezier(0.4, 0, 0.2, 1),
+                      visibility 0s;
         }
 
-        /* Placement logic */
-        .bottom-start { top: 100%; left: 0; margin-top: 0.5rem; transform-origin: top left; }
-        .bottom-end { top: 100%; right: 0; margin-top: 0.5rem; transform-origin: top right; }
-        .top-start { bottom: 100%; left: 0; margin-bottom: 0.5rem; transform-origin: bottom left; }
-        .top-end { bottom: 100%; right: 0; margin-bottom: 0.5rem; transform-origin: bottom right; }
-        .right-start { top: 0; left: 100%; margin-left: 0.5rem; transform-origin: left top; }
-        .left-start { top: 0; right: 100%; margin-right: 0.5rem; transform-origin: right top; }
-        
+        /* Placement logic: data-placement is the side actually used after flipping */
+        .panel[data-placement="bottom-end"] { transform-origin: top right; }
+        .panel[data-placement="top-start"] { transform-origin: bottom left; }
+        .panel[data-placement="top-end"] { transform-origin: bottom right; }
+        .panel[data-placement="right-start"] { transform-origin: left top; }
+        .panel[data-placement="left-start"] { transform-origin: right top; }
+
+        .panel[data-placement^="top"] { transform: translateY(-10px) scale(0.95); }
+
         /* Adjust transform for side placements */
-        .right-start.panel { transform: translateX(-10px) scale(0.95); }
-        .right-start.panel.open { transform: translateX(0) scale(1); }
-        .left-start.panel { transform: translateX(10px) scale(0.95); }
-        .left-start.panel.open { transform: translateX(0) scale(1); }
+        .panel[data-placement^="right"] { transform: translateX(-10px) scale(0.95); }
+        .panel[data-placement^="left"] { transform: translateX(10px) scale(0.95); }
+        .panel[data-placement].open { transform: translate(0) scale(1); }
       </style>
 
       <div class="trigger" id="trigger" part="trigger">
         <slot name="trigger"></slot>
       </div>
 
-      <div class="panel ${placement}" id="panel" part="panel">
+      <div class="panel" id="panel" part="panel">
         <slot></slot>
       </div>
     `;
 
     this.panel = this.shadowRoot.getElementById('panel');
     this.triggerEl = this.shadowRoot.getElementById('trigger');
+    this.floating = createFloating(this.triggerEl, this.panel, () => ({
+      placement: this.getAttribute('placement') || 'bottom-start',
+      offset: 8
+    }));
     
     this.triggerEl.addEventListener('click', this.toggle);
+    this.triggerEl.addEventListener('keydown', this.handleTriggerKeyDown);
 
     this.update();
   }
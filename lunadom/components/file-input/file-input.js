@@ -17,7 +17,7 @@
  * @attr {boolean} disabled - Whether the file input is disabled.
  * @attr {boolean} required - Whether the file input is required for form validation.
  * @attr {'sm' | 'md' | 'lg'} size - The size of the file input. Defaults to 'md'.
- * @attr {string} name - The name attribute for form submission.
+ * @attr {string} name - The name each selected file is submitted under when inside a form.
  * 
  * CSS Custom Properties:
  * @cssprop --luna-file-input-bg - Background color of the dropzone.
@@ -27,15 +27,22 @@
  * @cssprop --luna-file-input-accent - Accent color for drag-over state.
  * @cssprop --luna-file-input-shadow - Box shadow when dragging over.
  * 
+ * Form Association:
+ * Posts each selected File as its own `name` entry, so a multipart form receives the files
+ * themselves. A form reset clears the selection.
+ * 
  * Events:
  * @event luna-change - Emitted when files are selected or removed. Detail contains { files: File[] }.
  * @event luna-remove - Emitted when a file is removed. Detail contains { file: File, index: number }.
  * 
  * Properties:
  * @property {File[]} files - Array of selected files. Must be reassigned (not mutated) to trigger updates.
+ * @property {HTMLFormElement | null} form - The form the file input belongs to.
  */
 class LunaFileInput extends HTMLElement {
 
+  static formAssociated = true;
+
   static get observedAttributes() {
     return [
       'label',
@@ -52,6 +59,8 @@ class LunaFileInput extends HTMLElement {
   constructor() {
     super();
     this.attachShadow({ mode: 'open' });
+    this._internals = this.attachInternals();
+    this._formDisabled = false;
     this._files = [];
     this._isDragging = false;
     this._validationMessage = '';
@@ -77,15 +86,29 @@ class LunaFileInput extends HTMLElement {
     this._updateFileList();
     this._updateValidity();
     this._syncInputFiles();
+    this._syncFormValue();
   }
 
   get value() {
     return this._files.map(f => f.name).join(', ');
   }
 
+  get name() {
+    return this.getAttribute('name') || '';
+  }
+
+  set name(val) {
+    this.setAttribute('name', val);
+  }
+
+  get form() {
+    return this._internals.form;
+  }
+
   connectedCallback() {
     this.render();
     this._setupEventListeners();
+    this._syncFormValue();
   }
 
   disconnectedCallback() {
@@ -110,7 +133,41 @@ class LunaFileInput extends HTMLElement {
       case 'size':
         this._updateSize();
         break;
+      case 'name':
+        // The file entries are keyed by the name.
+        this._syncFormValue();
+        break;
+    }
+  }
+
+  formResetCallback() {
+    this.files = [];
+  }
+
+  formStateRestoreCallback(state) {
+    if (state instanceof FormData) {
+      this.files = state.getAll(this.name).filter(entry => entry instanceof File);
+    }
+  }
+
+  formDisabledCallback(disabled) {
+    this._formDisabled = disabled;
+    this._updateDisabledState();
+  }
+
+  _isDisabled() {
+    return this.hasAttribute('disabled') || this._formDisabled;
+  }
+
+  _syncFormValue() {
+    // Like native controls, an unnamed control submits nothing.
+    if (!this.name || !this._files.length) {
+      this._internals.setFormValue(null);
+      return;
     }
+    const data = new FormData();
+    this._files.forEach(file => data.append(this.name, file));
+    this._internals.setFormValue(data);
   }
 
   setCustomValidity(message) {
@@ -168,7 +225,7 @@ class LunaFileInput extends HTMLElement {
   }
 
   _onClick(e) {
-    if (this.hasAttribute('disabled')) {
+    if (this._isDisabled()) {
       return;
     }
 
@@ -180,7 +237,7 @@ class LunaFileInput extends HTMLElement {
   }
 
   _onDragEnter(e) {
-    if (this.hasAttribute('disabled')) {
+    if (this._isDisabled()) {
       return;
     }
 
@@ -191,7 +248,7 @@ class LunaFileInput extends HTMLElement {
   }
 
   _onDragOver(e) {
-    if (this.hasAttribute('disabled')) {
+    if (this._isDisabled()) {
       return;
     }
     e.preventDefault();
@@ -199,7 +256,7 @@ class LunaFileInput extends HTMLElement {
   }
 
   _onDragLeave(e) {
-    if (this.hasAttribute('disabled')) {
+    if (this._isDisabled()) {
       return;
     }
     e.preventDefault();
@@ -213,7 +270,7 @@ class LunaFileInput extends HTMLElement {
   }
 
   _onDrop(e) {
-    if (this.hasAttribute('disabled')) {
+    if (this._isDisabled()) {
       return;
     }
 
@@ -252,6 +309,7 @@ class LunaFileInput extends HTMLElement {
 
     this._updateFileList();
     this._updateValidity();
+    this._syncFormValue();
 
     this.dispatchEvent(new CustomEvent('luna-change', {
       bubbles: true,
@@ -282,6 +340,7 @@ class LunaFileInput extends HTMLElement {
     this._files = this._files.filter((_, i) => i !== index);
     this._updateFileList();
     this._updateValidity();
+    this._syncFormValue();
 
     this.dispatchEvent(new CustomEvent('luna-remove', {
       bubbles: true,
@@ -353,14 +412,14 @@ class LunaFileInput extends HTMLElement {
   _updateDisabledState() {
     const dropzone = this.shadowRoot.querySelector('.dropzone');
     if (dropzone) {
-      if (this.hasAttribute('disabled')) {
+      if (this._isDisabled()) {
         dropzone.classList.add('disabled');
       } else {
         dropzone.classList.remove('disabled');
       }
     }
     if (this._inputEl) {
-      this._inputEl.disabled = this.hasAttribute('disabled');
+      this._inputEl.disabled = this._isDisabled();
     }
   }
 
@@ -434,7 +493,7 @@ class LunaFileInput extends HTMLElement {
     const hint = this.getAttribute('hint');
     const accept = this.getAttribute('accept') || '';
     const multiple = this.hasAttribute('multiple');
-    const disabled = this.hasAttribute('disabled');
+    const disabled = this._isDisabled();
     const required = this.hasAttribute('required');
     const name = this.getAttribute('name') || '';
     const size = this.getAttribute('size') || 'md';
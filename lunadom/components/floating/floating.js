@@ -0,0 +1,297 @@
+// lunadom/components/floating/floating.js
+
+/**
+ * Floating positioning shared by popup components (tooltip, dropdown, select,
+ * combobox, date picker and color picker).
+ *
+ * A floating element is rendered in the top layer through the popover API, so
+ * `overflow: hidden` ancestors and stacking contexts cannot clip it. Browsers
+ * without popover support fall back to `position: fixed`. Its position is
+ * computed against the viewport, flipped to the opposite side when the
+ * preferred side lacks room, shifted along the cross axis to stay inside the
+ * viewport, and kept in sync while any ancestor scrolls or either element
+ * resizes.
+ *
+ * Placements: 'top' | 'bottom' | 'left' | 'right', optionally suffixed with
+ * '-start' or '-end'. Start and end follow the reference's text direction.
+ *
+ * The floating element receives `data-placement` with the placement actually
+ * used, so styles (transform origins, arrow sides) can follow a flip.
+ * Author styles on the floating element win over the user-agent `[popover]`
+ * styles, but components should set `padding`, `color` and `background`
+ * explicitly since the UA defaults otherwise apply.
+ */
+
+const OPPOSITE = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+
+const supportsPopover = typeof HTMLElement !== 'undefined' && 'popover' in HTMLElement.prototype;
+
+/**
+ * Computes viewport coordinates for `floating` next to `reference`.
+ *
+ * @param {Element} reference - The element the floating element is anchored to.
+ * @param {HTMLElement} floating - The floating element. Measured with offsetWidth/offsetHeight,
+ *   so running transforms (enter animations) do not skew the result.
+ * @param {object} [options]
+ * @param {string} [options.placement='bottom'] - Preferred placement.
+ * @param {number} [options.offset=8] - Gap between the reference and the floating element, in px.
+ * @param {number} [options.padding=8] - Minimum distance kept from the viewport edges, in px.
+ * @param {boolean} [options.flip=true] - Move to the opposite side when the preferred side lacks room.
+ * @param {boolean} [options.shift=true] - Slide along the cross axis to stay inside the viewport.
+ * @param {HTMLElement} [options.arrow] - Arrow element inside the floating element to center on the reference.
+ * @param {number} [options.arrowPadding=6] - Minimum distance between the arrow and the floating element's corners.
+ * @returns {{ x: number, y: number, placement: string, side: string,
+ *   arrow: ({ x: number } | { y: number } | null), availableWidth: number, availableHeight: number }}
+ */
+export function computePosition(reference, floating, options = {}) {
+  const {
+    placement = 'bottom',
+    offset = 8,
+    padding = 8,
+    flip = true,
+    shift = true,
+    arrow = null,
+    arrowPadding = 6
+  } = options;
+
+  const ref = reference.getBoundingClientRect();
+  const width = floating.offsetWidth;
+  const height = floating.offsetHeight;
+  const vw = document.documentElement.clientWidth || window.innerWidth;
+  const vh = document.documentElement.clientHeight || window.innerHeight;
+  const rtl = getComputedStyle(reference).direction === 'rtl';
+
+  let [side, align = ''] = placement.split('-');
+  if (!OPPOSITE[side]) side = 'bottom';
+
+  // Room between the reference and each viewport edge, after the offset.
+  const space = {
+    top: ref.top - offset - padding,
+    bottom: vh - ref.bottom - offset - padding,
+    left: ref.left - offset - padding,
+    right: vw - ref.right - offset - padding
+  };
+  const needed = side === 'top' || side === 'bottom' ? height : width;
+
+  if (flip && space[side] < needed && space[OPPOSITE[side]] > space[side]) {
+    side = OPPOSITE[side];
+  }
+
+  const vertical = side === 'top' || side === 'bottom';
+  let x;
+  let y;
+
+  if (vertical) {
+    y = side === 'bottom' ? ref.bottom + offset : ref.top - height - offset;
+    if (align === '') {
+      x = ref.left + ref.width / 2 - width / 2;
+    } else if ((align === 'start') !== rtl) {
+      x = ref.left;
+    } else {
+      x = ref.right - width;
+    }
+  } else {
+    x = side === 'right' ? ref.right + offset : ref.left - width - offset;
+    if (align === '') {
+      y = ref.top + ref.height / 2 - height / 2;
+    } else if (align === 'start') {
+      y = ref.top;
+    } else {
+      y = ref.bottom - height;
+    }
+  }
+
+  if (shift) {
+    if (vertical) {
+      x = Math.max(padding, Math.min(x, vw - width - padding));
+    } else {
+      y = Math.max(padding, Math.min(y, vh - height - padding));
+    }
+  }
+
+  let arrowCoords = null;
+  if (arrow) {
+    if (vertical) {
+      const size = arrow.offsetWidth;
+      const ax = ref.left + ref.width / 2 - x - size / 2;
+      arrowCoords = { x: Math.max(arrowPadding, Math.min(ax, width - size - arrowPadding)) };
+    } else {
+      const size = arrow.offsetHeight;
+      const ay = ref.top + ref.height / 2 - y - size / 2;
+      arrowCoords = { y: Math.max(arrowPadding, Math.min(ay, height - size - arrowPadding)) };
+    }
+  }
+
+  return {
+    x: Math.round(x),
+    y: Math.round(y),
+    placement: align ? `${side}-${align}` : side,
+    side,
+    arrow: arrowCoords,
+    availableWidth: vertical ? vw - padding * 2 : Math.max(0, space[side]),
+    availableHeight: vertical ? Math.max(0, space[side]) : vh - padding * 2
+  };
+}
+
+// Scrollable ancestors of an element across shadow-root boundaries and slots.
+function scrollParents(element) {
+  const parents = [];
+  let node = element;
+
+  while (node) {
+    node = node.assignedSlot || node.parentNode || node.host;
+    if (node && node.nodeType === 1) {
+      const { overflow, overflowX, overflowY } = getComputedStyle(node);
+      if (/auto|scroll|overlay|hidden/.test(overflow + overflowX + overflowY)) {
+        parents.push(node);
+      }
+    }
+  }
+  return parents;
+}
+
+/**
+ * Calls `update` (at most once per frame) whenever the reference may have moved:
+ * window or ancestor scroll, viewport resize, or either element resizing.
+ *
+ * @param {Element} reference
+ * @param {HTMLElement} floating
+ * @param {Function} update
+ * @returns {Function} Cleanup function that removes every listener.
+ */
+export function autoUpdate(reference, floating, update) {
+  let frame = null;
+  const schedule = () => {
+    if (frame) return;
+    frame = requestAnimationFrame(() => {
+      frame = null;
+      update();
+    });
+  };
+
+  const targets = [window, ...scrollParents(reference)];
+  targets.forEach(target => target.addEventListener('scroll', schedule, { capture: true, passive: true }));
+  window.addEventListener('resize', schedule);
+
+  const observer = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(schedule) : null;
+  if (observer) {
+    observer.observe(reference);
+    observer.observe(floating);
+  }
+
+  return () => {
+    targets.forEach(target => target.removeEventListener('scroll', schedule, { capture: true }));
+    window.removeEventListener('resize', schedule);
+    if (observer) observer.disconnect();
+    if (frame) cancelAnimationFrame(frame);
+    frame = null;
+  };
+}
+
+/**
+ * Creates a controller that shows `floating` in the top layer next to `reference`
+ * and keeps it positioned while open.
+ *
+ * Components call `show()` before adding their "open" class so the enter transition
+ * starts from the positioned state, and `hide()` after removing it; the element
+ * leaves the top layer once the exit transition has had time to finish.
+ *
+ * @param {Element | (() => Element)} reference - The anchor, or a getter for anchors that can change.
+ * @param {HTMLElement} floating - The floating element.
+ * @param {object | (() => object)} [options] - computePosition options, or a getter read on every
+ *   update so attribute changes apply while open. Also accepts:
+ *   `matchWidth` (boolean) - Use the reference width as the floating element's minimum width.
+ *   `onPosition` (Function) - Called with the computePosition result after each update.
+ * @returns {{ show: Function, hide: Function, update: Function, destroy: Function, readonly open: boolean }}
+ */
+export function createFloating(reference, floating, options = {}) {
+  const getReference = typeof reference === 'function' ? reference : () => reference;
+  const getOptions = typeof options === 'function' ? options : () => options;
+  let cleanup = null;
+  let hideTimer = null;
+  let open = false;
+
+  floating.style.position = 'fixed';
+  floating.style.inset = 'auto';
+  floating.style.margin = '0';
+  floating.style.top = '0';
+  floating.style.left = '0';
+  if (supportsPopover) {
+    floating.setAttribute('popover', 'manual');
+  }
+
+  const inTopLayer = () => supportsPopover && floating.matches(':popover-open');
+
+  function update() {
+    const ref = getReference();
+    if (!open || !ref || !floating.isConnected) return;
+
+    const opts = getOptions();
+    if (opts.matchWidth) {
+      floating.style.minWidth = `${ref.getBoundingClientRect().width}px`;
+    }
+
+    const result = computePosition(ref, floating, opts);
+    floating.style.left = `${result.x}px`;
+    floating.style.top = `${result.y}px`;
+    floating.dataset.placement = result.placement;
+
+    if (opts.arrow && result.arrow) {
+      opts.arrow.style.left = result.arrow.x !== undefined ? `${result.arrow.x}px` : '';
+      opts.arrow.style.top = result.arrow.y !== undefined ? `${result.arrow.y}px` : '';
+    }
+    if (opts.onPosition) opts.onPosition(result);
+  }
+
+  function show() {
+    clearTimeout(hideTimer);
+    const ref = getReference();
+    if (!ref || !floating.isConnected) return;
+
+    if (supportsPopover && !inTopLayer()) {
+      floating.showPopover();
+    }
+
+    open = true;
+    update();
+    // Commit the closed-state styles at the new position before the caller adds its open class.
+    floating.getBoundingClientRect();
+
+    if (!cleanup) {
+      cleanup = autoUpdate(ref, floating, update);
+    }
+  }
+
+  function hide(delay = 250) {
+    open = false;
+    if (cleanup) {
+      cleanup();
+      cleanup = null;
+    }
+
+    clearTimeout(hideTimer);
+    hideTimer = setTimeout(() => {
+      if (!open && inTopLayer()) {
+        floating.hidePopover();
+      }
+    }, delay);
+  }
+
+  function destroy() {
+    hide(0);
+    clearTimeout(hideTimer);
+    if (inTopLayer()) {
+      floating.hidePopover();
+    }
+  }
+
+  return {
+    show,
+    hide,
+    update,
+    destroy,
+    get open() {
+      return open;
+    }
+  };
+}
@@ -0,0 +1,67 @@
+// lunadom/components/form-validity/form-validity.js
+
+/**
+ * Constraint-validation API shared by form-associated components (input,
+ * select, date picker).
+ *
+ * The mixin exposes the same members as native form controls (validity,
+ * validationMessage, willValidate, checkValidity(), reportValidity() and
+ * setCustomValidity()) on top of the element's ElementInternals, and toggles
+ * custom states for `:state()` styling (`:state(--name)` in Chrome 90–124).
+ *
+ * The host class must:
+ * - store its ElementInternals as `this._internals`;
+ * - implement `_updateValidity()`, which computes the flags (giving
+ *   `this._customValidity` precedence as a customError) and calls
+ *   `this._internals.setValidity()`.
+ *
+ * @param {typeof HTMLElement} Base - The class to extend.
+ * @returns {typeof HTMLElement} `Base` with the validation members added.
+ */
+export const FormValidity = Base => class extends Base {
+
+  get validity() {
+    return this._internals.validity;
+  }
+
+  get validationMessage() {
+    return this._internals.validationMessage;
+  }
+
+  get willValidate() {
+    return this._internals.willValidate;
+  }
+
+  checkValidity() {
+    return this._internals.checkValidity();
+  }
+
+  reportValidity() {
+    return this._internals.reportValidity();
+  }
+
+  setCustomValidity(message) {
+    this._customValidity = message || '';
+    this._updateValidity();
+  }
+
+  // Toggles a custom state for `:state()` styling. Browsers without CustomStateSet
+  // skip it. Chrome 90–124 has CustomStateSet but only accepts dashed names and
+  // throws a DOMException otherwise; there the state is set as `--<state>`, matched
+  // by the legacy `:--<state>` / `:state(--<state>)` selectors.
+  _setState(state, on) {
+    const states = this._internals.states;
+    if (!states) {
+      return;
+    }
+    const apply = name => (on ? states.add(name) : states.delete(name));
+    try {
+      apply(state);
+    } catch (e) {
+      if (!(e instanceof DOMException)) {
+        throw e;
+      }
+      apply(`--${state}`);
+    }
+  }
+};
@@ -1,10 +1,13 @@
 // lunadom/components/input/input.js
 
+import { FormValidity } from '../form-validity/form-validity.js';
+
 /**
  * @customElement luna-input
  * 
  * @slot prefix - Content to display before the input text (e.g., an icon or prefix text).
  * @slot suffix - Content to display after the input text (and after action buttons).
+ * @slot error-text - Custom error content, shown in place of the help text while invalid.
  * 
  * Attributes:
  * @attr {string} type - The type of input (text, password, email, etc.). Defaults to 'text'.
@@ -18,6 +21,14 @@
  * @attr {boolean} disabled - Whether the input is disabled.
  * @attr {string} label - Label text to display above the input.
  * @attr {string} help-text - Help text to display below the input.
+ * @attr {string} name - The name the value is submitted under when inside a form.
+ * @attr {boolean} required - The input must have a value to be valid.
+ * @attr {string} pattern - A regular expression the whole value must match.
+ * @attr {number} minlength - Minimum number of characters.
+ * @attr {number} maxlength - Maximum number of characters.
+ * @attr {string} min - Minimum value for number and date/time types.
+ * @attr {string} max - Maximum value for number and date/time types.
+ * @attr {string} error-text - Error message shown in place of the help text while invalid. Defaults to the browser's validation message.
  * 
  * CSS Custom Properties:
  * @cssprop --luna-input-bg - Background color of the input wrapper.
@@ -27,26 +38,64 @@
  * @cssprop --luna-input-focus-alpha - Shadow color when focused (alpha).
  * @cssprop --luna-input-radius - Border radius of the input wrapper.
  * @cssprop --luna-input-padding - Internal padding of the input field.
+ * @cssprop --luna-input-error - Border and error text color while invalid. Defaults to #ef4444.
+ * 
+ * Custom States:
+ * :state(invalid) - The value fails a constraint.
+ * :state(user-invalid) - The value is invalid and the user has interacted with the input or tried to submit.
+ * Chrome 90–124 only supports dashed state names: match :state(--invalid) / :state(--user-invalid)
+ * (legacy syntax :--invalid / :--user-invalid) there.
+ *
+ * Form Association:
+ * Submits the current text under `name` (an empty string when blank) and takes part in
+ * constraint validation (`required`, `pattern`, `min`/`max`...); invalid inputs block submission.
+ * A form reset restores the initial `value` and clears the touched state.
  * 
  * Events:
  * @event input - Emitted when the input value changes.
  * @event luna-clear - Emitted when the input is cleared via the clear button.
+ * @event luna-invalid - Emitted when a validity check fails. Detail contains { validity, message }.
  */
-class LunaInput extends HTMLElement {
+class LunaInput extends FormValidity(HTMLElement) {
+
+  static formAssociated = true;
 
   static get observedAttributes() {
-    return ['type', 'placeholder', 'value', 'size', 'variant', 'clearable', 'toggle', 'readonly', 'disabled', 'label', 'help-text'];
+    return [
+      'type', 'placeholder', 'value', 'size', 'variant', 'clearable', 'toggle', 'readonly', 'disabled', 'label', 'help-text',
+      'required', 'pattern', 'minlength', 'maxlength', 'min', 'max', 'error-text'
+    ];
   }
 
   constructor() {
     super();
     this.attachShadow({ mode: 'open', delegatesFocus: true });
+    this._internals = this.attachInternals();
+    this._formDisabled = false;
+    this._customValidity = '';
+    this._pattern = null;
+    this._dirty = false;
+    this._userInteracted = false;
     this.togglePassword = this.togglePassword.bind(this);
     this.clearInput = this.clearInput.bind(this);
+
+    this.addEventListener('invalid', () => {
+      this._userInteracted = true;
+      this._updateErrorUI();
+      this.dispatchEvent(new CustomEvent('luna-invalid', {
+        bubbles: true,
+        composed: true,
+        detail: { validity: this.validity, message: this.validationMessage }
+      }));
+    });
   }
 
   connectedCallback() {
+    if (this._defaultValue === undefined) {
+      this._defaultValue = this.getAttribute('value') || '';
+    }
     this.render();
+    this._syncFormValue();
   }
 
   get value() {
@@ -61,6 +110,153 @@ class LunaInput extends HTMLElement {
     }
   }
 
+  get name() {
+    return this.getAttribute('name') || '';
+  }
+
+  set name(v) {
+    this.setAttribute('name', v);
+  }
+
+  get form() {
+    return this._internals.form;
+  }
+
+  // ─── Form association ─────────────────────────────────────────────────────
+
+  formResetCallback() {
+    this._dirty = false;
+    this._userInteracted = false;
+    this.value = this._defaultValue || '';
+  }
+
+  formStateRestoreCallback(state) {
+    this.value = state || '';
+  }
+
+  formDisabledCallback(disabled) {
+    this._formDisabled = disabled;
+    this._applyDisabled();
+  }
+
+  _isDisabled() {
+    return this.hasAttribute('disabled') || this._formDisabled;
+  }
+
+  _applyDisabled() {
+    if (!this.inputEl) return;
+    const disabled = this._isDisabled();
+    this.inputEl.disabled = disabled;
+    this.inputEl.parentElement.classList.toggle('disabled', disabled);
+  }
+
+  _syncFormValue() {
+    this._internals.setFormValue(this.value);
+  }
+
+  // ─── Validation ───────────────────────────────────────────────────────────
+
+  _syncConstraints() {
+    ['required', 'pattern', 'minlength', 'maxlength', 'min', 'max'].forEach(attr => {
+      if (this.hasAttribute(attr)) {
+        this.inputEl.setAttribute(attr, this.getAttribute(attr));
+      } else {
+        this.inputEl.removeAttribute(attr);
+      }
+    });
+  }
+
+  // The `pattern` attribute compiled once per value. Like native inputs, an invalid
+  // pattern is reported on the console (once) and ignored.
+  _patternRegExp() {
+    const pattern = this.getAttribute('pattern') || '';
+    if (!this._pattern || this._pattern.source !== pattern) {
+      let re = null;
+      if (pattern) {
+        try {
+          re = new RegExp(`^(?:${pattern})$`, 'u');
+        } catch (e) {
+          console.warn(`luna-input: ignoring invalid pattern "${pattern}"`, e);
+        }
+      }
+      this._pattern = { source: pattern, re };
+    }
+    return this._pattern.re;
+  }
+
+  _validate() {
+    const value  = this.value;
+    const native = this.inputEl ? this.inputEl.validity : null;
+    const type   = this.getAttribute('type') || 'text';
+
+    if (this._customValidity) {
+      return [{ customError: true }, this._customValidity];
+    }
+    if (this.hasAttribute('required') && !value) {
+      return [{ valueMissing: true }, 'Please fill out this field.'];
+    }
+    if (native && native.badInput) {
+      return [{ badInput: true }, this.inputEl.validationMessage || 'Please enter a valid value.'];
+    }
+    if (!value) {
+      return [{}, ''];
+    }
+    if (native && native.typeMismatch) {
+      return [{ typeMismatch: true }, this.inputEl.validationMessage || 'Please enter a valid value.'];
+    }
+
+    const re = this._patternRegExp();
+    if (re && !re.test(value)) {
+      return [{ patternMismatch: true }, 'Please match the requested format.'];
+    }
+
+    const minLength = parseInt(this.getAttribute('minlength'));
+    if (!isNaN(minLength) && value.length < minLength) {
+      return [{ tooShort: true }, `Please use at least ${minLength} characters (you are currently using ${value.length}).`];
+    }
+    const maxLength = parseInt(this.getAttribute('maxlength'));
+    if (!isNaN(maxLength) && value.length > maxLength) {
+      return [{ tooLong: true }, `Please use no more than ${maxLength} characters (you are currently using ${value.length}).`];
+    }
+
+    // Number inputs compare numerically; date/time values are ISO strings and compare lexically.
+    const min = this.getAttribute('min');
+    const max = this.getAttribute('max');
+    const cmp = (a, b) => type === 'number' || type === 'range' ? parseFloat(a) - parseFloat(b) : (a < b ? -1 : a > b ? 1 : 0);
+    if (min !== null && min !== '' && cmp(value, min) < 0) {
+      return [{ rangeUnderflow: true }, `Value must be ${min} or ${type === 'number' ? 'more' : 'later'}.`];
+    }
+    if (max !== null && max !== '' && cmp(value, max) > 0) {
+      return [{ rangeOverflow: true }, `Value must be ${max} or ${type === 'number' ? 'less' : 'earlier'}.`];
+    }
+
+    return [{}, ''];
+  }
+
+  _updateValidity() {
+    const [flags, message] = this._validate();
+    this._internals.setValidity(flags, message, this.inputEl || undefined);
+    this._updateErrorUI();
+  }
+
+  _updateErrorUI() {
+    const invalid     = !this._internals.validity.valid;
+    const showError   = invalid && this._userInteracted;
+    this._setState('invalid', invalid);
+    this._setState('user-invalid', showError);
+
+    if (!this.inputEl) return;
+    const group = this.shadowRoot.querySelector('.input-group');
+    const msg   = this.shadowRoot.querySelector('.error-message');
+    group.classList.toggle('invalid', showError);
+    msg.textContent = this.getAttribute('error-text') || this.validationMessage;
+    if (showError) {
+      this.inputEl.setAttribute('aria-invalid', 'true');
+    } else {
+      this.inputEl.removeAttribute('aria-invalid');
+    }
+  }
+
   attributeChangedCallback(name, oldVal, newVal) {
     if (!this.inputEl) return;
     switch (name) {
@@ -69,12 +265,27 @@ class LunaInput extends HTMLElement {
           this.inputEl.value = newVal;
         }
         this.updateClearButton();
+        this._syncFormValue();
+        this._updateValidity();
         break;
       case 'placeholder':
         this.inputEl.placeholder = newVal || '';
         break;
       case 'type':
         this.inputEl.type = newVal || 'text';
+        this._updateValidity();
+        break;
+      case 'required':
+      case 'pattern':
+      case 'minlength':
+      case 'maxlength':
+      case 'min':
+      case 'max':
+        this._syncConstraints();
+        this._updateValidity();
+        break;
+      case 'error-text':
+        this._updateErrorUI();
         break;
       case 'label':
       case 'help-text':
@@ -90,7 +301,7 @@ class LunaInput extends HTMLElement {
         this.inputEl.readOnly = this.hasAttribute('readonly');
         break;
       case 'disabled':
-        this.inputEl.disabled = this.hasAttribute('disabled');
+        this._applyDisabled();
         break;
     }
   }
@@ -135,8 +346,9 @@ class LunaInput extends HTMLElement {
     const value       = this.getAttribute('value') || '';
     const label       = this.getAttribute('label');
     const helpText    = this.getAttribute('help-text');
+    const errorText   = this.getAttribute('error-text') || '';
     const readonly    = this.hasAttribute('readonly');
-    const disabled    = this.hasAttribute('disabled');
+    const disabled    = this._isDisabled();
 
     this.shadowRoot.innerHTML = `
       <style>
@@ -149,6 +361,7 @@ class LunaInput extends HTMLElement {
           --luna-input-focus: var(--luna-accent, #2563eb);
           --luna-input-radius: 8px;
           --luna-input-padding: 0.625rem 0.75rem;
+          --luna-input-error: #ef4444;
           width: 100%;
         }
 
@@ -218,6 +431,24 @@ class LunaInput extends HTMLElement {
           margin-top: 0.125rem;
         }
 
+        .error {
+          display: none;
+          font-size: 0.75rem;
+          color: var(--luna-input-error);
+          margin-top: 0.125rem;
+        }
+
+        .input-group.invalid .input-wrapper {
+          border-color: var(--luna-input-error);
+        }
+
+        .input-group.invalid .input-wrapper:focus-within:not(.disabled) {
+          box-shadow: 0 0 0 3px color-mix(in srgb, var(--luna-input-error) 20%, transparent);
+        }
+
+        .input-group.invalid .helper { display: none; }
+        .input-group.invalid .error { display: block; }
+
         .button-group {
           display: flex;
           align-items: center;
@@ -278,6 +509,9 @@ class LunaInput extends HTMLElement {
           <slot name="suffix"></slot>
         </div>
         ${helpText ? `<div class="helper">${helpText}</div>` : ''}
+        <div class="error" part="error-text" role="alert">
+          <slot name="error-text"><span class="error-message">${errorText}</span></slot>
+        </div>
       </div>
     `;
 
@@ -286,6 +520,7 @@ class LunaInput extends HTMLElement {
     this.toggleBtn = this.shadowRoot.getElementById('toggleBtn');
 
     this.inputEl.addEventListener('input', e => {
+      this._dirty = true;
       this.setAttribute('value', this.inputEl.value);
       this.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
       this.updateClearButton();
@@ -298,8 +533,17 @@ class LunaInput extends HTMLElement {
     if (this.toggleBtn) {
       this.toggleBtn.addEventListener('click', this.togglePassword);
     }
+
+    this.inputEl.addEventListener('blur', () => {
+      if (this._dirty && !this._userInteracted) {
+        this._userInteracted = true;
+        this._updateErrorUI();
+      }
+    });
     
     this.updateButtons();
+    this._syncConstraints();
+    this._updateValidity();
   }
 }
 
@@ -1,5 +1,7 @@
 // lunadom/components/line-chart/line-chart.js
 
+import { lttbSegments } from '../downsample/downsample.js';
+
 /**
  * @customElement luna-line-chart
  *
@@ -9,6 +11,17 @@
  * Multi-series data shape:
  *   [{ label: string, values: { seriesA: number, seriesB: number, … } }, …]
  *
+ * Combo charts: the `series` attribute configures each series of the data by key, e.g.
+ *   [{ key: 'Revenue', type: 'bar' }, { key: 'Conversion', type: 'line', axis: 'right' }]
+ * `type` is 'line' | 'area' | 'bar' (default: 'area' with the `area` attribute, else 'line'), `axis` is
+ * 'left' (default) | 'right', and `color` overrides the palette. Each axis scales to its own series;
+ * series on the right axis get a second y-axis with its own ticks, label and format.
+ *
+ * Time-series data (x-type="time"): each point carries a `time` (epoch ms or a date string
+ * Date.parse understands) instead of, or in addition to, `label`:
+ *   [{ time: '2024-05-01T10:00:00Z', value: number }, …]
+ * Points are sorted by time and spaced proportionally; points without a valid time are skipped.
+ *
  * Attributes:
  * @attr {string}  data             - JSON array of data points (see shapes above).
  * @attr {number}  height           - Chart SVG height in px. Default: 240.
@@ -25,6 +38,34 @@
  * @attr {boolean} no-grid          - Hide horizontal grid lines.
  * @attr {boolean} animate          - Animate lines on first render (default: true). Set attribute to "false" to disable.
  * @attr {number}  precision        - Decimal places for axis tick labels. Auto-detected when omitted.
+ * @attr {string}  series           - JSON array of per-series settings { key, type, axis, color } (see above).
+ * @attr {string}  y-format         - Left-axis value format: 'number' (default), 'percent' (0.25 → 25%),
+ *                                    'compact' (12K) or 'currency:<ISO code>' (e.g. currency:USD).
+ * @attr {string}  y2-label         - Label text rendered along the right y-axis.
+ * @attr {string}  y2-format        - Right-axis value format, as `y-format`.
+ * @attr {number}  y2-precision     - Decimal places for right-axis values.
+ * @attr {number}  y2-min           - Force the right y-axis minimum value.
+ * @attr {number}  y2-max           - Force the right y-axis maximum value.
+ * @attr {'category'|'time'} x-type - 'category' spaces points evenly by index (default); 'time' scales the
+ *                                    x-axis by each point's timestamp with calendar-aligned ticks.
+ * @attr {string}  gap-threshold    - Time mode only: a gap between consecutive points longer than this
+ *                                    breaks the line. Milliseconds, or a duration like '90s', '15m', '2h',
+ *                                    '1d', '1w'. Defaults to 3× the median sample interval; 'none' never breaks.
+ * @attr {string}  lang             - BCP 47 locale for time-axis labels. Falls back to the nearest
+ *                                    ancestor `lang`, then the browser locale.
+ * @attr {boolean} zoomable         - Zoom the x-axis with the mouse wheel or a pinch, and pan by dragging.
+ *                                    Double-click or the reset control returns to the full range.
+ * @attr {boolean} brush            - Dragging selects an x range and fires luna-range-select; a click clears
+ *                                    it. Combined with `zoomable`, Shift+drag pans.
+ * @attr {boolean} crosshair        - Track the pointer with a vertical crosshair and show every series' value
+ *                                    at the nearest x in one shared tooltip.
+ * @attr {string}  sync-group       - Charts (luna-line-chart, luna-bar-graph) with the same sync-group move
+ *                                    their crosshairs together. Implies `crosshair`. Points are matched by
+ *                                    time between time-series charts, otherwise by label, then by index.
+ * @attr {number}  max-points       - Maximum points drawn per series. Larger series are downsampled with
+ *                                    LTTB (largest-triangle-three-buckets); hover and click details still
+ *                                    report original indices. Defaults to the plot width in pixels;
+ *                                    "0" draws every point.
  *
  * CSS Custom Properties:
  * @cssprop --luna-line-bg              - Component background (default: transparent)
@@ -45,10 +86,21 @@
  * @cssprop --luna-line-tooltip-border  - Tooltip border colour (default: #333)
  * @cssprop --luna-line-legend-gap      - Gap between legend items (default: 1rem)
  * @cssprop --luna-line-cursor-color    - Vertical crosshair line colour (default: rgba(255,255,255,.1))
+ * @cssprop --luna-line-brush-color     - Brush selection fill (default: rgba(37,99,235,.15))
+ * @cssprop --luna-line-brush-border    - Brush selection outline (default: rgba(37,99,235,.6))
  *
  * Events:
  * @event luna-line-hover - Fired on data-point hover. detail: { label, value, series, index } or null on leave.
- * @event luna-line-click - Fired on data-point click. detail: { label, value, series, index }.
+ *                          In time mode the detail also carries `time` (epoch ms).
+ *                          In crosshair mode it fires when the crosshair moves to another x instead:
+ *                          detail: { label, index, values: { [series]: value }[, time] } or null.
+ * @event luna-line-click - Fired on data-point click. detail: { label, value, series, index[, time] }.
+ * @event luna-range-select - Fired when a brush selection ends. detail: { startIndex, endIndex, startLabel,
+ *                            endLabel } (plus startTime/endTime in time mode), or null when cleared.
+ *
+ * Methods:
+ * @method zoomTo(startIndex, endIndex) - Zoom the x-axis to the given data index range.
+ * @method resetZoom() - Return to the full x range.
  */
 class LunaLineChart extends HTMLElement {
 
@@ -56,7 +108,22 @@ class LunaLineChart extends HTMLElement {
     return [
       'data', 'height', 'x-label', 'y-label', 'min', 'max',
       'goal', 'goal-label', 'area', 'smooth', 'dots', 'legend',
-      'no-grid', 'animate', 'precision',
+      'no-grid', 'animate', 'precision', 'x-type', 'gap-threshold', 'lang',
+      'zoomable', 'brush', 'max-points', 'crosshair', 'sync-group',
+      'series', 'y-format', 'y2-label', 'y2-format', 'y2-precision', 'y2-min', 'y2-max',
+    ];
+  }
+
+  // Candidate time-axis tick intervals: [unit, step, approximate ms].
+  static get _timeIntervals() {
+    const S = 1000, M = 60 * S, H = 60 * M, D = 24 * H;
+    return [
+      ['second', 1, S], ['second', 5, 5 * S], ['second', 15, 15 * S], ['second', 30, 30 * S],
+      ['minute', 1, M], ['minute', 5, 5 * M], ['minute', 15, 15 * M], ['minute', 30, 30 * M],
+      ['hour', 1, H], ['hour', 3, 3 * H], ['hour', 6, 6 * H], ['hour', 12, 12 * H],
+      ['day', 1, D], ['day', 2, 2 * D], ['day', 7, 7 * D],
+      ['month', 1, 30 * D], ['month', 3, 91 * D], ['month', 6, 182 * D],
+      ['year', 1, 365 * D],
     ];
   }
 
@@ -72,6 +139,15 @@ class LunaLineChart extends HTMLElement {
     this.attachShadow({ mode: 'open' });
     this._ro = null;
     this._initialized = false;
+    this._formatters = new Map();
+    this._view      = null;
+    this._brush     = null;
+    this._geom      = null;
+    this._gesture   = null;
+    this._pointers  = new Map();
+    this._drawFrame = null;
+    this._crosshairIndex = null;
+    this._onSync    = this._onSync.bind(this);
   }
 
   connectedCallback() {
@@ -79,16 +155,24 @@ class LunaLineChart extends HTMLElement {
     this._render();
     this._ro = new ResizeObserver(() => this._draw());
     this._ro.observe(this.shadowRoot.host);
+    document.addEventListener('luna-crosshair', this._onSync);
   }
 
   disconnectedCallback() {
     if (this._ro) {
       this._ro.disconnect();
     }
+    document.removeEventListener('luna-crosshair', this._onSync);
+    cancelAnimationFrame(this._drawFrame);
+    this._drawFrame = null;
   }
 
   attributeChangedCallback(name, oldVal, newVal) {
     if (oldVal !== newVal && this._initialized) {
+      if (name === 'data' || name === 'x-type') {
+        this._view  = null;
+        this._brush = null;
+      }
       this._render();
     }
   }
@@ -105,6 +189,19 @@ class LunaLineChart extends HTMLElement {
     this.setAttribute('data', typeof v === 'string' ? v : JSON.stringify(v));
   }
 
+  get series() {
+    try {
+      const v = JSON.parse(this.getAttribute('series') || '[]');
+      return Array.isArray(v) ? v : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  set series(v) {
+    this.setAttribute('series', typeof v === 'string' ? v : JSON.stringify(v));
+  }
+
   _cssVar(name, fallback) {
     return getComputedStyle(this).getPropertyValue(name).trim() || fallback;
   }
@@ -129,18 +226,213 @@ class LunaLineChart extends HTMLElement {
 
   _parseData() {
     try {
-      const raw = JSON.parse(this.getAttribute('data') || '[]');
+      let raw = JSON.parse(this.getAttribute('data') || '[]');
       if (!Array.isArray(raw) || raw.length === 0) {
-        return { items: [], series: [], isMulti: false };
+        return { items: [], series: [], isMulti: false, times: null };
       }
+
+      let times = null;
+      if (this.getAttribute('x-type') === 'time') {
+        raw = raw
+          .map(it => ({ it, t: this._timeOf(it) }))
+          .filter(p => p.t !== null)
+          .sort((a, b) => a.t - b.t);
+        times = raw.map(p => p.t);
+        raw   = raw.map(p => p.it);
+        if (raw.length === 0) {
+          return { items: [], series: [], isMulti: false, times: null };
+        }
+      }
+
       const isMulti = raw[0] && raw[0].values !== undefined;
       if (isMulti) {
-        return { items: raw, series: Object.keys(raw[0].values), isMulti: true };
+        return { items: raw, series: Object.keys(raw[0].values), isMulti: true, times };
       }
-      return { items: raw, series: ['value'], isMulti: false };
+      return { items: raw, series: ['value'], isMulti: false, times };
     } catch (_) {
-      return { items: [], series: [], isMulti: false };
+      return { items: [], series: [], isMulti: false, times: null };
+    }
+  }
+
+  // ─── Time axis ──────────────────────────────────────────────────────────────
+
+  _timeOf(item) {
+    const raw = item.time !== undefined ? item.time : item.label;
+    if (typeof raw === 'number') {
+      return isFinite(raw) ? raw : null;
+    }
+    const t = Date.parse(raw);
+    return isNaN(t) ? null : t;
+  }
+
+  _locale() {
+    const lang = this.closest('[lang]')?.getAttribute('lang');
+    if (lang) {
+      try {
+        return Intl.DateTimeFormat.supportedLocalesOf(lang).length ? lang : undefined;
+      } catch (_) {
+        return undefined;
+      }
+    }
+    return undefined;
+  }
+
+  // Formatters are cached per locale + options; building them is the slow part.
+  _dtf(options) {
+    const locale = this._locale();
+    const key    = `${locale}|${JSON.stringify(options)}`;
+    if (!this._formatters.has(key)) {
+      this._formatters.set(key, new Intl.DateTimeFormat(locale, options));
+    }
+    return this._formatters.get(key);
+  }
+
+  _nf(options) {
+    const locale = this._locale();
+    const key    = `number|${locale}|${JSON.stringify(options)}`;
+    if (!this._formatters.has(key)) {
+      this._formatters.set(key, new Intl.NumberFormat(locale, options));
+    }
+    return this._formatters.get(key);
+  }
+
+  _parseDuration(str) {
+    const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?$/i.exec((str || '').trim());
+    if (!match) {
+      return null;
+    }
+    const mult = { ms: 1, s: 1e3, m: 6e4, h: 36e5, d: 864e5, w: 6048e5 }[(match[2] || 'ms').toLowerCase()];
+    return parseFloat(match[1]) * mult;
+  }
+
+  _medianInterval(times) {
+    const diffs = [];
+    for (let i = 1; i < times.length; i++) {
+      diffs.push(times[i] - times[i - 1]);
     }
+    if (diffs.length === 0) {
+      return 0;
+    }
+    diffs.sort((a, b) => a - b);
+    return diffs[Math.floor(diffs.length / 2)];
+  }
+
+  // Ranges [start, end) of positions in `indices` whose points are joined by a line;
+  // a time gap longer than the threshold starts a new segment.
+  _segments(indices, times) {
+    if (!times) {
+      return [[0, indices.length]];
+    }
+
+    const attr = (this.getAttribute('gap-threshold') || '').trim();
+    let threshold;
+    if (attr.toLowerCase() === 'none') {
+      threshold = Infinity;
+    } else if (attr) {
+      threshold = this._parseDuration(attr) ?? Infinity;
+    } else {
+      const median = this._medianInterval(times);
+      threshold = median > 0 && times.length > 2 ? median * 3 : Infinity;
+    }
+
+    const segments = [];
+    let start = 0;
+    for (let k = 1; k < indices.length; k++) {
+      if (times[indices[k]] - times[indices[k - 1]] > threshold) {
+        segments.push([start, k]);
+        start = k;
+      }
+    }
+    segments.push([start, indices.length]);
+    return segments;
+  }
+
+  // Calendar-aligned tick timestamps between tMin and tMax, at most roughly maxTicks of them.
+  _timeTicks(tMin, tMax, maxTicks) {
+    const span      = Math.max(tMax - tMin, 1);
+    const intervals = LunaLineChart._timeIntervals;
+    let [unit, step] = (intervals.find(iv => span / iv[2] <= maxTicks) || ['year', 1]);
+
+    if (unit === 'year') {
+      step = Math.max(1, this._niceStep(span / intervals[intervals.length - 1][2] * 5 / maxTicks));
+    }
+
+    const d = new Date(tMin);
+    switch (unit) {
+      case 'year':
+        d.setFullYear(Math.floor(d.getFullYear() / step) * step, 0, 1);
+        d.setHours(0, 0, 0, 0);
+        break;
+      case 'month':
+        d.setMonth(Math.floor(d.getMonth() / step) * step, 1);
+        d.setHours(0, 0, 0, 0);
+        break;
+      case 'day':
+        d.setHours(0, 0, 0, 0);
+        break;
+      case 'hour':
+        d.setHours(Math.floor(d.getHours() / step) * step, 0, 0, 0);
+        break;
+      case 'minute':
+        d.setMinutes(Math.floor(d.getMinutes() / step) * step, 0, 0);
+        break;
+      default:
+        d.setSeconds(Math.floor(d.getSeconds() / step) * step, 0);
+    }
+
+    const ticks = [];
+    for (let guard = 0; d.getTime() <= tMax && guard < 500; guard++) {
+      if (d.getTime() >= tMin) {
+        ticks.push(d.getTime());
+      }
+      switch (unit) {
+        case 'year':   d.setFullYear(d.getFullYear() + step); break;
+        case 'month':  d.setMonth(d.getMonth() + step); break;
+        case 'day':    d.setDate(d.getDate() + step); break;
+        case 'hour':   d.setHours(d.getHours() + step); break;
+        case 'minute': d.setMinutes(d.getMinutes() + step); break;
+        default:       d.setSeconds(d.getSeconds() + step);
+      }
+    }
+    return { ticks, unit };
+  }
+
+  _formatTick(t, unit) {
+    const d = new Date(t);
+    const midnight = d.getHours() === 0 && d.getMinutes() === 0 && d.getSeconds() === 0;
+
+    if (unit === 'year') {
+      return this._dtf({ year: 'numeric' }).format(d);
+    }
+    if (unit === 'month') {
+      return this._dtf(d.getMonth() === 0 ? { year: 'numeric' } : { month: 'short' }).format(d);
+    }
+    if (unit === 'day' || midnight) {
+      return this._dtf({ month: 'short', day: 'numeric' }).format(d);
+    }
+    if (unit === 'second') {
+      return this._dtf({ hour: 'numeric', minute: '2-digit', second: '2-digit' }).format(d);
+    }
+    return this._dtf({ hour: 'numeric', minute: '2-digit' }).format(d);
+  }
+
+  // Axis value format (y-format / y2-format); unknown formats fall back to _formatVal.
+  _formatY(v, format, precision) {
+    let options;
+    if (format === 'percent') {
+      options = { style: 'percent', maximumFractionDigits: 1 };
+    } else if (format === 'compact') {
+      options = { notation: 'compact' };
+    } else if (/^currency:[a-z]{3}$/i.test(format || '')) {
+      options = { style: 'currency', currency: format.slice(9).toUpperCase() };
+    } else {
+      return this._formatVal(v, precision);
+    }
+    if (precision !== null && precision !== undefined) {
+      options.minimumFractionDigits = precision;
+      options.maximumFractionDigits = precision;
+    }
+    return this._nf(options).format(v);
   }
 
   _formatVal(v, precision) {
@@ -194,6 +486,430 @@ class LunaLineChart extends HTMLElement {
     return `${linePart} L${last[0]},${baseY} L${first[0]},${baseY} Z`;
   }
 
+  // ─── Zoom, pan & brush ──────────────────────────────────────────────────────
+
+  zoomTo(startIndex, endIndex) {
+    const g = this._geom;
+    if (!g) {
+      return;
+    }
+    const a = Math.max(0, Math.min(g.n - 1, Math.min(startIndex, endIndex)));
+    const b = Math.max(0, Math.min(g.n - 1, Math.max(startIndex, endIndex)));
+    this._setView(g.domainOf(a), g.domainOf(b));
+  }
+
+  resetZoom() {
+    if (this._view) {
+      this._view = null;
+      this._scheduleDraw();
+    }
+  }
+
+  _scheduleDraw() {
+    if (this._drawFrame) {
+      return;
+    }
+    this._drawFrame = requestAnimationFrame(() => {
+      this._drawFrame = null;
+      this._draw({ animate: false });
+    });
+  }
+
+  // Clamps a domain window to the data extent; the full extent clears the zoom.
+  _setView(min, max) {
+    const g = this._geom;
+    if (!g) {
+      return;
+    }
+    const full = g.dMax - g.dMin;
+    const span = Math.min(full, Math.max(g.minSpan, max - min));
+
+    if (span >= full) {
+      this._view = null;
+    } else {
+      let lo = min + ((max - min) - span) / 2;
+      lo = Math.max(g.dMin, Math.min(lo, g.dMax - span));
+      this._view = { min: lo, max: lo + span };
+    }
+    this._scheduleDraw();
+  }
+
+  _domainAtClientX(clientX) {
+    const g    = this._geom;
+    const svg  = this.shadowRoot.getElementById('chart');
+    const px   = clientX - svg.getBoundingClientRect().left;
+    const frac = Math.max(0, Math.min(1, (px - g.chartL) / g.chartW));
+    return g.xMin + frac * (g.xMax - g.xMin);
+  }
+
+  // Zooms to `span` keeping `center` at `anchorFrac` of the plot width. Bar series pad the
+  // plotted range by a fixed amount on each side of the view, hence `pad`.
+  _zoomAround(center, span, anchorFrac) {
+    const g    = this._geom;
+    const pad  = g.vMin - g.xMin;
+    const next = Math.min(g.dMax - g.dMin, Math.max(g.minSpan, span));
+    const min  = center + pad - anchorFrac * (next + 2 * pad);
+    this._setView(min, min + next);
+  }
+
+  _onWheel(e) {
+    const g = this._geom;
+    if (!g || !this._bool('zoomable')) {
+      return;
+    }
+    e.preventDefault();
+
+    // Pixels map onto the plotted x range, which bar series pad beyond the view.
+    const scale = g.xMax - g.xMin;
+    if (Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+      const shift = (e.deltaX / g.chartW) * scale;
+      this._setView(g.vMin + shift, g.vMax + shift);
+      return;
+    }
+
+    const center = this._domainAtClientX(e.clientX);
+    this._zoomAround(center, (g.vMax - g.vMin) * Math.exp(e.deltaY * 0.0015), (center - g.xMin) / scale);
+  }
+
+  _onPointerDown(e) {
+    const g        = this._geom;
+    const zoomable = this._bool('zoomable');
+    const brush    = this._bool('brush');
+    if (!g || (!zoomable && !brush) || (e.pointerType === 'mouse' && e.button !== 0)) {
+      return;
+    }
+
+    this._pointers.set(e.pointerId, e.clientX);
+
+    if (this._pointers.size === 2 && zoomable) {
+      const [x1, x2] = Array.from(this._pointers.values());
+      const center   = this._domainAtClientX((x1 + x2) / 2);
+      this._gesture  = {
+        type:   'pinch',
+        dist:   Math.max(10, Math.abs(x1 - x2)),
+        span:   g.vMax - g.vMin,
+        center,
+        frac:   (center - g.xMin) / (g.xMax - g.xMin),
+      };
+      return;
+    }
+
+    this._gesture = {
+      type:   brush && !e.shiftKey ? 'brush' : zoomable ? 'pan' : null,
+      startX: e.clientX,
+      vMin:   g.vMin,
+      vMax:   g.vMax,
+      scale:  g.xMax - g.xMin,
+      start:  this._domainAtClientX(e.clientX),
+      moved:  false,
+    };
+  }
+
+  _onPointerMove(e) {
+    const gst = this._gesture;
+    if (this._pointers.has(e.pointerId)) {
+      this._pointers.set(e.pointerId, e.clientX);
+    }
+    if (!gst || !gst.type) {
+      return;
+    }
+
+    if (gst.type === 'pinch') {
+      const [x1, x2] = Array.from(this._pointers.values());
+      const dist     = Math.max(10, Math.abs(x1 - x2));
+      this._zoomAround(gst.center, gst.span * (gst.dist / dist), gst.frac);
+      return;
+    }
+
+    const dx = e.clientX - gst.startX;
+    if (!gst.moved) {
+      if (Math.abs(dx) < 4) {
+        return;
+      }
+      gst.moved = true;
+      this.shadowRoot.getElementById('chart').setPointerCapture?.(e.pointerId);
+    }
+
+    if (gst.type === 'pan') {
+      const shift = -(dx / this._geom.chartW) * gst.scale;
+      this._setView(gst.vMin + shift, gst.vMax + shift);
+    } else {
+      this._brush = { start: gst.start, end: this._domainAtClientX(e.clientX) };
+      this._placeBrush();
+    }
+  }
+
+  _onPointerUp(e) {
+    this._pointers.delete(e.pointerId);
+    const gst = this._gesture;
+    if (!gst) {
+      return;
+    }
+    if (gst.type === 'pinch') {
+      // The remaining finger starts a fresh gesture on its next pointerdown.
+      this._gesture = null;
+      return;
+    }
+    this._gesture = null;
+
+    if (gst.type !== 'brush') {
+      return;
+    }
+    if (gst.moved) {
+      this._emitBrush();
+    } else if (this._brush) {
+      this._brush = null;
+      this._placeBrush();
+      this.dispatchEvent(new CustomEvent('luna-range-select', { bubbles: true, composed: true, detail: null }));
+    }
+  }
+
+  _placeBrush() {
+    const rect = this.shadowRoot.getElementById('brush');
+    const g    = this._geom;
+    if (!rect || !g) {
+      return;
+    }
+    if (!this._brush) {
+      rect.setAttribute('width', 0);
+      return;
+    }
+    const xOf = d => Math.max(g.chartL, Math.min(g.chartL + g.chartW, g.xOfDomain(d)));
+    const x1  = xOf(Math.min(this._brush.start, this._brush.end));
+    const x2  = xOf(Math.max(this._brush.start, this._brush.end));
+    rect.setAttribute('x', x1);
+    rect.setAttribute('width', Math.max(0, x2 - x1));
+  }
+
+  _emitBrush() {
+    const g  = this._geom;
+    const lo = Math.min(this._brush.start, this._brush.end);
+    const hi = Math.max(this._brush.start, this._brush.end);
+
+    let startIndex = -1;
+    let endIndex   = -1;
+    for (let i = 0; i < g.n; i++) {
+      const d = g.domainOf(i);
+      if (d >= lo && d <= hi) {
+        if (startIndex === -1) {
+          startIndex = i;
+        }
+        endIndex = i;
+      }
+    }
+
+    if (startIndex === -1) {
+      this._brush = null;
+      this._placeBrush();
+      this.dispatchEvent(new CustomEvent('luna-range-select', { bubbles: true, composed: true, detail: null }));
+      return;
+    }
+
+    const detail = {
+      startIndex,
+      endIndex,
+      startLabel: g.labelAt(startIndex),
+      endLabel:   g.labelAt(endIndex),
+    };
+    if (g.times) {
+      detail.startTime = g.times[startIndex];
+      detail.endTime   = g.times[endIndex];
+    }
+    this.dispatchEvent(new CustomEvent('luna-range-select', { bubbles: true, composed: true, detail }));
+  }
+
+  _bindZoom(svg) {
+    svg.addEventListener('wheel', e => this._onWheel(e), { passive: false });
+    svg.addEventListener('pointerdown', e => this._onPointerDown(e));
+    svg.addEventListener('pointermove', e => this._onPointerMove(e));
+    svg.addEventListener('pointerup', e => this._onPointerUp(e));
+    svg.addEventListener('pointercancel', e => this._onPointerUp(e));
+    svg.addEventListener('dblclick', () => {
+      if (this._bool('zoomable')) {
+        this.resetZoom();
+      }
+    });
+    this.shadowRoot.getElementById('reset-zoom').addEventListener('click', () => this.resetZoom());
+  }
+
+  // ─── Crosshair & sync ───────────────────────────────────────────────────────
+
+  _crosshairMode() {
+    return this._bool('crosshair') || this.hasAttribute('sync-group');
+  }
+
+  // Index of the in-view point nearest to a domain value.
+  _nearestIndex(d) {
+    const g = this._geom;
+    let lo = g.first;
+    let hi = g.last;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (g.domainOf(mid) < d) { lo = mid + 1; } else { hi = mid; }
+    }
+    if (lo > g.first && d - g.domainOf(lo - 1) <= g.domainOf(lo) - d) {
+      lo--;
+    }
+    return lo;
+  }
+
+  _onCrosshairMove(e) {
+    const g = this._geom;
+    if (!g || !this._crosshairMode()) {
+      return;
+    }
+
+    const px = e.clientX - this.shadowRoot.getElementById('chart').getBoundingClientRect().left;
+    if (g.first > g.last || px < g.chartL || px > g.chartL + g.chartW) {
+      this._onCrosshairLeave();
+      return;
+    }
+
+    const index = this._nearestIndex(this._domainAtClientX(e.clientX));
+    this._showCrosshair(index, e);
+
+    if (index !== this._crosshairIndex) {
+      this._crosshairIndex = index;
+      const values = {};
+      g.seriesKeys.forEach(s => { values[s] = g.valueOf(s)(index); });
+      const detail = { label: g.labelAt(index), index, values };
+      if (g.times) {
+        detail.time = g.times[index];
+      }
+      this.dispatchEvent(new CustomEvent('luna-line-hover', { bubbles: true, composed: true, detail }));
+      this._broadcast(index);
+    }
+  }
+
+  _onCrosshairLeave() {
+    if (this._crosshairIndex === null) {
+      return;
+    }
+    this._crosshairIndex = null;
+    this._hideCrosshair();
+    this.dispatchEvent(new CustomEvent('luna-line-hover', { bubbles: true, composed: true, detail: null }));
+    this._broadcast(null);
+  }
+
+  // Draws the crosshair at a data index. Without a pointer (a synced chart moved it), the
+  // tooltip is anchored to the top of the crosshair.
+  _showCrosshair(index, pointer) {
+    const g       = this._geom;
+    const sr      = this.shadowRoot;
+    const cursor  = sr.getElementById('cursor');
+    const markers = sr.getElementById('crosshair');
+    const tooltip = sr.getElementById('tooltip');
+    const x       = g.xAt(index);
+
+    if (!cursor) {
+      return;
+    }
+
+    cursor.setAttribute('x1', x);
+    cursor.setAttribute('x2', x);
+    cursor.classList.add('on');
+
+    markers.innerHTML = g.seriesCfg.map(cfg =>
+      `<circle class="crosshair-dot" cx="${x}" cy="${cfg.y(g.valueOf(cfg.key)(index))}" r="4" fill="${cfg.color}" />`
+    ).join('');
+
+    sr.getElementById('tt-shared').innerHTML = `<span class="tt-head">${g.labelAt(index)}</span>` +
+      g.seriesCfg.map(cfg => `
+        <span class="tt-row">
+          <span class="tt-dot" style="background:${cfg.color}"></span>
+          ${g.isMulti ? `<span>${cfg.key}</span>` : ''}
+          <span class="tt-val">${cfg.format(g.valueOf(cfg.key)(index))}</span>
+        </span>`).join('');
+    tooltip.classList.add('shared', 'on');
+
+    if (pointer) {
+      this._placeTooltip(pointer.clientX, pointer.clientY);
+    } else {
+      const rect = sr.getElementById('chart').getBoundingClientRect();
+      this._placeTooltip(rect.left + x, rect.top + g.chartT);
+    }
+  }
+
+  _hideCrosshair() {
+    const sr      = this.shadowRoot;
+    const markers = sr.getElementById('crosshair');
+    sr.getElementById('cursor')?.classList.remove('on');
+    if (markers) {
+      markers.innerHTML = '';
+    }
+    sr.getElementById('tooltip').classList.remove('on');
+  }
+
+  _broadcast(index) {
+    const group = this.getAttribute('sync-group');
+    if (!group) {
+      return;
+    }
+    const g      = this._geom;
+    const detail = { group, source: this, index, label: null, time: null };
+    if (index !== null) {
+      detail.label = g.labelAt(index);
+      detail.time  = g.times ? g.times[index] : null;
+    }
+    document.dispatchEvent(new CustomEvent('luna-crosshair', { detail }));
+  }
+
+  // Finds the point matching another chart's crosshair: by time when both charts are
+  // time series, otherwise by label, then by index. -1 when there is none in view.
+  _matchIndex({ index, label, time }) {
+    const g = this._geom;
+    let i   = -1;
+
+    if (g.first > g.last) {
+      return -1;
+    }
+    if (g.times && typeof time === 'number') {
+      if (time >= g.domainOf(g.first) && time <= g.domainOf(g.last)) {
+        i = this._nearestIndex(time);
+      }
+    } else {
+      if (!g.times) {
+        i = g.items.findIndex(it => it.label === label);
+      }
+      if (i === -1 && index < g.n) {
+        i = index;
+      }
+    }
+    return i >= g.first && i <= g.last ? i : -1;
+  }
+
+  _onSync(e) {
+    const { group, source, index } = e.detail;
+    if (source === this || !this._geom || group !== this.getAttribute('sync-group')) {
+      return;
+    }
+    const match = index === null ? -1 : this._matchIndex(e.detail);
+    if (match === -1) {
+      this._hideCrosshair();
+    } else {
+      this._showCrosshair(match, null);
+    }
+  }
+
+  _placeTooltip(clientX, clientY) {
+    const tooltip = this.shadowRoot.getElementById('tooltip');
+    const w = tooltip.offsetWidth || 200;
+    const h = tooltip.offsetHeight || 44;
+    let x = clientX + 14;
+    let y = clientY + 14;
+    if (x + w > window.innerWidth)  { x = clientX - 14 - w; }
+    if (y + h > window.innerHeight) { y = clientY - 14 - h; }
+    tooltip.style.left = `${x}px`;
+    tooltip.style.top  = `${y}px`;
+  }
+
+  _bindCrosshair(svg) {
+    svg.addEventListener('pointermove', e => this._onCrosshairMove(e));
+    svg.addEventListener('pointerleave', () => this._onCrosshairLeave());
+  }
+
+  // ─── Rendering ──────────────────────────────────────────────────────────────
+
   _render() {
     this.shadowRoot.innerHTML = `
       <style>
@@ -220,6 +936,8 @@ class LunaLineChart extends HTMLElement {
           --luna-line-tooltip-border: #333;
           --luna-line-legend-gap:     1rem;
           --luna-line-cursor-color:   rgba(255, 255, 255, 0.1);
+          --luna-line-brush-color:    rgba(37, 99, 235, 0.15);
+          --luna-line-brush-border:   rgba(37, 99, 235, 0.6);
         }
 
         *, *::before, *::after { box-sizing: border-box; }
@@ -238,6 +956,44 @@ class LunaLineChart extends HTMLElement {
           overflow: visible;
         }
 
+        :host([zoomable]) svg {
+          cursor: grab;
+          touch-action: none;
+        }
+
+        :host([brush]) svg {
+          cursor: crosshair;
+          touch-action: pan-y;
+        }
+
+        :host([brush][zoomable]) svg {
+          touch-action: none;
+        }
+
+        .brush {
+          fill: var(--luna-line-brush-color);
+          stroke: var(--luna-line-brush-border);
+          stroke-width: 1;
+          pointer-events: none;
+        }
+
+        .reset-zoom {
+          position: absolute;
+          top: 0;
+          right: 0;
+          display: none;
+          font: inherit;
+          font-size: 0.7rem;
+          padding: 0.2rem 0.6rem;
+          border-radius: 999px;
+          border: 1px solid var(--luna-line-axis-color);
+          background: var(--luna-line-tooltip-bg);
+          color: var(--luna-line-tooltip-fg);
+          cursor: pointer;
+        }
+
+        .reset-zoom.on { display: block; }
+
         .line {
           fill: none;
           stroke-linecap: round;
@@ -311,6 +1067,13 @@ class LunaLineChart extends HTMLElement {
           flex-shrink: 0;
         }
 
+        .legend-swatch.bar {
+          width: 10px;
+          height: 10px;
+        }
+
+        .legend-axis { opacity: 0.6; }
+
         .tooltip {
           position: fixed;
           background: var(--luna-line-tooltip-bg);
@@ -346,6 +1109,34 @@ class LunaLineChart extends HTMLElement {
 
         .tt-sep { opacity: 0.3; }
         .tt-val { font-weight: 600; }
+
+        .tooltip.shared > :not(.tt-shared),
+        .tooltip:not(.shared) > .tt-shared { display: none; }
+
+        .tt-shared {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+        }
+
+        .tt-head { opacity: 0.7; }
+
+        .tt-row {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .tt-row .tt-val {
+          margin-left: auto;
+          padding-left: 12px;
+        }
+
+        .crosshair-dot {
+          stroke: var(--luna-line-dot-border);
+          stroke-width: 2;
+          pointer-events: none;
+        }
       </style>
 
       <div class="root" part="base">
@@ -353,18 +1144,23 @@ class LunaLineChart extends HTMLElement {
         <div class="legend" id="legend" style="display:none" part="legend"></div>
       </div>
 
+      <button class="reset-zoom" id="reset-zoom" part="reset-zoom" type="button">Reset zoom</button>
+
       <div class="tooltip" id="tooltip" part="tooltip">
         <span class="tt-dot"  id="tt-dot"></span>
         <span id="tt-label"></span>
         <span class="tt-sep">·</span>
         <span class="tt-val" id="tt-value"></span>
+        <div class="tt-shared" id="tt-shared"></div>
       </div>
     `;
 
+    this._bindZoom(this.shadowRoot.getElementById('chart'));
+    this._bindCrosshair(this.shadowRoot.getElementById('chart'));
     this._draw();
   }
 
-  _draw() {
+  _draw({ animate = true } = {}) {
     const svg      = this.shadowRoot.getElementById('chart');
     const legendEl = this.shadowRoot.getElementById('legend');
 
@@ -372,10 +1168,12 @@ class LunaLineChart extends HTMLElement {
       return;
     }
 
-    const { items, series, isMulti } = this._parseData();
+    const { items, series, isMulti, times } = this._parseData();
 
     if (items.length === 0) {
       svg.innerHTML = '';
+      this._geom = null;
+      this._crosshairIndex = null;
       return;
     }
 
@@ -387,16 +1185,37 @@ class LunaLineChart extends HTMLElement {
     const noGrid     = this._bool('no-grid');
     const xLabel     = this.getAttribute('x-label') || '';
     const yLabel     = this.getAttribute('y-label') || '';
+    const y2Label    = this.getAttribute('y2-label') || '';
     const goalVal    = parseFloat(this.getAttribute('goal'));
     const goalLabel  = this.getAttribute('goal-label') || 'Goal';
     const precAttr   = this.getAttribute('precision');
     const precision  = precAttr !== null ? this._num('precision', 0) : null;
     const palette    = this._palette();
+    const lineColor  = this._cssVar('--luna-line-color', '#2563eb');
+
+    const valueOf = isMulti
+      ? s => i => items[i].values[s] || 0
+      : () => i => items[i].value || 0;
+    const seriesKeys = isMulti ? series : ['value'];
+
+    // Per-series settings from the `series` attribute; unlisted series use the chart-wide defaults.
+    const configs   = this.series;
+    const seriesCfg = seriesKeys.map((s, si) => {
+      const cfg = configs.find(c => c && c.key === s) || {};
+      return {
+        key:   s,
+        type:  ['line', 'area', 'bar'].includes(cfg.type) ? cfg.type : (showArea ? 'area' : 'line'),
+        axis:  cfg.axis === 'right' ? 'right' : 'left',
+        color: cfg.color || (isMulti ? palette[si % palette.length] : lineColor),
+      };
+    });
+    const hasRight = seriesCfg.some(cfg => cfg.axis === 'right');
+    const hasBars  = seriesCfg.some(cfg => cfg.type === 'bar');
 
     const hostW = this.shadowRoot.host.getBoundingClientRect().width || 400;
 
     const PAD_LEFT   = 48;
-    const PAD_RIGHT  = 24;
+    const PAD_RIGHT  = hasRight ? 48 + (y2Label ? 14 : 0) : 24;
     const PAD_TOP    = 14;
     const PAD_BOTTOM = 36 + (xLabel ? 14 : 0);
     const Y_LABEL_W  = yLabel ? 14 : 0;
@@ -406,27 +1225,119 @@ class LunaLineChart extends HTMLElement {
     const chartW = Math.max(1, hostW - chartL - PAD_RIGHT);
     const chartH = Math.max(1, svgH - chartT - PAD_BOTTOM);
 
-    let allVals = [];
-
-    if (isMulti) {
-      items.forEach(it => series.forEach(s => allVals.push(it.values[s] || 0)));
-    } else {
-      items.forEach(it => allVals.push(it.value || 0));
+    // x domain: data index in category mode, epoch ms in time mode. A zoomed view is a
+    // window [vMin, vMax] of that domain.
+    const n        = items.length;
+    const domainOf = times ? i => times[i] : i => i;
+    const dMin     = domainOf(0);
+    const dMax     = domainOf(n - 1);
+    const view     = this._view && dMax > dMin ? this._view : null;
+    const vMin     = view ? view.min : dMin;
+    const vMax     = view ? view.max : dMax;
+    const vSpan    = vMax - vMin || 1;
+
+    // Indices drawn: those inside the view plus one neighbour on each side, so lines run
+    // to the edges of the plot area.
+    const lowerBound = d => {
+      let lo = 0;
+      let hi = n;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (domainOf(mid) < d) { lo = mid + 1; } else { hi = mid; }
+      }
+      return lo;
+    };
+    const first   = view ? Math.max(0, lowerBound(vMin) - 1) : 0;
+    const last    = view ? Math.min(n - 1, lowerBound(vMax)) : n - 1;
+    const visible = [];
+    for (let i = first; i <= last; i++) {
+      visible.push(i);
     }
+    const inView = i => domainOf(i) >= vMin && domainOf(i) <= vMax;
+
+    let viewFirst = first;
+    let viewLast  = last;
+    while (viewFirst <= last && !inView(viewFirst)) { viewFirst++; }
+    while (viewLast >= viewFirst && !inView(viewLast)) { viewLast--; }
+
+    // Each y-axis scales to the in-view values of its own series; bars also include zero.
+    // Min/max by loop: spreading a large dataset into Math.min/max overflows the call stack.
+    const scaleFor = (axis, forceMin, forceMax, goal) => {
+      let dataMin = Infinity;
+      let dataMax = -Infinity;
+      seriesCfg.forEach(cfg => {
+        if (cfg.axis !== axis) {
+          return;
+        }
+        const vOf = valueOf(cfg.key);
+        for (let i = viewFirst; i <= viewLast; i++) {
+          const v = vOf(i);
+          if (v < dataMin) { dataMin = v; }
+          if (v > dataMax) { dataMax = v; }
+        }
+        if (cfg.type === 'bar') {
+          dataMin = Math.min(dataMin, 0);
+          dataMax = Math.max(dataMax, 0);
+        }
+      });
+      if (dataMin > dataMax) {
+        dataMin = dataMax = 0;
+      }
 
-    const forceMin = parseFloat(this.getAttribute('min'));
-    const forceMax = parseFloat(this.getAttribute('max'));
-    const rawMin   = isNaN(forceMin) ? Math.min(...allVals) : forceMin;
-    const rawMax   = isNaN(forceMax) ? Math.max(...allVals, ...(!isNaN(goalVal) ? [goalVal] : [])) : forceMax;
+      const rawMin = isNaN(forceMin) ? dataMin : forceMin;
+      const rawMax = isNaN(forceMax) ? Math.max(dataMax, ...(!isNaN(goal) ? [goal] : [])) : forceMax;
+      const step   = this._niceStep(rawMax - rawMin);
+      const min    = Math.floor(rawMin / step) * step;
+      const max    = Math.ceil(rawMax  / step) * step;
+      return { min, max, step, range: max - min || 1, ticks: Math.round((max - min) / step) };
+    };
 
-    const step     = this._niceStep(rawMax - rawMin);
-    const axiMin   = Math.floor(rawMin / step) * step;
-    const axiMax   = Math.ceil(rawMax  / step) * step;
-    const axiRange = axiMax - axiMin || 1;
-    const ticks    = Math.round((axiMax - axiMin) / step);
+    const left  = scaleFor('left', parseFloat(this.getAttribute('min')), parseFloat(this.getAttribute('max')), goalVal);
+    const right = hasRight
+      ? scaleFor('right', parseFloat(this.getAttribute('y2-min')), parseFloat(this.getAttribute('y2-max')), NaN)
+      : null;
 
-    const xAt = i => chartL + (i / (items.length - 1 || 1)) * chartW;
-    const yAt = v => chartT + chartH - ((v - axiMin) / axiRange) * chartH;
+    const y2PrecAttr  = this.getAttribute('y2-precision');
+    const leftFormat  = v => this._formatY(v, this.getAttribute('y-format'), precision);
+    const rightFormat = v => this._formatY(v, this.getAttribute('y2-format'), y2PrecAttr !== null ? this._num('y2-precision', 0) : null);
+
+    const yScale = scale => v => chartT + chartH - ((v - scale.min) / scale.range) * chartH;
+    const yAt    = yScale(left);
+    const yRight = right ? yScale(right) : yAt;
+
+    seriesCfg.forEach(cfg => {
+      const scale = cfg.axis === 'right' ? right : left;
+      cfg.y      = cfg.axis === 'right' ? yRight : yAt;
+      cfg.format = cfg.axis === 'right' ? rightFormat : leftFormat;
+      cfg.zeroY  = cfg.y(Math.min(Math.max(0, scale.min), scale.max));
+    });
+
+    // With bars, each x sits in the middle of a slot one (median) interval wide, so the
+    // first and last bars are not cut in half by the plot edges.
+    const barStep   = times ? this._medianInterval(times) || 1 : 1;
+    const xPad      = hasBars ? barStep / 2 : 0;
+    const xMin      = vMin - xPad;
+    const xMax      = vMax + xPad;
+    const xOfDomain = d => chartL + ((d - xMin) / (xMax - xMin || 1)) * chartW;
+    const xAt       = i => xOfDomain(domainOf(i));
+
+    const segments = this._segments(visible, times);
+    const linePath = (pts, segs) => segs.map(([a, b]) => this._buildPath(pts.slice(a, b), smooth)).join(' ');
+    const areaPath = (pts, segs) => segs.map(([a, b]) => this._buildAreaPath(pts.slice(a, b), chartT + chartH, smooth)).join(' ');
+
+    // Each series is downsampled on its own, so every line keeps its own peaks. Kept entries
+    // are original data indices.
+    const maxPoints = this._num('max-points', Math.round(chartW));
+    const reduce    = s => lttbSegments(visible, segments, xAt, valueOf(s), maxPoints);
+
+    // Tooltip / event labels: time points show their timestamp at a precision matching the sampling.
+    // Formatted on demand, since large series are mostly never hovered.
+    const labelFmt = times && this._dtf(this._medianInterval(times) < 864e5
+      ? { dateStyle: 'medium', timeStyle: 'short' }
+      : { dateStyle: 'medium' });
+    const labelAt = times
+      ? i => labelFmt.format(new Date(times[i]))
+      : i => items[i].label;
 
     let out = '';
 
@@ -434,71 +1345,92 @@ class LunaLineChart extends HTMLElement {
     const axisColor = this._cssVar('--luna-line-axis-color', 'rgba(255,255,255,.1)');
 
     if (!noGrid) {
-      for (let i = 0; i <= ticks; i++) {
-        const v     = axiMin + i * step;
+      for (let i = 0; i <= left.ticks; i++) {
+        const v     = left.min + i * left.step;
         const y     = yAt(v);
         const color = i === 0 ? axisColor : gridColor;
         const sw    = i === 0 ? 1.5 : 1;
         out += `<line x1="${chartL}" x2="${chartL + chartW}" y1="${y}" y2="${y}" stroke="${color}" stroke-width="${sw}" />`;
-        out += `<text class="tick-label" x="${chartL - 8}" y="${y}" text-anchor="end" dominant-baseline="middle">${this._formatVal(v, precision)}</text>`;
+        out += `<text class="tick-label" x="${chartL - 8}" y="${y}" text-anchor="end" dominant-baseline="middle">${leftFormat(v)}</text>`;
+      }
+
+      if (right) {
+        for (let i = 0; i <= right.ticks; i++) {
+          const v = right.min + i * right.step;
+          out += `<text class="tick-label" x="${chartL + chartW + 8}" y="${yRight(v)}" text-anchor="start" dominant-baseline="middle">${rightFormat(v)}</text>`;
+        }
       }
     }
 
     out += `<line x1="${chartL}" x2="${chartL + chartW}" y1="${chartT + chartH}" y2="${chartT + chartH}" stroke="${axisColor}" stroke-width="1.5" />`;
     out += `<line x1="${chartL}" x2="${chartL}" y1="${chartT}" y2="${chartT + chartH}" stroke="${axisColor}" stroke-width="1.5" />`;
+    if (right) {
+      out += `<line x1="${chartL + chartW}" x2="${chartL + chartW}" y1="${chartT}" y2="${chartT + chartH}" stroke="${axisColor}" stroke-width="1.5" />`;
+    }
 
-    items.forEach((it, i) => {
-      const x     = xAt(i);
-      const y     = chartT + chartH + 14;
-      const label = it.label;
-      const step  = Math.max(1, Math.floor(items.length / 12));
-
-      if (i % step === 0 || i === items.length - 1) {
-        out += `<text class="tick-label" x="${x}" y="${y}" text-anchor="middle">${label}</text>`;
-      }
-    });
-
-    const hitTargets = [];
-    const gradIds    = [];
+    if (times) {
+      const { ticks, unit } = this._timeTicks(vMin, vMin + vSpan, Math.max(2, Math.floor(chartW / 80)));
+      ticks.forEach(t => {
+        out += `<text class="tick-label" x="${xOfDomain(t)}" y="${chartT + chartH + 14}" text-anchor="middle">${this._formatTick(t, unit)}</text>`;
+      });
+    } else {
+      const labelled = visible.filter(inView);
+      const step     = Math.max(1, Math.floor(labelled.length / 12));
 
-    if (isMulti) {
-      series.forEach((s, si) => {
-        const color = palette[si % palette.length];
-        const pts   = items.map((it, i) => [xAt(i), yAt(it.values[s] || 0)]);
+      labelled.forEach((i, k) => {
+        const x = xAt(i);
+        const y = chartT + chartH + 14;
 
-        if (showArea) {
-          const gradId = `lg-${si}-${this._uid}`;
-          gradIds.push({ gradId, color });
-          out += `
-            <defs>
-              <linearGradient id="${gradId}" x1="0" y1="0" x2="0" y2="1">
-                <stop offset="0%" stop-color="${color}" stop-opacity="0.35"/>
-                <stop offset="100%" stop-color="${color}" stop-opacity="0"/>
-              </linearGradient>
-            </defs>`;
-          out += `<path class="area" d="${this._buildAreaPath(pts, chartT + chartH, smooth)}" fill="url(#${gradId})" />`;
+        if (k % step === 0 || k === labelled.length - 1) {
+          out += `<text class="tick-label" x="${x}" y="${y}" text-anchor="middle">${items[i].label}</text>`;
         }
+      });
+    }
 
-        out += `<path class="line" id="line-${si}" d="${this._buildPath(pts, smooth)}" stroke="${color}" />`;
-
-        if (showDots) {
-          pts.forEach((p, i) => {
-            const dotBorder = this._cssVar('--luna-line-dot-border', '#0a0a0a');
-            out += `<circle cx="${p[0]}" cy="${p[1]}" r="${this._cssVar('--luna-line-dot-r', '3')}" class="dot" fill="${color}" stroke="${dotBorder}" data-series="${si}" data-idx="${i}" />`;
-          });
-        }
+    // While zoomed, series are clipped to the plot area.
+    const clipId = `lc-clip-${this._uid}`;
+    if (view) {
+      out += `<defs><clipPath id="${clipId}"><rect x="${chartL}" y="0" width="${chartW}" height="${svgH}" /></clipPath></defs>`;
+      out += `<g clip-path="url(#${clipId})">`;
+    }
 
-        pts.forEach((p, i) => {
-          hitTargets.push({ x: p[0], y: p[1], si, i, s, color });
+    const hitTargets = [];
+    const dotBorder  = this._cssVar('--luna-line-dot-border', '#0a0a0a');
+    const dotR       = this._cssVar('--luna-line-dot-r', '3');
+
+    // Bars are drawn first so lines and areas stay on top; bar series share each slot side by side.
+    const barCfgs = seriesCfg.filter(cfg => cfg.type === 'bar');
+    if (barCfgs.length) {
+      const groupW = (xOfDomain(xMin + barStep) - xOfDomain(xMin)) * 0.7;
+      const barW   = groupW / barCfgs.length;
+
+      barCfgs.forEach((cfg, bi) => {
+        const si  = seriesCfg.indexOf(cfg);
+        const vOf = valueOf(cfg.key);
+
+        reduce(cfg.key).indices.forEach(i => {
+          const x = xAt(i) - groupW / 2 + bi * barW;
+          const y = cfg.y(vOf(i));
+          out += `<rect class="bar" x="${x}" y="${Math.min(y, cfg.zeroY)}" width="${barW}" height="${Math.abs(cfg.zeroY - y)}" fill="${cfg.color}" data-series="${si}" data-idx="${i}" />`;
+          if (inView(i)) {
+            hitTargets.push({ x: x + barW / 2, y, si, i });
+          }
         });
       });
+    }
 
-    } else {
-      const color = this._cssVar('--luna-line-color', '#2563eb');
-      const pts   = items.map((it, i) => [xAt(i), yAt(it.value || 0)]);
+    seriesCfg.forEach((cfg, si) => {
+      if (cfg.type === 'bar') {
+        return;
+      }
+
+      const color = cfg.color;
+      const vOf   = valueOf(cfg.key);
+      const kept  = reduce(cfg.key);
+      const pts   = kept.indices.map(i => [xAt(i), cfg.y(vOf(i))]);
 
-      if (showArea) {
-        const gradId = `lg-0-${this._uid}`;
+      if (cfg.type === 'area') {
+        const gradId = `lg-${si}-${this._uid}`;
         out += `
           <defs>
             <linearGradient id="${gradId}" x1="0" y1="0" x2="0" y2="1">
@@ -506,21 +1438,26 @@ class LunaLineChart extends HTMLElement {
               <stop offset="100%" stop-color="${color}" stop-opacity="0"/>
             </linearGradient>
           </defs>`;
-        out += `<path class="area" d="${this._buildAreaPath(pts, chartT + chartH, smooth)}" fill="url(#${gradId})" />`;
+        out += `<path class="area" d="${areaPath(pts, kept.segments)}" fill="url(#${gradId})" />`;
       }
 
-      out += `<path class="line" id="line-0" d="${this._buildPath(pts, smooth)}" stroke="${color}" />`;
+      out += `<path class="line" id="line-${si}" d="${linePath(pts, kept.segments)}" stroke="${color}" />`;
 
       if (showDots) {
-        pts.forEach((p, i) => {
-          const dotBorder = this._cssVar('--luna-line-dot-border', '#0a0a0a');
-          out += `<circle cx="${p[0]}" cy="${p[1]}" r="${this._cssVar('--luna-line-dot-r', '3')}" class="dot" fill="${color}" stroke="${dotBorder}" data-series="0" data-idx="${i}" />`;
+        pts.forEach((p, k) => {
+          out += `<circle cx="${p[0]}" cy="${p[1]}" r="${dotR}" class="dot" fill="${color}" stroke="${dotBorder}" data-series="${si}" data-idx="${kept.indices[k]}" />`;
         });
       }
 
-      pts.forEach((p, i) => {
-        hitTargets.push({ x: p[0], y: p[1], si: 0, i, s: 'value', color });
+      pts.forEach((p, k) => {
+        if (inView(kept.indices[k])) {
+          hitTargets.push({ x: p[0], y: p[1], si, i: kept.indices[k] });
+        }
       });
+    });
+
+    if (view) {
+      out += '</g>';
     }
 
     if (!isNaN(goalVal)) {
@@ -528,7 +1465,9 @@ class LunaLineChart extends HTMLElement {
       const gd  = this._cssVar('--luna-line-goal-dash', '5,4');
       const gy  = yAt(goalVal);
       out += `<line x1="${chartL}" x2="${chartL + chartW}" y1="${gy}" y2="${gy}" stroke="${gc}" stroke-width="1.5" stroke-dasharray="${gd}" />`;
-      out += `<text class="goal-label-text" x="${chartL + chartW + 4}" y="${gy}" dominant-baseline="middle">${goalLabel}</text>`;
+      out += right
+        ? `<text class="goal-label-text" x="${chartL + chartW - 4}" y="${gy - 6}" text-anchor="end">${goalLabel}</text>`
+        : `<text class="goal-label-text" x="${chartL + chartW + 4}" y="${gy}" dominant-baseline="middle">${goalLabel}</text>`;
     }
 
     if (xLabel) {
@@ -539,7 +1478,15 @@ class LunaLineChart extends HTMLElement {
       out += `<text class="axis-label" transform="rotate(-90)" x="${-(chartT + chartH / 2)}" y="${Y_LABEL_W - 2}" text-anchor="middle">${yLabel}</text>`;
     }
 
+    if (y2Label && right) {
+      const lx = hostW - 4;
+      const ly = chartT + chartH / 2;
+      out += `<text class="axis-label" transform="rotate(90 ${lx} ${ly})" x="${lx}" y="${ly}" text-anchor="middle">${y2Label}</text>`;
+    }
+
     out += `<line id="cursor" class="cursor-line" x1="0" x2="0" y1="${chartT}" y2="${chartT + chartH}" />`;
+    out += '<g id="crosshair"></g>';
+    out += `<rect id="brush" class="brush" x="${chartL}" y="${chartT}" width="0" height="${chartH}" />`;
 
     hitTargets.forEach(ht => {
       out += `<circle class="hit" cx="${ht.x}" cy="${ht.y}" r="12" data-si="${ht.si}" data-i="${ht.i}" />`;
@@ -549,57 +1496,77 @@ class LunaLineChart extends HTMLElement {
     svg.setAttribute('width', hostW);
     svg.innerHTML = out;
 
+    // The smallest zoom window still spans a few points.
+    const minSpan = times ? Math.max(this._medianInterval(times) * 2, 1) : Math.min(2, n - 1);
+    this._geom = {
+      chartL, chartT, chartW, n, items, labelAt, times, domainOf, dMin, dMax, vMin, vMax, xMin, xMax, minSpan,
+      xOfDomain, xAt, isMulti, seriesKeys, seriesCfg, valueOf,
+      first: viewFirst,
+      last:  viewLast,
+    };
+    this._placeBrush();
+    this.shadowRoot.getElementById('reset-zoom').classList.toggle('on', !!view);
+
     if (showLegend) {
       legendEl.style.display = 'flex';
-      legendEl.innerHTML = series.map((s, si) => {
-        const color = palette[si % palette.length];
-        return `
-          <span class="legend-item">
-            <span class="legend-swatch" style="background:${color}"></span>
-            <span>${s}</span>
-          </span>`;
-      }).join('');
+      legendEl.innerHTML = seriesCfg.map(cfg => `
+        <span class="legend-item">
+          <span class="legend-swatch ${cfg.type}" style="background:${cfg.color}"></span>
+          <span>${cfg.key}</span>
+          ${hasRight && cfg.axis === 'right' ? '<span class="legend-axis">(right axis)</span>' : ''}
+        </span>`).join('');
     } else {
       legendEl.style.display = 'none';
     }
 
-    this._bindEvents(svg, items, series, isMulti, precision, palette);
+    this._bindEvents(svg, items, series, isMulti, labelAt, times);
 
-    if (this.getAttribute('animate') !== 'false') {
+    if (animate && this.getAttribute('animate') !== 'false') {
       this._animate(svg, series, isMulti);
     }
   }
 
-  _bindEvents(svg, items, series, isMulti, precision, palette) {
+  _bindEvents(svg, items, series, isMulti, labelAt, times) {
     const tooltip  = this.shadowRoot.getElementById('tooltip');
     const ttDot    = this.shadowRoot.getElementById('tt-dot');
     const ttLabel  = this.shadowRoot.getElementById('tt-label');
     const ttValue  = this.shadowRoot.getElementById('tt-value');
     const cursor   = svg.getElementById('cursor');
 
-    const defaultColor = this._cssVar('--luna-line-color', '#2563eb');
-
-    const posTooltip = (e) => {
-      let x = e.clientX + 14;
-      let y = e.clientY + 14;
-      if (x + 200 > window.innerWidth)  { x = e.clientX - 14 - 200; }
-      if (y + 44  > window.innerHeight) { y = e.clientY - 14 - 44; }
-      tooltip.style.left = `${x}px`;
-      tooltip.style.top  = `${y}px`;
-    };
+    const seriesCfg  = this._geom.seriesCfg;
+    const crosshair  = this._crosshairMode();
+    const posTooltip = e => this._placeTooltip(e.clientX, e.clientY);
 
     svg.querySelectorAll('.hit').forEach(el => {
+      el.addEventListener('click', () => {
+        const si    = parseInt(el.dataset.si, 10);
+        const idx   = parseInt(el.dataset.i, 10);
+        const item  = items[idx];
+        const value = isMulti ? (item.values[series[si]] || 0) : (item.value || 0);
+
+        this.dispatchEvent(new CustomEvent('luna-line-click', {
+          bubbles:  true,
+          composed: true,
+          detail: this._pointDetail(labelAt, times, value, isMulti ? series[si] : 'value', idx),
+        }));
+      });
+
+      // In crosshair mode the svg-level pointer handlers drive the tooltip.
+      if (crosshair) {
+        return;
+      }
+
       el.addEventListener('mouseenter', e => {
         const si    = parseInt(el.dataset.si, 10);
         const idx   = parseInt(el.dataset.i, 10);
         const item  = items[idx];
         const value = isMulti ? (item.values[series[si]] || 0) : (item.value || 0);
-        const color = isMulti ? (palette[si % palette.length]) : defaultColor;
-        const label = isMulti ? `${series[si]} · ${item.label}` : item.label;
+        const label = isMulti ? `${series[si]} · ${labelAt(idx)}` : labelAt(idx);
 
-        ttDot.style.background = color;
+        ttDot.style.background = seriesCfg[si].color;
         ttLabel.textContent    = label;
-        ttValue.textContent    = this._formatVal(value, precision);
+        ttValue.textContent    = seriesCfg[si].format(value);
+        tooltip.classList.remove('shared');
         tooltip.classList.add('on');
         posTooltip(e);
 
@@ -615,7 +1582,7 @@ class LunaLineChart extends HTMLElement {
         this.dispatchEvent(new CustomEvent('luna-line-hover', {
           bubbles:  true,
           composed: true,
-          detail: { label: item.label, value, series: isMulti ? series[si] : 'value', index: idx },
+          detail: this._pointDetail(labelAt, times, value, isMulti ? series[si] : 'value', idx),
         }));
       });
 
@@ -635,22 +1602,17 @@ class LunaLineChart extends HTMLElement {
           bubbles: true, composed: true, detail: null,
         }));
       });
-
-      el.addEventListener('click', () => {
-        const si    = parseInt(el.dataset.si, 10);
-        const idx   = parseInt(el.dataset.i, 10);
-        const item  = items[idx];
-        const value = isMulti ? (item.values[series[si]] || 0) : (item.value || 0);
-
-        this.dispatchEvent(new CustomEvent('luna-line-click', {
-          bubbles:  true,
-          composed: true,
-          detail: { label: item.label, value, series: isMulti ? series[si] : 'value', index: idx },
-        }));
-      });
     });
   }
 
+  _pointDetail(labelAt, times, value, series, index) {
+    const detail = { label: labelAt(index), value, series, index };
+    if (times) {
+      detail.time = times[index];
+    }
+    return detail;
+  }
+
   _animate(svg, series, isMulti) {
     const count = isMulti ? series.length : 1;
 
@@ -9,9 +9,17 @@
  * 
  * Attributes:
  * @attr {boolean} disabled - Whether the item is disabled and cannot be clicked.
- * @attr {'checkbox'} type - The type of menu item. If 'checkbox', it will toggle its checked state on click.
- * @attr {boolean} checked - Whether the item is checked (only applicable when type is 'checkbox').
+ * @attr {'checkbox' | 'radio'} type - The type of menu item. If 'checkbox', it will toggle its checked state on click.
+ *   If 'radio', it becomes checked on click and unchecks the other radio items in its group.
+ * @attr {boolean} checked - Whether the item is checked (only applicable when type is 'checkbox' or 'radio').
+ * @attr {string} name - Radio group name. Radio items sharing a name within the same parent form a group;
+ *   unnamed radio items are grouped with their adjacent unnamed radio siblings.
+ * @attr {string} value - Value reported in the luna-select event detail.
  * @attr {'neutral' | 'danger'} variant - The visual variant of the item.
+ *
+ * Accessibility:
+ * The item carries role="menuitem", "menuitemcheckbox" or "menuitemradio" with aria-checked, and is
+ * activated with Enter or Space. Inside a luna-menu its tabindex is managed by the menu.
  * 
  * CSS Custom Properties:
  * @cssprop --luna-item-bg - Background color of the item in its normal state.
@@ -19,10 +27,11 @@
  * @cssprop --luna-item-color - Text color in the normal state.
  * @cssprop --luna-item-active - Text color when the item is hovered.
  * @cssprop --luna-item-radius - Border radius of the item.
- * @cssprop --luna-accent - Color of the checkbox when checked.
+ * @cssprop --luna-accent - Color of the checkbox or radio indicator when checked.
  * 
  * Events:
- * @event luna-select - Emitted when the item is clicked (unless disabled).
+ * @event luna-select - Emitted when the item is clicked or activated with the keyboard (unless disabled).
+ *   Detail: { item, checked, value }.
  */
 class LunaMenuItem extends HTMLElement {
 
@@ -33,12 +42,32 @@ class LunaMenuItem extends HTMLElement {
   constructor() {
     super();
     this.attachShadow({ mode: 'open' });
+    this.addEventListener('keydown', (e) => this.handleKeyDown(e));
   }
 
   connectedCallback() {
+    if (!this.hasAttribute('tabindex')) {
+      this.tabIndex = -1;
+    }
     this.render();
   }
 
+  get checked() {
+    return this.hasAttribute('checked');
+  }
+
+  set checked(val) {
+    this.toggleAttribute('checked', !!val);
+  }
+
+  get value() {
+    return this.getAttribute('value') || '';
+  }
+
+  set value(val) {
+    this.setAttribute('value', val);
+  }
+
   attributeChangedCallback() {
     this.render();
   }
@@ -49,21 +78,71 @@ class LunaMenuItem extends HTMLElement {
       return;
     }
 
-    if (this.getAttribute('type') === 'checkbox') {
+    const type = this.getAttribute('type');
+    if (type === 'checkbox') {
       this.toggleAttribute('checked');
+    } else if (type === 'radio') {
+      this.radioGroup().forEach(item => item.toggleAttribute('checked', item === this));
     }
 
     this.dispatchEvent(new CustomEvent('luna-select', {
       bubbles: true,
       composed: true,
-      detail: { item: this, checked: this.hasAttribute('checked') }
+      detail: { item: this, checked: this.hasAttribute('checked'), value: this.value }
     }));
   }
 
+  handleKeyDown(e) {
+    if (e.target !== this || (e.key !== 'Enter' && e.key !== ' ')) {
+      return;
+    }
+    e.preventDefault();
+    this.handleClick(e);
+  }
+
+  /**
+   * Radio items this item is mutually exclusive with (including itself).
+   * @returns {LunaMenuItem[]}
+   */
+  radioGroup() {
+    const parent = this.parentElement;
+    if (!parent || this.getAttribute('type') !== 'radio') {
+      return [this];
+    }
+
+    const isRadio = (el) => el.localName === 'luna-menu-item' && el.getAttribute('type') === 'radio';
+    const name = this.getAttribute('name');
+    if (name) {
+      return Array.from(parent.children).filter(el => isRadio(el) && el.getAttribute('name') === name);
+    }
+
+    const group = [this];
+    for (let el = this.previousElementSibling; el && isRadio(el) && !el.hasAttribute('name'); el = el.previousElementSibling) {
+      group.unshift(el);
+    }
+    for (let el = this.nextElementSibling; el && isRadio(el) && !el.hasAttribute('name'); el = el.nextElementSibling) {
+      group.push(el);
+    }
+    return group;
+  }
+
   render() {
     const disabled = this.hasAttribute('disabled');
     const type     = this.getAttribute('type');
     const checked  = this.hasAttribute('checked');
+    const checkable = type === 'checkbox' || type === 'radio';
+
+    this.setAttribute('role', type === 'checkbox' ? 'menuitemcheckbox' : type === 'radio' ? 'menuitemradio' : 'menuitem');
+    if (checkable) {
+      this.setAttribute('aria-checked', String(checked));
+    } else {
+      this.removeAttribute('aria-checked');
+    }
+    if (disabled) {
+      this.setAttribute('aria-disabled', 'true');
+    } else {
+      this.removeAttribute('aria-disabled');
+    }
 
     this.shadowRoot.innerHTML = `
       <style>
@@ -76,6 +155,7 @@ class LunaMenuItem extends HTMLElement {
           --luna-item-active: #fff;
           --luna-item-radius: 8px;
           --luna-accent: #2563eb;
+          outline: none;
         }
 
         .menu-item {
@@ -94,7 +174,8 @@ class LunaMenuItem extends HTMLElement {
           overflow: hidden;
         }
 
-        :host(:hover:not([disabled])) .menu-item {
+        :host(:hover:not([disabled])) .menu-item,
+        :host(:focus-visible) .menu-item {
           background: var(--luna-item-hover);
           color: var(--luna-item-active);
           padding-left: 0.85rem;
@@ -145,6 +226,33 @@ class LunaMenuItem extends HTMLElement {
           box-shadow: 0 0 10px rgba(37, 99, 235, 0.4);
         }
 
+        .radio {
+          width: 18px;
+          height: 18px;
+          border: 1.5px solid rgba(255, 255, 255, 0.2);
+          border-radius: 50%;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          background: rgba(0, 0, 0, 0.2);
+          transition: all 0.2s;
+          margin-right: 0.25rem;
+        }
+
+        .radio.checked {
+          border-color: var(--luna-accent);
+          box-shadow: 0 0 10px rgba(37, 99, 235, 0.4);
+        }
+
+        .radio::after {
+          content: '';
+          width: 8px;
+          height: 8px;
+          border-radius: 50%;
+          background: var(--luna-accent);
+          display: ${checked && type === 'radio' ? 'block' : 'none'};
+        }
+
         .checkbox::after {
           content: '';
           width: 4px;
@@ -168,7 +276,7 @@ class LunaMenuItem extends HTMLElement {
       </style>
 
       <div class="menu-item" id="item" part="base">
-        ${type === 'checkbox' ? `<span class="checkbox ${checked ? 'checked' : ''}"></span>` : ''}
+        ${checkable ? `<span class="${type} ${checked ? 'checked' : ''}" aria-hidden="true"></span>` : ''}
         <slot name="prefix" class="prefix"></slot>
         <span class="label" part="label"><slot></slot></span>
         <slot name="suffix" class="suffix"></slot>
@@ -7,12 +7,22 @@
  * 
  * Attributes:
  * @attr {string} max-width - The maximum width of the menu. Defaults to '250px'.
+ *
+ * Keyboard:
+ * Implements the WAI-ARIA menu pattern with a roving tabindex: only one item is in the tab order.
+ * ArrowDown/ArrowUp move between enabled items (wrapping), Home/End jump to the first/last item,
+ * and typing characters moves to the next item whose label starts with them. Enter or Space
+ * activates the focused item. Items of nested menus are left to those menus.
  * 
  * CSS Custom Properties:
  * @cssprop --luna-menu-bg - Background color of the menu.
  * @cssprop --luna-menu-border - Border color of the menu.
  * @cssprop --luna-menu-radius - Border radius for the menu corners.
  * @cssprop --luna-menu-shadow - Box shadow for the menu.
+ *
+ * Methods:
+ * @method focusFirst() - Moves focus to the first enabled item.
+ * @method focusLast() - Moves focus to the last enabled item.
  */
 class LunaMenu extends HTMLElement {
 
@@ -23,16 +33,140 @@ class LunaMenu extends HTMLElement {
   constructor() {
     super();
     this.attachShadow({ mode: 'open' });
+    this._activeItem = null;
+    this._typeBuffer = '';
+    this._typeTimer  = null;
+    this._onKeyDown  = this._onKeyDown.bind(this);
+    this._onFocusIn  = this._onFocusIn.bind(this);
+    this._syncTabIndex = this._syncTabIndex.bind(this);
+    // Keeps the tab stop on an enabled item as items are added, removed or disabled.
+    this._observer   = new MutationObserver(this._syncTabIndex);
+    this.addEventListener('keydown', this._onKeyDown);
+    this.addEventListener('focusin', this._onFocusIn);
   }
 
   connectedCallback() {
+    this.setAttribute('role', 'menu');
     this.render();
+    this._observer.observe(this, { childList: true, subtree: true, attributes: true, attributeFilter: ['disabled'] });
+  }
+
+  disconnectedCallback() {
+    clearTimeout(this._typeTimer);
+    this._observer.disconnect();
   }
 
   attributeChangedCallback() {
     this.render();
   }
 
+  focusFirst() {
+    const items = this._navItems();
+    this._focusItem(items[0]);
+  }
+
+  focusLast() {
+    const items = this._navItems();
+    this._focusItem(items[items.length - 1]);
+  }
+
+  // ─── Keyboard navigation ──────────────────────────────────────────────────
+
+  // Items owned by this menu: nested luna-menu elements own their own items,
+  // while a nested luna-dropdown's trigger item still belongs here.
+  _items() {
+    return Array.from(this.querySelectorAll('luna-menu-item'))
+      .filter(item => item.parentElement.closest('luna-menu') === this);
+  }
+
+  _navItems() {
+    return this._items().filter(item => !item.hasAttribute('disabled'));
+  }
+
+  _labelOf(item) {
+    return Array.from(item.childNodes)
+      .filter(node => node.nodeType === Node.TEXT_NODE || (node.nodeType === Node.ELEMENT_NODE && !node.hasAttribute('slot')))
+      .map(node => node.textContent)
+      .join('')
+      .trim()
+      .toLowerCase();
+  }
+
+  _syncTabIndex() {
+    const items = this._items();
+    const nav   = items.filter(item => !item.hasAttribute('disabled'));
+    if (!nav.includes(this._activeItem)) {
+      this._activeItem = nav[0] || null;
+    }
+    items.forEach(item => {
+      item.tabIndex = item === this._activeItem ? 0 : -1;
+    });
+  }
+
+  _focusItem(item) {
+    if (!item) return;
+    this._activeItem = item;
+    this._syncTabIndex();
+    item.focus();
+  }
+
+  _onFocusIn(e) {
+    if (e.target !== this._activeItem && this._navItems().includes(e.target)) {
+      this._activeItem = e.target;
+      this._syncTabIndex();
+    }
+  }
+
+  _typeahead(char, items, current) {
+    clearTimeout(this._typeTimer);
+    this._typeBuffer += char.toLowerCase();
+    this._typeTimer = setTimeout(() => {
+      this._typeBuffer = '';
+    }, 500);
+
+    const buffer  = this._typeBuffer;
+    const cycling = buffer.split('').every(c => c === buffer[0]);
+    const query   = cycling ? buffer[0] : buffer;
+    const start   = cycling ? current + 1 : current;
+
+    for (let i = 0; i < items.length; i++) {
+      const item = items[(start + i) % items.length];
+      if (this._labelOf(item).startsWith(query)) {
+        return item;
+      }
+    }
+    return null;
+  }
+
+  _onKeyDown(e) {
+    const items   = this._navItems();
+    const current = items.indexOf(e.target);
+    if (current === -1) return;
+
+    const key       = e.key;
+    const printable = key.length === 1 && key !== ' ' && !e.ctrlKey && !e.metaKey && !e.altKey;
+    let next;
+
+    if (key === 'ArrowDown') {
+      next = items[(current + 1) % items.length];
+    } else if (key === 'ArrowUp') {
+      next = items[(current - 1 + items.length) % items.length];
+    } else if (key === 'Home') {
+      next = items[0];
+    } else if (key === 'End') {
+      next = items[items.length - 1];
+    } else if (printable) {
+      next = this._typeahead(key, items, current);
+    } else {
+      return;
+    }
+
+    e.preventDefault();
+    this._focusItem(next);
+  }
+
+  // ─── Rendering ────────────────────────────────────────────────────────────
+
   render() {
     const maxWidth = this.getAttribute('max-width') || '250px';
 
@@ -80,6 +214,9 @@ class LunaMenu extends HTMLElement {
         <slot></slot>
       </div>
     `;
+
+    this.shadowRoot.querySelector('slot').addEventListener('slotchange', this._syncTabIndex);
+    this._syncTabIndex();
   }
 }
 
@@ -8,11 +8,17 @@
  * Attributes:
  * @attr {string} label - The label to display for the group.
  * @attr {boolean} disabled - Whether the entire group (and its options) should be disabled.
+ * @attr {boolean} toggleable - Set by a multiple luna-select: clicking the label toggles every option in the group.
+ * @attr {boolean} checked - Set by the parent while every enabled option in the group is selected.
+ * @attr {boolean} indeterminate - Set by the parent while only some of the group's options are selected.
+ *
+ * CSS Parts:
+ * @csspart label - The group label.
  */
 class LunaOptionGroup extends HTMLElement {
 
   static get observedAttributes() {
-    return ['label', 'disabled'];
+    return ['label', 'disabled', 'toggleable', 'checked', 'indeterminate'];
   }
 
   constructor() {
@@ -30,6 +36,8 @@ class LunaOptionGroup extends HTMLElement {
 
   render() {
     const label = this.getAttribute('label');
+    const toggleable = this.hasAttribute('toggleable');
+    const state = this.hasAttribute('checked') ? 'true' : this.hasAttribute('indeterminate') ? 'mixed' : 'false';
 
     this.shadowRoot.innerHTML = `
       <style>
@@ -46,6 +54,38 @@ class LunaOptionGroup extends HTMLElement {
           background: #f9fafb;
         }
 
+        :host([toggleable]) .group-label {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          cursor: pointer;
+        }
+
+        :host([toggleable]) .group-label:hover {
+          color: #6b7280;
+        }
+
+        .group-check {
+          display: inline-flex;
+          align-items: center;
+          justify-content: center;
+          width: 14px;
+          height: 14px;
+          border: 1.5px solid currentColor;
+          border-radius: 3px;
+          box-sizing: border-box;
+          flex-shrink: 0;
+        }
+
+        :host([checked]) .group-check,
+        :host([indeterminate]) .group-check {
+          background: var(--luna-accent, #3b82f6);
+          border-color: var(--luna-accent, #3b82f6);
+          color: #fff;
+        }
+
+        .group-check svg { width: 10px; height: 10px; }
+
         .group-content {
           padding: 0;
         }
@@ -56,7 +96,15 @@ class LunaOptionGroup extends HTMLElement {
         }
       </style>
 
-      ${label ? `<div class="group-label">${label}</div>` : ''}
+      ${label ? `
+        <div class="group-label" part="label" ${toggleable ? `role="checkbox" aria-checked="${state}"` : ''}>
+          ${toggleable ? `<span class="group-check">${
+            state === 'true' ? '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>'
+            : state === 'mixed' ? '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="4" stroke-linecap="round"><line x1="6" y1="12" x2="18" y2="12"></line></svg>'
+            : ''
+          }</span>` : ''}
+          ${label}
+        </div>` : ''}
       <div class="group-content">
         <slot></slot>
       </div>
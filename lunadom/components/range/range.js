@@ -14,6 +14,7 @@
  * @attr {'top'|'bottom'} tooltip-placement - Tooltip position. Defaults to 'top'.
  * @attr {boolean} no-tooltip        - Hides the value tooltip entirely.
  * @attr {boolean} no-glow           - Disables the progress fill glow/shadow.
+ * @attr {string}  name              - Name the value is submitted under when inside a form.
  *
  * CSS Custom Properties:
  * @cssprop --luna-range-track           - Track background colour (default: #1a1a1a)
@@ -31,12 +32,18 @@
  * @cssprop --luna-range-helptext-color  - Help text colour (default: #666)
  * @cssprop --luna-range-helptext-size   - Help text font size (default: 0.75rem)
  *
+ * Form Association:
+ * Always submits the numeric value as a string under `name` (a range has no empty state).
+ * A form reset returns the thumb to the initial `value`, or 0.
+ *
  * Events:
  * @event luna-input  - Emitted continuously while dragging. detail: { value: string }
  * @event luna-change - Emitted when the value is committed. detail: { value: string }
  */
 class LunaRange extends HTMLElement {
 
+  static formAssociated = true;
+
   static get observedAttributes() {
     return [
       'min', 'max', 'step', 'value',
@@ -48,17 +55,23 @@ class LunaRange extends HTMLElement {
   constructor() {
     super();
     this.attachShadow({ mode: 'open' });
+    this._internals       = this.attachInternals();
+    this._formDisabled    = false;
     this._isRendered      = false;
     this._handleInput     = this._handleInput.bind(this);
     this.tooltipFormatter = (val) => val;
   }
 
   connectedCallback() {
+    if (this._defaultValue === undefined) {
+      this._defaultValue = this.getAttribute('value') || '0';
+    }
     if (!this._isRendered) {
       this._render();
       this._isRendered = true;
     }
     this._updateProgress();
+    this._syncFormValue();
   }
 
   attributeChangedCallback(name, oldVal, newVal) {
@@ -71,6 +84,7 @@ class LunaRange extends HTMLElement {
         this._inputEl.value = newVal;
       }
       this._updateProgress();
+      this._syncFormValue();
     } else {
       this._render();
     }
@@ -91,6 +105,41 @@ class LunaRange extends HTMLElement {
     }
   }
 
+  get name() {
+    return this.getAttribute('name') || '';
+  }
+
+  set name(v) {
+    this.setAttribute('name', v);
+  }
+
+  get form() {
+    return this._internals.form;
+  }
+
+  // ─── Form association ─────────────────────────────────────────────────────
+
+  formResetCallback() {
+    this.value = this._defaultValue || '0';
+  }
+
+  formStateRestoreCallback(state) {
+    if (state != null) {
+      this.value = state;
+    }
+  }
+
+  formDisabledCallback(disabled) {
+    this._formDisabled = disabled;
+    if (this._inputEl) {
+      this._inputEl.disabled = disabled || this.hasAttribute('disabled');
+    }
+  }
+
+  _syncFormValue() {
+    this._internals.setFormValue(this.value);
+  }
+
   _updateProgress() {
     if (!this._inputEl) {
       return;
@@ -145,7 +194,7 @@ class LunaRange extends HTMLElement {
     const max       = this.getAttribute('max')               || '100';
     const step      = this.getAttribute('step')              || '1';
     const value     = this.getAttribute('value')             || '0';
-    const disabled  = this.hasAttribute('disabled');
+    const disabled  = this.hasAttribute('disabled') || this._formDisabled;
     const label     = this.getAttribute('label');
     const helpText  = this.getAttribute('help-text');
     const noTooltip = this.hasAttribute('no-tooltip');
@@ -1,11 +1,19 @@
 // lunadom/components/select/select.js
 
+import { createFloating } from '../floating/floating.js';
+import { FormValidity } from '../form-validity/form-validity.js';
+import {
+  escapeHTML, normalizeOptions, buildRows, optionHeight, virtualRange, windowHTML,
+  groupRowHTML, optionRowHTML, scrollToRow, virtualListStyles
+} from '../virtual-list/virtual-list.js';
+
 /**
  * @customElement luna-select
  * 
  * @slot - The list of options (luna-option) or option groups (luna-option-group).
  * @slot prefix - Content to display before the selected value(s).
  * @slot suffix - Content to display after the selected value(s) and before the chevron.
+ * @slot error-text - Custom error content, shown in place of the help text while invalid.
  * 
  * Attributes:
  * @attr {string} label - A label to display above the select.
@@ -13,13 +21,22 @@
  * @attr {string} placeholder - Placeholder text to display when no value is selected.
  * @attr {boolean} clearable - If present, shows a clear button when a value is selected.
  * @attr {boolean} multiple - If present, allows selecting multiple options. Values are comma-separated.
+ *   The panel gains "Select all" / "Clear all" actions, and group labels toggle every option in the group.
+ *   Both act on the options matching the current search.
+ * @attr {boolean} searchable - If present, adds a search field to the top of the dropdown that filters the options.
+ * @attr {string} search-placeholder - Placeholder for the search field. Defaults to 'Search...'.
+ * @attr {string} no-results-text - Text shown when the search matches nothing. Defaults to 'No results'.
  * @attr {boolean} disabled - Whether the select is disabled.
  * @attr {boolean} pill - If present, the select will have a pill shape.
  * @attr {boolean} filled - Whether the select should use a filled visual style.
  * @attr {'sm' | 'md' | 'lg'} size - The size of the select. Defaults to 'md'.
  * @attr {number} max-options-visible - In multiple mode, the maximum number of tags to show before truncating.
- * @attr {'top' | 'bottom'} placement - Where to position the dropdown. Defaults to 'bottom'.
+ * @attr {'top' | 'bottom'} placement - Preferred side for the dropdown; it flips when that side lacks room. Defaults to 'bottom'.
  * @attr {string} value - The current value or comma-separated values (for multiple) of the select.
+ * @attr {string} name - The name the value is submitted under when inside a form. In multiple mode each selected value is submitted as its own entry.
+ * @attr {boolean} required - At least one option must be selected to be valid.
+ * @attr {string} error-text - Error message shown in place of the help text while invalid. Defaults to the validation message.
+ * @attr {number} option-height - Row height in px for the data-driven `options` list. Defaults to 40.
  * 
  * CSS Custom Properties:
  * @cssprop --luna-select-bg - Background color of the select control.
@@ -28,12 +45,37 @@
  * @cssprop --luna-select-radius - Border radius of the select control.
  * @cssprop --luna-select-accent - Accent color for focus states and selected items.
  * @cssprop --luna-select-shadow - Box shadow for the dropdown panel.
+ * @cssprop --luna-select-error - Border and error text color while invalid. Defaults to #ef4444.
+ *
+ * Custom States:
+ * :state(invalid) - No option is selected while `required`, or a custom validity message is set.
+ * :state(user-invalid) - The select is invalid and the user has interacted with it or tried to submit.
+ * Chrome 90–124 only supports dashed state names: match :state(--invalid) / :state(--user-invalid)
+ * (legacy syntax :--invalid / :--user-invalid) there.
+ *
+ * Keyboard:
+ * Arrow keys, Home/End and PageUp/PageDown move through the options, Enter or Space selects and
+ * Escape closes. Typing jumps to the next option whose label starts with the typed text; while
+ * closed in single mode it selects that option directly, like a native select. With `searchable`,
+ * the search field takes focus when the panel opens and the same navigation keys work from it.
+ *
+ * Form Association:
+ * Submits the selected option's value under `name`; with nothing selected no entry is added.
+ * In `multiple` mode every selected value becomes its own `name` entry, the way a native
+ * <select multiple> posts. A form reset restores the initial `value`.
  * 
  * Events:
  * @event luna-change - Emitted when the selected value(s) change.
  * @event luna-clear - Emitted when the selection is cleared via the clear button.
+ * @event luna-invalid - Emitted when a validity check fails. Detail contains { validity, message }.
+ *
+ * Properties:
+ * @property {Array} options - Data-driven options: an array of { value, label, group, disabled } (or strings).
+ *   Only the rows in view are rendered, so lists of thousands of items stay responsive. Replaces slotted options.
  */
-class LunaSelect extends HTMLElement {
+class LunaSelect extends FormValidity(HTMLElement) {
+  static formAssociated = true;
+
   static get observedAttributes() {
     return [
       'label',
@@ -47,23 +89,59 @@ class LunaSelect extends HTMLElement {
       'size',
       'max-options-visible',
       'placement',
-      'value'
+      'value',
+      'required',
+      'error-text',
+      'option-height',
+      'searchable',
+      'search-placeholder',
+      'no-results-text',
+      'name'
     ];
   }
 
   constructor() {
     super();
     this.attachShadow({ mode: 'open' });
+    this._internals = this.attachInternals();
+    this._formDisabled = false;
+    this._customValidity = '';
+    this._userInteracted = false;
     this._isOpen = false;
     this._selectedOptions = [];
     this._value = '';
     this._isRendered = false;
+    this._options = null;
+    this._optionData = null;
+    this._rows = [];
+    this._matchCount = 0;
+    this._activeOption = null;
+    this._typeBuffer = '';
+    this._typeTimer = null;
+    this._vStart = 0;
+    this._vEnd = 0;
+    this._vFrame = null;
+    this._searchQuery = '';
 
     this._toggleDropdown     = this._toggleDropdown.bind(this);
+    this._onKeyDown          = this._onKeyDown.bind(this);
+    this._onDropdownScroll   = this._onDropdownScroll.bind(this);
+    this._onSearchInput      = this._onSearchInput.bind(this);
+    this._onSearchKeyDown    = this._onSearchKeyDown.bind(this);
     this._handleOutsideClick = this._handleOutsideClick.bind(this);
     this._handleOptionClick  = this._handleOptionClick.bind(this);
     this._handleClear        = this._handleClear.bind(this);
     this._handleSlotChange   = this._handleSlotChange.bind(this);
+
+    this.addEventListener('invalid', () => {
+      this._userInteracted = true;
+      this._updateErrorUI();
+      this.dispatchEvent(new CustomEvent('luna-invalid', {
+        bubbles: true,
+        composed: true,
+        detail: { validity: this.validity, message: this.validationMessage }
+      }));
+    });
   }
 
   get value() {
@@ -78,7 +156,40 @@ class LunaSelect extends HTMLElement {
     this.setAttribute('value', Array.isArray(val) ? val.join(',') : val);
   }
 
+  get name() {
+    return this.getAttribute('name') || '';
+  }
+
+  set name(val) {
+    this.setAttribute('name', val);
+  }
+
+  get form() {
+    return this._internals.form;
+  }
+
+  get options() {
+    return this._optionData;
+  }
+
+  set options(list) {
+    this._optionData = Array.isArray(list) ? list : null;
+    this._options = this._optionData ? normalizeOptions(this._optionData) : null;
+    this._activeOption = null;
+    this._rows = [];
+
+    const listbox = this.shadowRoot.getElementById('listbox');
+    if (listbox) {
+      listbox.classList.toggle('data', !!this._options);
+    }
+    this._applySearch();
+    this._syncSelectedOptions();
+  }
+
   connectedCallback() {
+    if (this._defaultValue === undefined) {
+      this._defaultValue = this.getAttribute('value') || '';
+    }
     if (!this._isRendered) {
       this.render();
       this._isRendered = true;
@@ -88,6 +199,9 @@ class LunaSelect extends HTMLElement {
 
   disconnectedCallback() {
     document.removeEventListener('click', this._handleOutsideClick);
+    if (this._floating) {
+      this._floating.hide(0);
+    }
   }
 
   attributeChangedCallback(name, oldValue, newValue) {
@@ -95,52 +209,556 @@ class LunaSelect extends HTMLElement {
       this._value = newValue || '';
       this._syncSelectedOptions();
     }
+    if (name === 'name') {
+      // Multiple-mode entries are keyed by the name.
+      this._syncFormValue();
+      return;
+    }
+    if (name === 'required') {
+      this._updateValidity();
+    }
+    if (name === 'error-text') {
+      this._updateErrorUI();
+    }
+    if (name === 'option-height') {
+      this._updateVirtualWindow(true);
+    }
     if (this._isRendered && name !== 'value') {
       this._updateUI();
     }
   }
 
+  // ─── Form association ─────────────────────────────────────────────────────
+
+  formResetCallback() {
+    this._userInteracted = false;
+    this.value = this._defaultValue || '';
+  }
+
+  formStateRestoreCallback(state) {
+    this.value = state instanceof FormData ? state.getAll(this.name).join(',') : (state || '');
+  }
+
+  formDisabledCallback(disabled) {
+    this._formDisabled = disabled;
+    if (disabled) {
+      this._isOpen = false;
+    }
+    this._updateUI();
+  }
+
+  _isDisabled() {
+    return this.hasAttribute('disabled') || this._formDisabled;
+  }
+
+  _syncFormValue() {
+    // Like native controls, an unnamed control submits nothing.
+    if (!this.name) {
+      this._internals.setFormValue(null);
+      return;
+    }
+    if (!this.hasAttribute('multiple')) {
+      this._internals.setFormValue(this._value || null);
+      return;
+    }
+    const values = this._selectedOptions.map(opt => opt.value);
+    if (!values.length) {
+      this._internals.setFormValue(null);
+      return;
+    }
+    const data = new FormData();
+    values.forEach(v => data.append(this.name, v));
+    this._internals.setFormValue(data);
+  }
+
+  // ─── Validation ───────────────────────────────────────────────────────────
+
+  _updateValidity() {
+    const empty = this.hasAttribute('multiple') ? this._selectedOptions.length === 0 : !this._value;
+    const anchor = this.shadowRoot.getElementById('trigger') || undefined;
+
+    if (this._customValidity) {
+      this._internals.setValidity({ customError: true }, this._customValidity, anchor);
+    } else if (this.hasAttribute('required') && empty) {
+      this._internals.setValidity({ valueMissing: true }, 'Please select an item in the list.', anchor);
+    } else {
+      this._internals.setValidity({});
+    }
+    this._updateErrorUI();
+  }
+
+  _markInteracted() {
+    if (!this._userInteracted) {
+      this._userInteracted = true;
+      this._updateErrorUI();
+    }
+  }
+
+  _updateErrorUI() {
+    const invalid   = !this._internals.validity.valid;
+    const showError = invalid && this._userInteracted;
+    this._setState('invalid', invalid);
+    this._setState('user-invalid', showError);
+
+    const container = this.shadowRoot.querySelector('.select-container');
+    const msg       = this.shadowRoot.querySelector('.error-message');
+    const trigger   = this.shadowRoot.getElementById('trigger');
+    if (!container) return;
+    container.classList.toggle('invalid', showError);
+    msg.textContent = this.getAttribute('error-text') || this.validationMessage;
+    if (showError) {
+      trigger.setAttribute('aria-invalid', 'true');
+    } else {
+      trigger.removeAttribute('aria-invalid');
+    }
+  }
+
   _handleSlotChange() {
     this._syncSelectedOptions();
   }
 
   _syncSelectedOptions() {
-    const options  = Array.from(this.querySelectorAll('luna-option'));
     const rawValue = this.getAttribute('value') || '';
-    const values   = this.hasAttribute('multiple')
-      ? (Array.isArray(rawValue) ? rawValue : rawValue.split(',').filter(v => v))
-      : [rawValue];
+    const values   = new Set(this.hasAttribute('multiple') ? rawValue.split(',').filter(v => v) : [rawValue]);
 
-    this._selectedOptions = options.filter(opt => {
-      const isSelected = values.includes(opt.value);
-      opt.selected = isSelected;
+    this._selectedOptions = this._allOptions().filter(opt => {
+      const isSelected = values.has(opt.value);
+      if (opt.nodeType) {
+        opt.selected = isSelected;
+      }
       return isSelected;
     });
 
+    this._syncFormValue();
+    this._updateValidity();
     this._updateDisplay();
+    this._updateGroupStates();
+    this._updateVirtualWindow(true);
+  }
+
+  // ─── Data-driven options ──────────────────────────────────────────────────
+
+  _allOptions() {
+    return this._options || Array.from(this.querySelectorAll('luna-option'));
+  }
+
+  _labelOf(opt) {
+    return opt.nodeType ? opt.textContent.trim() : opt.label;
+  }
+
+  _isOptionDisabled(opt) {
+    return opt.nodeType ? opt.hasAttribute('disabled') : opt.disabled;
+  }
+
+  // ─── Search & bulk selection ──────────────────────────────────────────────
+
+  _matchesSearch(label, value) {
+    const query = this._searchQuery.trim().toLowerCase();
+    return !query || label.toLowerCase().includes(query) || value.toLowerCase().includes(query);
+  }
+
+  _applySearch() {
+    if (this._options) {
+      ({ rows: this._rows, count: this._matchCount } = buildRows(
+        this._options.filter(item => this._matchesSearch(item.label, item.value))
+      ));
+      const listbox = this.shadowRoot.getElementById('listbox');
+      if (listbox) {
+        listbox.scrollTop = 0;
+      }
+    } else {
+      this.querySelectorAll('luna-option').forEach(opt => {
+        opt.style.display = this._matchesSearch(opt.textContent.trim(), opt.value) ? '' : 'none';
+      });
+      this.querySelectorAll('luna-option-group').forEach(group => {
+        const visible = Array.from(group.querySelectorAll('luna-option')).some(opt => opt.style.display !== 'none');
+        group.style.display = visible ? '' : 'none';
+      });
+    }
+
+    if (this._activeOption && !this._navList().includes(this._activeOption)) {
+      this._setActive(null);
+    } else {
+      this._updateVirtualWindow(true);
+    }
+    this._updateGroupStates();
+    this._updateEmpty();
+  }
+
+  _onSearchInput(e) {
+    this._searchQuery = e.target.value;
+    this._applySearch();
+    this._setActive(this._navList()[0]);
+  }
+
+  _onSearchKeyDown(e) {
+    if (['ArrowDown', 'ArrowUp', 'PageDown', 'PageUp', 'Enter', 'Escape', 'Tab'].includes(e.key)) {
+      this._onKeyDown(e);
+    }
+  }
+
+  _resetSearch() {
+    if (!this._searchQuery) return;
+
+    this._searchQuery = '';
+    const search = this.shadowRoot.getElementById('search');
+    if (search) {
+      search.value = '';
+    }
+    this._applySearch();
+  }
+
+  _updateEmpty() {
+    const empty = this.shadowRoot.getElementById('empty');
+    if (!empty) return;
+
+    const none = !!this._searchQuery.trim() && (this._options
+      ? this._rows.length === 0
+      : !Array.from(this.querySelectorAll('luna-option')).some(opt => opt.style.display !== 'none'));
+
+    empty.textContent = this.getAttribute('no-results-text') || 'No results';
+    empty.classList.toggle('visible', none);
+  }
+
+  // Enabled options of a slotted group that match the current search.
+  _groupOptions(group) {
+    if (group.hasAttribute('disabled')) return [];
+    return Array.from(group.querySelectorAll('luna-option')).filter(opt => {
+      return opt.style.display !== 'none' && !opt.hasAttribute('disabled');
+    });
+  }
+
+  // In multiple mode each group label is a tri-state toggle for its options.
+  _updateGroupStates() {
+    const multiple = this.hasAttribute('multiple');
+    const selected = new Set(this._selectedOptions.map(opt => opt.value));
+
+    this.querySelectorAll('luna-option-group').forEach(group => {
+      const opts  = this._groupOptions(group);
+      const count = opts.filter(opt => selected.has(opt.value)).length;
+      group.toggleAttribute('toggleable', multiple && opts.length > 0);
+      group.toggleAttribute('checked', multiple && count > 0 && count === opts.length);
+      group.toggleAttribute('indeterminate', multiple && count > 0 && count < opts.length);
+    });
+  }
+
+  _toggleGroup(opts) {
+    const selected = new Set(this._selectedOptions.map(opt => opt.value));
+    this._setSelection(opts, !opts.every(opt => selected.has(opt.value)));
+  }
+
+  // Adds or removes several options at once, emitting a single luna-change.
+  _setSelection(opts, on) {
+    const values = new Set(this._selectedOptions.map(opt => opt.value));
+    let changed = false;
+
+    opts.forEach(opt => {
+      if (values.has(opt.value) !== on) {
+        changed = true;
+        if (on) {
+          values.add(opt.value);
+        } else {
+          values.delete(opt.value);
+        }
+      }
+    });
+    if (!changed) return;
+
+    this._userInteracted = true;
+    this.value = [...values].join(',');
+    this.dispatchEvent(new CustomEvent('luna-change', {
+      bubbles: true,
+      composed: true,
+      detail: { value: this.value }
+    }));
+  }
+
+  // ─── Virtual list ─────────────────────────────────────────────────────────
+
+  _onDropdownScroll() {
+    if (!this._options || this._vFrame) return;
+
+    this._vFrame = requestAnimationFrame(() => {
+      this._vFrame = null;
+      this._updateVirtualWindow();
+    });
+  }
+
+  _updateVirtualWindow(force = false) {
+    const listbox = this.shadowRoot.getElementById('listbox');
+    const list    = this.shadowRoot.getElementById('virtual');
+    if (!listbox || !list) return;
+
+    if (!this._options) {
+      list.innerHTML = '';
+      return;
+    }
+
+    const oh             = optionHeight(this);
+    const { start, end } = virtualRange(this._rows.length, listbox.scrollTop, listbox.clientHeight || 240, oh);
+    if (!force && start === this._vStart && end === this._vEnd) return;
+
+    this._vStart = start;
+    this._vEnd   = end;
+
+    const selected = new Set(this._selectedOptions.map(opt => opt.value));
+    list.innerHTML = windowHTML(this._rows, start, end, oh, row => this._rowHTML(row, selected, oh));
+  }
+
+  // Multiple mode turns group headers into select-all toggles; other rows use the shared markup.
+  _rowHTML(row, selected, oh) {
+    if (row.header === undefined) {
+      return optionRowHTML(row, {
+        selected:  selected.has(row.value),
+        active:    row === this._activeOption,
+        setSize:   this._matchCount,
+        rowHeight: oh
+      });
+    }
+    if (!this.hasAttribute('multiple')) {
+      return groupRowHTML(row, oh);
+    }
+
+    const enabled = row.items.filter(item => !item.disabled);
+    const count   = enabled.filter(item => selected.has(item.value)).length;
+    const state   = count && count === enabled.length ? 'true' : count ? 'mixed' : 'false';
+    const mark    = state === 'true'
+      ? '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>'
+      : state === 'mixed'
+        ? '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="4" stroke-linecap="round"><line x1="6" y1="12" x2="18" y2="12"></line></svg>'
+        : '';
+
+    return `
+      <div class="v-group toggle" role="checkbox" aria-checked="${state}" data-row="${row.row}" style="height:${oh}px">
+        <span class="v-group-check ${state === 'false' ? '' : 'on'}">${mark}</span>${escapeHTML(row.header)}
+      </div>`;
+  }
+
+  // ─── Keyboard ─────────────────────────────────────────────────────────────
+
+  // Enabled options in list order, limited to those matching the search.
+  _navList() {
+    if (this._options) {
+      return this._rows.filter(row => row.header === undefined && !row.disabled);
+    }
+    return Array.from(this.querySelectorAll('luna-option')).filter(opt => {
+      return opt.style.display !== 'none' && !opt.hasAttribute('disabled');
+    });
+  }
+
+  _setActive(opt) {
+    this._activeOption = opt || null;
+    const owners = ['trigger', 'search'].map(id => this.shadowRoot.getElementById(id)).filter(Boolean);
+
+    if (this._options) {
+      if (opt) {
+        scrollToRow(this.shadowRoot.getElementById('listbox'), this._rows, opt.row, optionHeight(this));
+      }
+      this._updateVirtualWindow(true);
+      owners.forEach(el => {
+        if (opt) {
+          el.setAttribute('aria-activedescendant', `option-${opt.row}`);
+        } else {
+          el.removeAttribute('aria-activedescendant');
+        }
+      });
+      return;
+    }
+
+    this.querySelectorAll('luna-option').forEach(o => o.classList.toggle('keyboard-focus', o === opt));
+    if (opt) {
+      opt.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  _moveActive(delta) {
+    const list = this._navList();
+    if (!list.length) return;
+
+    let current = list.indexOf(this._activeOption);
+    if (current === -1) {
+      current = delta > 0 ? -1 : list.length;
+    }
+    this._setActive(list[Math.min(list.length - 1, Math.max(0, current + delta))]);
+  }
+
+  _pageSize() {
+    const listbox = this.shadowRoot.getElementById('listbox');
+    return Math.max(1, Math.floor(listbox.clientHeight / optionHeight(this)) - 1);
+  }
+
+  // Finds the next option whose label starts with the typed text. Repeating one
+  // character cycles through the options that start with it.
+  _typeahead(char) {
+    clearTimeout(this._typeTimer);
+    this._typeBuffer += char.toLowerCase();
+    this._typeTimer = setTimeout(() => {
+      this._typeBuffer = '';
+    }, 500);
+
+    const list = this._navList();
+    if (!list.length) return null;
+
+    const buffer  = this._typeBuffer;
+    const cycling = buffer.split('').every(c => c === buffer[0]);
+    const query   = cycling ? buffer[0] : buffer;
+    const current = list.indexOf(this._isOpen ? this._activeOption : this._selectedOptions[0]);
+    const start   = cycling ? current + 1 : Math.max(current, 0);
+
+    for (let i = 0; i < list.length; i++) {
+      const opt = list[(start + i) % list.length];
+      if (this._labelOf(opt).toLowerCase().startsWith(query)) {
+        return opt;
+      }
+    }
+    return null;
+  }
+
+  _onKeyDown(e) {
+    if (this._isDisabled()) return;
+
+    const key       = e.key;
+    const printable = key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey;
+
+    if (printable && (key !== ' ' || this._typeBuffer)) {
+      e.preventDefault();
+      const match = this._typeahead(key);
+      if (!match) return;
+
+      if (!this._isOpen && !this.hasAttribute('multiple')) {
+        if (match !== this._selectedOptions[0]) {
+          this._selectOption(match);
+        }
+      } else {
+        if (!this._isOpen) {
+          this._openDropdown();
+        }
+        this._setActive(match);
+      }
+      return;
+    }
+
+    if (!this._isOpen) {
+      if (['ArrowDown', 'ArrowUp', 'Enter', ' '].includes(key)) {
+        e.preventDefault();
+        this._openDropdown();
+      }
+      return;
+    }
+
+    switch (key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        this._moveActive(1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        this._moveActive(-1);
+        break;
+      case 'PageDown':
+        e.preventDefault();
+        this._moveActive(this._pageSize());
+        break;
+      case 'PageUp':
+        e.preventDefault();
+        this._moveActive(-this._pageSize());
+        break;
+      case 'Home':
+        e.preventDefault();
+        this._moveActive(-Infinity);
+        break;
+      case 'End':
+        e.preventDefault();
+        this._moveActive(Infinity);
+        break;
+      case 'Enter':
+      case ' ':
+        e.preventDefault();
+        if (this._activeOption) {
+          this._selectOption(this._activeOption);
+        }
+        break;
+      case 'Escape':
+        e.preventDefault();
+        this._closeDropdown();
+        this.shadowRoot.getElementById('trigger').focus();
+        break;
+      case 'Tab':
+        this._closeDropdown();
+        break;
+    }
+  }
+
+  _openDropdown() {
+    this._isOpen = true;
+    this._updateUI();
+
+    const list = this._navList();
+    this._setActive(list.includes(this._selectedOptions[0]) ? this._selectedOptions[0] : list[0]);
+
+    if (this.hasAttribute('searchable')) {
+      this.shadowRoot.getElementById('search').focus();
+    }
+  }
+
+  _closeDropdown() {
+    this._markInteracted();
+    this._isOpen = false;
+    this._updateUI();
   }
 
   _toggleDropdown(e) {
-    if (this.hasAttribute('disabled')) {
+    if (this._isDisabled()) {
       return;
     }
     
     e.stopPropagation();
-    this._isOpen = !this._isOpen;
-    this._updateUI();
+    if (this._isOpen) {
+      this._isOpen = false;
+      this._updateUI();
+    } else {
+      this._openDropdown();
+    }
   }
 
   _handleOutsideClick(e) {
     const path = e.composedPath();
     if (!path.includes(this)) {
+      if (this._isOpen) {
+        this._markInteracted();
+      }
       this._isOpen = false;
       this._updateUI();
     }
   }
 
   _handleOptionClick(e) {
+    const row = e.target.closest('.v-option, .v-group');
+    if (row) {
+      const entry = this._rows[row.dataset.row];
+      if (entry.header === undefined) {
+        this._selectOption(entry);
+      } else if (this.hasAttribute('multiple')) {
+        this._toggleGroup(entry.items.filter(item => !item.disabled));
+      }
+      return;
+    }
+
     const opt = e.target.closest('luna-option');
-    if (!opt || opt.hasAttribute('disabled')) {
+    if (opt) {
+      this._selectOption(opt);
+      return;
+    }
+
+    const group   = e.target.closest('luna-option-group');
+    const onLabel = e.composedPath().some(node => node.classList && node.classList.contains('group-label'));
+    if (group && onLabel && group.hasAttribute('toggleable')) {
+      this._toggleGroup(this._groupOptions(group));
+    }
+  }
+
+  _selectOption(opt) {
+    if (this._isOptionDisabled(opt)) {
       return;
     }
     
@@ -158,7 +776,9 @@ class LunaSelect extends HTMLElement {
       this._isOpen = false;
     }
 
+    this._userInteracted = true;
     this._syncSelectedOptions();
+    this._updateUI();
     this.dispatchEvent(new CustomEvent('luna-change', {
       bubbles: true,
       composed: true,
@@ -171,6 +791,7 @@ class LunaSelect extends HTMLElement {
     this.value = '';
     this._isOpen = false;
     this._selectedOptions = [];
+    this._userInteracted = true;
     this._syncSelectedOptions();
     this.dispatchEvent(new CustomEvent('luna-clear', {
       bubbles: true,
@@ -187,16 +808,39 @@ class LunaSelect extends HTMLElement {
     if (!control || !dropdown) return;
     
     if (this._isOpen) {
+      this._floating.show();
       control.classList.add('open');
       dropdown.classList.add('visible');
     } else {
       control.classList.remove('open');
       dropdown.classList.remove('visible');
+      if (this._floating.open) {
+        this._floating.hide();
+      }
     }
 
-    control.className = `control ${this.getAttribute('size') || 'md'} ${this._isOpen ? 'open' : ''} ${this.hasAttribute('disabled') ? 'disabled' : ''} ${this.hasAttribute('filled') ? 'filled' : ''} ${this.hasAttribute('pill') ? 'pill' : ''}`;
+    control.className = `control ${this.getAttribute('size') || 'md'} ${this._isOpen ? 'open' : ''} ${this._isDisabled() ? 'disabled' : ''} ${this.hasAttribute('filled') ? 'filled' : ''} ${this.hasAttribute('pill') ? 'pill' : ''}`;
+    control.tabIndex = this._isDisabled() ? -1 : 0;
+    control.setAttribute('aria-expanded', String(this._isOpen));
+
+    if (!this._isOpen && this._activeOption) {
+      this._setActive(null);
+    }
+
+    const search  = this.shadowRoot.getElementById('search');
+    const listbox = this.shadowRoot.getElementById('listbox');
+    search.placeholder = this.getAttribute('search-placeholder') || 'Search...';
+    listbox.setAttribute('aria-multiselectable', String(this.hasAttribute('multiple')));
+
+    if (!this._isOpen) {
+      if (this.shadowRoot.activeElement === search) {
+        control.focus();
+      }
+      this._resetSearch();
+    }
     
     this._updateDisplay();
+    this._updateGroupStates();
   }
 
   _updateDisplay() {
@@ -218,8 +862,8 @@ class LunaSelect extends HTMLElement {
 
         let html = visibleOptions.map(opt => `
           <span class="tag">
-            <span class="tag-label">${opt.textContent.trim()}</span>
-            <span class="tag-remove" data-value="${opt.value}">
+            <span class="tag-label">${escapeHTML(this._labelOf(opt))}</span>
+            <span class="tag-remove" data-value="${escapeHTML(opt.value)}">
               <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
             </span>
           </span>
@@ -234,15 +878,15 @@ class LunaSelect extends HTMLElement {
           btn.onclick = (e) => {
             e.stopPropagation();
             const val = btn.dataset.value;
-            const opt = Array.from(this.querySelectorAll('luna-option')).find(o => o.value === val);
+            const opt = this._allOptions().find(o => o.value === val);
             if (opt) {
-              this._handleOptionClick({ target: opt });
+              this._selectOption(opt);
             }
           };
         });
       }
     } else {
-      const displayValue = this._selectedOptions.length > 0 ? this._selectedOptions[0].textContent.trim() : '';
+      const displayValue = this._selectedOptions.length > 0 ? escapeHTML(this._labelOf(this._selectedOptions[0])) : '';
       display.innerHTML  = displayValue ? displayValue : `<span class="placeholder">${placeholder}</span>`;
     }
 
@@ -264,6 +908,7 @@ class LunaSelect extends HTMLElement {
           --luna-select-radius: 10px;
           --luna-select-accent: var(--luna-accent, #2563eb);
           --luna-select-shadow: 0 10px 30px rgba(0, 0, 0, 0.5);
+          --luna-select-error: #ef4444;
         }
 
         .label {
@@ -280,6 +925,20 @@ class LunaSelect extends HTMLElement {
           margin-top: 0.5rem;
         }
 
+        .error {
+          display: none;
+          font-size: 0.75rem;
+          color: var(--luna-select-error);
+          margin-top: 0.5rem;
+        }
+
+        .select-container.invalid .control {
+          border-color: var(--luna-select-error);
+        }
+
+        .select-container.invalid ~ #help-container { display: none; }
+        .select-container.invalid ~ .error { display: block; }
+
         .select-container {
           position: relative;
         }
@@ -307,6 +966,11 @@ class LunaSelect extends HTMLElement {
           background: rgba(255, 255, 255, 0.05);
         }
 
+        .control:focus-visible {
+          outline: none;
+          border-color: var(--luna-select-accent);
+        }
+
         .control.open {
           border-color: var(--luna-select-accent);
           background: rgba(26, 26, 26, 0.8);
@@ -389,24 +1053,25 @@ class LunaSelect extends HTMLElement {
         .tag-remove svg { width: 12px; height: 12px; }
 
         .dropdown {
-          position: absolute;
+          position: fixed;
           z-index: 1000;
+          padding: 0;
+          color: inherit;
           background: rgba(26, 26, 26, 0.95);
           backdrop-filter: blur(16px);
           -webkit-backdrop-filter: blur(16px);
           border: 1px solid rgba(255, 255, 255, 0.1);
           border-radius: 12px;
           box-shadow: var(--luna-select-shadow);
-          max-height: 15rem;
-          overflow-y: auto;
+          overflow: hidden;
           min-width: 100%;
           opacity: 0;
           visibility: hidden;
           transform: translateY(10px) scale(0.95);
-          transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
-          top: 100%;
-          left: 0;
-          margin-top: 0.5rem;
+          transform-origin: top;
+          transition: opacity 0.2s cubic-bezier(0.4, 0, 0.2, 1),
+                      transform 0.2s cubic-bezier(0.4, 0, 0.2, 1),
+                      visibility 0.2s;
         }
 
         .dropdown.visible {
@@ -415,29 +1080,127 @@ class LunaSelect extends HTMLElement {
           transform: translateY(0) scale(1);
         }
 
-        :host([placement="top"]) .dropdown {
-          top: auto;
-          bottom: 100%;
-          margin-top: 0;
-          margin-bottom: 0.5rem;
+        .dropdown[data-placement^="top"] {
           transform: translateY(-10px) scale(0.95);
+          transform-origin: bottom;
         }
 
-        :host([placement="top"]) .dropdown.visible {
+        .dropdown[data-placement^="top"].visible {
           transform: translateY(0) scale(1);
         }
 
+        ::slotted(luna-option.keyboard-focus) {
+          background: rgba(255, 255, 255, 0.08);
+        }
+
+        .listbox {
+          max-height: 15rem;
+          overflow-y: auto;
+        }
+
+        .listbox.data > slot { display: none; }
+
+        .panel-head {
+          display: none;
+          flex-direction: column;
+          gap: 0.375rem;
+          padding: 0.5rem;
+          border-bottom: 1px solid rgba(255, 255, 255, 0.08);
+        }
+
+        :host([searchable]) .panel-head,
+        :host([multiple]) .panel-head { display: flex; }
+
+        .search {
+          display: none;
+          width: 100%;
+          box-sizing: border-box;
+          padding: 0.5rem 0.75rem;
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          border-radius: 8px;
+          background: rgba(255, 255, 255, 0.05);
+          color: var(--luna-select-color);
+          font: inherit;
+          font-size: 0.875rem;
+          outline: none;
+        }
+
+        .search:focus { border-color: var(--luna-select-accent); }
+        :host([searchable]) .search { display: block; }
+
+        .actions {
+          display: none;
+          justify-content: space-between;
+        }
+
+        :host([multiple]) .actions { display: flex; }
+
+        .actions button {
+          padding: 0.25rem 0.375rem;
+          border: none;
+          border-radius: 4px;
+          background: none;
+          color: var(--luna-select-accent);
+          font: inherit;
+          font-size: 0.8125rem;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .actions button:hover { background: rgba(255, 255, 255, 0.05); }
+
+        .empty {
+          display: none;
+          padding: 0.625rem 1rem;
+          font-size: 0.8125rem;
+          color: #888;
+        }
+
+        .empty.visible { display: block; }
+
+        ${virtualListStyles('var(--luna-select-accent)')}
+
+        .v-group.toggle {
+          align-items: center;
+          gap: 0.5rem;
+          padding-bottom: 0;
+          cursor: pointer;
+        }
+
+        .v-group.toggle:hover { color: #d1d5db; }
+
+        .v-group-check {
+          display: inline-flex;
+          align-items: center;
+          justify-content: center;
+          width: 14px;
+          height: 14px;
+          border: 1.5px solid currentColor;
+          border-radius: 3px;
+          box-sizing: border-box;
+          flex-shrink: 0;
+        }
+
+        .v-group-check.on {
+          background: var(--luna-select-accent);
+          border-color: var(--luna-select-accent);
+          color: #fff;
+        }
+
+        .v-group-check svg { width: 10px; height: 10px; }
+
+
         /* Custom Scrollbar */
-        .dropdown::-webkit-scrollbar { width: 6px; }
-        .dropdown::-webkit-scrollbar-track { background: transparent; }
-        .dropdown::-webkit-scrollbar-thumb { background: rgba(255, 255, 255, 0.1); border-radius: 3px; }
-        .dropdown::-webkit-scrollbar-thumb:hover { background: rgba(255, 255, 255, 0.2); }
+        .listbox::-webkit-scrollbar { width: 6px; }
+        .listbox::-webkit-scrollbar-track { background: transparent; }
+        .listbox::-webkit-scrollbar-thumb { background: rgba(255, 255, 255, 0.1); border-radius: 3px; }
+        .listbox::-webkit-scrollbar-thumb:hover { background: rgba(255, 255, 255, 0.2); }
       </style>
 
       <div id="label-container"></div>
 
       <div class="select-container">
-        <div class="control" id="trigger" role="combobox" aria-haspopup="listbox">
+        <div class="control" id="trigger" role="combobox" aria-haspopup="listbox" aria-controls="listbox" aria-expanded="false" tabindex="0">
           <slot name="prefix"></slot>
           <div class="display"></div>
           <slot name="suffix"></slot>
@@ -449,23 +1212,51 @@ class LunaSelect extends HTMLElement {
           </span>
         </div>
 
-        <div class="dropdown" id="dropdown" role="listbox">
-          <slot></slot>
+        <div class="dropdown" id="dropdown">
+          <div class="panel-head">
+            <input class="search" id="search" type="search" autocomplete="off" spellcheck="false"
+              aria-label="Search options" aria-controls="listbox" aria-autocomplete="list">
+            <div class="actions">
+              <button type="button" id="select-all">Select all</button>
+              <button type="button" id="clear-all">Clear all</button>
+            </div>
+          </div>
+          <div class="listbox${this._options ? ' data' : ''}" id="listbox" role="listbox">
+            <slot></slot>
+            <div id="virtual"></div>
+          </div>
+          <div class="empty" id="empty" role="status"></div>
         </div>
       </div>
 
       <div id="help-container"></div>
+      <div class="error" part="error-text" role="alert">
+        <slot name="error-text"><span class="error-message"></span></slot>
+      </div>
     `;
 
     this._updateLabel();
     this._updateHelp();
+
+    this._floating = createFloating(this.shadowRoot.getElementById('trigger'), this.shadowRoot.getElementById('dropdown'), () => ({
+      placement: `${this.getAttribute('placement') === 'top' ? 'top' : 'bottom'}-start`,
+      offset: 8,
+      matchWidth: true
+    }));
     
-    this.shadowRoot.getElementById('trigger').onclick  = this._toggleDropdown;
-    this.shadowRoot.getElementById('clear').onclick    = this._handleClear;
-    this.shadowRoot.getElementById('dropdown').onclick = this._handleOptionClick;
+    this.shadowRoot.getElementById('trigger').onclick    = this._toggleDropdown;
+    this.shadowRoot.getElementById('trigger').onkeydown  = this._onKeyDown;
+    this.shadowRoot.getElementById('clear').onclick      = this._handleClear;
+    this.shadowRoot.getElementById('listbox').onclick    = this._handleOptionClick;
+    this.shadowRoot.getElementById('listbox').onscroll   = this._onDropdownScroll;
+    this.shadowRoot.getElementById('search').oninput     = this._onSearchInput;
+    this.shadowRoot.getElementById('search').onkeydown   = this._onSearchKeyDown;
+    this.shadowRoot.getElementById('select-all').onclick = () => this._setSelection(this._navList(), true);
+    this.shadowRoot.getElementById('clear-all').onclick  = () => this._setSelection(this._navList(), false);
     this.shadowRoot.addEventListener('slotchange', this._handleSlotChange);
 
     this._updateUI();
+    this._updateErrorUI();
   }
 
   _updateLabel() {
@@ -1,5 +1,7 @@
 // lunadom/components/sparkline/sparkline.js
 
+import { lttb } from '../downsample/downsample.js';
+
 /**
  * @customElement luna-sparkline
  * 
@@ -15,6 +17,9 @@
  * @attr {boolean} show-area - If present, fills the area under the line.
  * @attr {number} min - Minimum value for the Y-axis scale. If not set, uses data minimum.
  * @attr {number} max - Maximum value for the Y-axis scale. If not set, uses data maximum.
+ * @attr {number} max-points - Maximum points drawn. Longer data is downsampled with LTTB
+ *   (largest-triangle-three-buckets), which keeps peaks and troughs. Defaults to the rendered
+ *   width in pixels; "0" draws every point.
  * 
  * CSS Custom Properties:
  * @cssprop --luna-sparkline-width - The width of the sparkline. Defaults to 100px.
@@ -39,7 +44,8 @@ class LunaSparkline extends HTMLElement {
       'show-dots',
       'show-area',
       'min',
-      'max'
+      'max',
+      'max-points'
     ];
   }
 
@@ -73,8 +79,13 @@ class LunaSparkline extends HTMLElement {
     const minAttr = this.getAttribute('min');
     const maxAttr = this.getAttribute('max');
     
-    const dataMin = Math.min(...data);
-    const dataMax = Math.max(...data);
+    // A loop rather than Math.min(...data): spreading a large dataset overflows the call stack.
+    let dataMin = Infinity;
+    let dataMax = -Infinity;
+    for (const value of data) {
+      if (value < dataMin) dataMin = value;
+      if (value > dataMax) dataMax = value;
+    }
     
     const min = minAttr !== null ? parseFloat(minAttr) : dataMin;
     const max = maxAttr !== null ? parseFloat(maxAttr) : dataMax;
@@ -82,7 +93,18 @@ class LunaSparkline extends HTMLElement {
     return { min, max };
   }
 
-  _createPath(data, width, height, curve) {
+  // Indices of the points to draw, downsampled to the max-points budget.
+  _sampleIndices(data, size) {
+    const fallback = { sm: 60, md: 100, lg: 140 }[size] || 100;
+    const measured = Math.round(this.getBoundingClientRect().width);
+    const maxAttr = parseFloat(this.getAttribute('max-points'));
+    const maxPoints = isNaN(maxAttr) ? (measured || fallback) : maxAttr;
+
+    const indices = data.map((_, index) => index);
+    return lttb(indices, index => index, index => data[index], maxPoints);
+  }
+
+  _createPath(data, width, height, curve, indices) {
     if (data.length === 0) {
       return '';
     }
@@ -90,9 +112,9 @@ class LunaSparkline extends HTMLElement {
     const { min, max } = this._getMinMax(data);
     const range = max - min || 1;
     
-    const points = data.map((value, index) => {
+    const points = indices.map(index => {
       const x = (index / (data.length - 1)) * width;
-      const y = height - ((value - min) / range) * height;
+      const y = height - ((data[index] - min) / range) * height;
       return { x, y };
     });
 
@@ -218,15 +240,16 @@ class LunaSparkline extends HTMLElement {
     const actualWidth = width - padding * 2;
     const actualHeight = height - padding * 2;
 
-    const linePath = this._createPath(data, actualWidth, actualHeight, curve);
+    const indices = this._sampleIndices(data, size);
+    const linePath = this._createPath(data, actualWidth, actualHeight, curve, indices);
     const areaPath = (showArea || appearance !== 'line') ? this._createAreaPath(linePath, actualWidth, actualHeight) : '';
 
     const color = customColor || this._getTrendColor(trend);
 
-    const points = data.map((value, index) => {
+    const points = indices.map(index => {
       const range = max - min || 1;
       const x = (index / (data.length - 1)) * actualWidth + padding;
-      const y = actualHeight - ((value - min) / range) * actualHeight + padding;
+      const y = actualHeight - ((data[index] - min) / range) * actualHeight + padding;
       return { x, y };
     });
 
@@ -14,6 +14,7 @@
  * @attr {'sm' | 'md' | 'lg'} size - The size of the textarea. Defaults to 'md'.
  * @attr {'none' | 'vertical' | 'horizontal' | 'both' | 'auto'} resize - The resize mode of the textarea. Defaults to 'none'.
  * @attr {string} value - The value of the textarea.
+ * @attr {string} name - The name the value is submitted under when inside a form.
  * 
  * CSS Custom Properties:
  * @cssprop --luna-textarea-bg - Background color of the textarea.
@@ -22,6 +23,10 @@
  * @cssprop --luna-textarea-border-focus - Border color when focused.
  * @cssprop --luna-textarea-label - Label color of the textarea.
  * @cssprop --luna-textarea-help - Help text color of the textarea.
+ *
+ * Form Association:
+ * Submits the text under `name`, including an empty string when blank, like a native
+ * <textarea>. A form reset restores the initial `value` attribute.
  * 
  * Events:
  * @event luna-input - Emitted when the input value changes.
@@ -29,6 +34,8 @@
  * 
  */
 class LunaTextarea extends HTMLElement {
+  static formAssociated = true;
+
   static get observedAttributes() {
     return [
       'label',
@@ -45,10 +52,15 @@ class LunaTextarea extends HTMLElement {
   constructor() {
     super();
     this.attachShadow({ mode: 'open' });
+    this._internals = this.attachInternals();
+    this._formDisabled = false;
     this._isRendered = false;
   }
 
   connectedCallback() {
+    if (this._defaultValue === undefined) {
+      this._defaultValue = this.getAttribute('value') || '';
+    }
     if (!this._isRendered) {
       this._setup();
       this._isRendered = true;
@@ -76,6 +88,38 @@ class LunaTextarea extends HTMLElement {
       this._handleAutoResize();
     }
     this.setAttribute('value', val);
+    this._syncFormValue();
+  }
+
+  get name() {
+    return this.getAttribute('name') || '';
+  }
+
+  set name(val) {
+    this.setAttribute('name', val);
+  }
+
+  get form() {
+    return this._internals.form;
+  }
+
+  // ─── Form association ─────────────────────────────────────────────────────
+
+  formResetCallback() {
+    this.value = this._defaultValue || '';
+  }
+
+  formStateRestoreCallback(state) {
+    this.value = state || '';
+  }
+
+  formDisabledCallback(disabled) {
+    this._formDisabled = disabled;
+    this._updateUI();
+  }
+
+  _syncFormValue() {
+    this._internals.setFormValue(this.value);
   }
 
   _setup() {
@@ -160,6 +204,7 @@ class LunaTextarea extends HTMLElement {
 
     this._textarea.addEventListener('input', () => {
       this._handleAutoResize();
+      this._syncFormValue();
       this.dispatchEvent(new CustomEvent('luna-input', {
         bubbles: true,
         composed: true,
@@ -185,7 +230,7 @@ class LunaTextarea extends HTMLElement {
     const help = this.getAttribute('help-text');
     const rows = this.getAttribute('rows') || 3;
     const placeholder = this.getAttribute('placeholder') || '';
-    const disabled = this.hasAttribute('disabled');
+    const disabled = this.hasAttribute('disabled') || this._formDisabled;
     const resize = this.getAttribute('resize') || 'none';
     const value = this.getAttribute('value') || '';
 
@@ -205,6 +250,7 @@ class LunaTextarea extends HTMLElement {
     if (this._textarea.value !== value) {
         this._textarea.value = value;
     }
+    this._syncFormValue();
   }
 
   _handleAutoResize() {
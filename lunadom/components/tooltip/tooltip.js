@@ -1,5 +1,7 @@
 // lunadom/components/tooltip/tooltip.js
 
+import { createFloating } from '../floating/floating.js';
+
 /**
  * @customElement luna-tooltip
  *
@@ -9,7 +11,8 @@
  * Attributes:
  * @attr {string}  content   - Plain-text tooltip content (alternative to slot).
  * @attr {string}  for       - ID of an external element to attach the tooltip to.
- * @attr {'top'|'bottom'|'left'|'right'} placement - Where to show the tooltip. Default: 'top'.
+ * @attr {string}  placement - Preferred side: 'top' | 'bottom' | 'left' | 'right', optionally
+ *                             with '-start' or '-end'. Flips and shifts to stay in the viewport. Default: 'top'.
  * @attr {'hover'|'click'}  trigger   - How the tooltip is triggered. Default: 'hover'.
  * @attr {number}  delay     - Delay in ms before showing. Default: 0.
  * @attr {number}  offset    - Distance in px from the target. Default: 10.
@@ -32,7 +35,7 @@ class LunaTooltip extends HTMLElement {
     super();
     this.attachShadow({ mode: 'open' });
     this._timer        = null;
-    this._onScrollBound = this._onScroll.bind(this);
+    this._floating     = null;
     this.show          = this.show.bind(this);
     this.hide          = this.hide.bind(this);
     this.toggle        = this.toggle.bind(this);
@@ -41,16 +44,14 @@ class LunaTooltip extends HTMLElement {
   connectedCallback() {
     this._render();
     this._bindTrigger();
-    if (this.hasAttribute('open')) {
-      this._positionFixed();
-    }
   }
 
   disconnectedCallback() {
     this._removeTrigger();
     clearTimeout(this._timer);
-    window.removeEventListener('scroll', this._onScrollBound, true);
-    window.removeEventListener('resize', this._onScrollBound);
+    if (this._floating) {
+      this._floating.destroy();
+    }
   }
 
   attributeChangedCallback(name, oldVal, newVal) {
@@ -67,9 +68,9 @@ class LunaTooltip extends HTMLElement {
       return;
     }
     if (name === 'content') {
-      const tip = this.shadowRoot.querySelector('.tooltip');
-      if (tip) {
-        tip.textContent = newVal || '';
+      const body = this.shadowRoot.querySelector('.content');
+      if (body) {
+        body.textContent = newVal || '';
       }
       return;
     }
@@ -140,84 +141,17 @@ class LunaTooltip extends HTMLElement {
     }
   }
 
-  _onScroll() {
-    if (this.hasAttribute('open')) {
-      this._positionFixed();
-    }
-  }
-
   _updateVisibility() {
     const tip = this.shadowRoot.querySelector('.tooltip');
     if (!tip) {
       return;
     }
     if (this.hasAttribute('open')) {
-      this._positionFixed();
+      this._floating.show();
       tip.classList.add('visible');
-      window.addEventListener('scroll', this._onScrollBound, true);
-      window.addEventListener('resize', this._onScrollBound);
     } else {
       tip.classList.remove('visible');
-      window.removeEventListener('scroll', this._onScrollBound, true);
-      window.removeEventListener('resize', this._onScrollBound);
-    }
-  }
-
-  _positionFixed() {
-    const tip    = this.shadowRoot.querySelector('.tooltip');
-    const arrow  = this.shadowRoot.querySelector('.arrow');
-    if (!tip) {
-      return;
-    }
-
-    const target    = this._getTarget();
-    if (!target) {
-      return;
-    }
-
-    const rect      = target.getBoundingClientRect();
-    const placement = this.getAttribute('placement') || 'top';
-    const offset    = parseInt(this.getAttribute('offset') || '10', 10);
-
-    tip.style.top  = '';
-    tip.style.left = '';
-
-    const tw = tip.offsetWidth;
-    const th = tip.offsetHeight;
-
-    let tipTop, tipLeft, arrowTop, arrowLeft;
-
-    if (placement === 'bottom') {
-      tipTop    = rect.bottom + offset;
-      tipLeft   = rect.left + rect.width / 2 - tw / 2;
-      arrowTop  = rect.bottom + offset - 5;
-      arrowLeft = rect.left + rect.width / 2 - 4;
-    } else if (placement === 'left') {
-      tipTop    = rect.top + rect.height / 2 - th / 2;
-      tipLeft   = rect.left - tw - offset;
-      arrowTop  = rect.top + rect.height / 2 - 4;
-      arrowLeft = rect.left - offset - 3;
-    } else if (placement === 'right') {
-      tipTop    = rect.top + rect.height / 2 - th / 2;
-      tipLeft   = rect.right + offset;
-      arrowTop  = rect.top + rect.height / 2 - 4;
-      arrowLeft = rect.right + offset - 5;
-    } else {
-      tipTop    = rect.top - th - offset;
-      tipLeft   = rect.left + rect.width / 2 - tw / 2;
-      arrowTop  = rect.top - offset - 3;
-      arrowLeft = rect.left + rect.width / 2 - 4;
-    }
-
-    tipLeft = Math.max(8, Math.min(tipLeft, window.innerWidth  - tw - 8));
-    tipTop  = Math.max(8, Math.min(tipTop,  window.innerHeight - th - 8));
-
-    tip.style.top  = tipTop  + 'px';
-    tip.style.left = tipLeft + 'px';
-
-    if (arrow) {
-      arrow.style.top  = arrowTop  + 'px';
-      arrow.style.left = arrowLeft + 'px';
+      this._floating.hide(150);
     }
   }
 
@@ -243,6 +177,7 @@ class LunaTooltip extends HTMLElement {
         .tooltip {
           position: fixed;
           z-index: 99999;
+          overflow: visible;
           background: var(--luna-tooltip-bg, rgba(20, 20, 20, 0.95));
           color: var(--luna-tooltip-color, #eee);
           padding: var(--luna-tooltip-padding, 0.4rem 0.8rem);
@@ -262,8 +197,6 @@ class LunaTooltip extends HTMLElement {
           visibility: hidden;
           transition: opacity 0.15s ease, transform 0.15s ease, visibility 0.15s;
           transform: scale(0.95);
-          top: 0;
-          left: 0;
         }
 
         .tooltip.visible {
@@ -273,51 +206,59 @@ class LunaTooltip extends HTMLElement {
         }
 
         .arrow {
-          position: fixed;
-          z-index: 99998;
+          position: absolute;
           width: 8px;
           height: 8px;
           background: var(--luna-tooltip-bg, rgba(20, 20, 20, 0.95));
           border: 1px solid rgba(255, 255, 255, 0.08);
           transform: rotate(45deg);
           pointer-events: none;
-          opacity: 0;
-          transition: opacity 0.15s ease;
-          top: 0;
-          left: 0;
         }
 
-        .arrow.visible { opacity: 1; }
-
-        :host([placement="top"]) .arrow,
-        :host(:not([placement])) .arrow {
+        .tooltip[data-placement^="top"] .arrow {
+          bottom: -5px;
           border-top: none;
           border-left: none;
         }
 
-        :host([placement="bottom"]) .arrow {
+        .tooltip[data-placement^="bottom"] .arrow {
+          top: -5px;
           border-bottom: none;
           border-right: none;
         }
 
-        :host([placement="left"]) .arrow {
+        .tooltip[data-placement^="left"] .arrow {
+          right: -5px;
           border-left: none;
           border-bottom: none;
         }
 
-        :host([placement="right"]) .arrow {
+        .tooltip[data-placement^="right"] .arrow {
+          left: -5px;
           border-right: none;
           border-top: none;
         }
       </style>
 
       <slot></slot>
-      <div class="tooltip ${isOpen ? 'visible' : ''}" part="tooltip">${content || '<slot name="content"></slot>'}</div>
-      <div class="arrow  ${isOpen ? 'visible' : ''}" part="arrow"></div>
+      <div class="tooltip" part="tooltip" role="tooltip">
+        <span class="content">${content || '<slot name="content"></slot>'}</span>
+        <div class="arrow" part="arrow"></div>
+      </div>
     `;
 
+    const tip = this.shadowRoot.querySelector('.tooltip');
+    if (this._floating) {
+      this._floating.destroy();
+    }
+    this._floating = createFloating(() => this._getTarget(), tip, () => ({
+      placement: this.getAttribute('placement') || 'top',
+      offset: parseInt(this.getAttribute('offset') || '10', 10),
+      arrow: tip.querySelector('.arrow')
+    }));
+
     if (isOpen) {
-      this._positionFixed();
+      this._updateVisibility();
     }
   }
 }
@@ -0,0 +1,264 @@
+// lunadom/components/virtual-list/virtual-list.js
+
+/**
+ * Virtualized option list shared by the data-driven modes of luna-select and
+ * luna-combobox.
+ *
+ * Options given as data are normalized to { value, label, group, disabled }
+ * items and flattened into rows: each group contributes one header row
+ * followed by its members. Every row has the same height, so only the rows in
+ * view (plus a small overscan) are rendered between two spacers that keep the
+ * scroll height of the full list.
+ *
+ * Option rows carry `data-row` (the row index) and `id="option-<row>"` for
+ * aria-activedescendant. Headers are `.v-group`, options `.v-option` with
+ * `.selected`, `.active` and `.disabled` modifiers; `virtualListStyles()`
+ * returns their CSS.
+ */
+
+const OVERSCAN = 6;
+
+const CHECK_ICON = '<svg class="v-check" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>';
+
+/**
+ * Escapes text for use in HTML content and double-quoted attributes.
+ *
+ * @param {*} str
+ * @returns {string}
+ */
+export function escapeHTML(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Normalizes option data. Strings (or numbers) become options whose value and
+ * label are the string; objects fall back to `label` for a missing `value` and
+ * the reverse.
+ *
+ * @param {Array<string|object>} list
+ * @returns {Array<{ value: string, label: string, group: string, disabled: boolean }>}
+ */
+export function normalizeOptions(list) {
+  return list.map(item => {
+    const data  = item !== null && typeof item === 'object' ? item : { value: item };
+    const value = String(data.value ?? data.label);
+    return {
+      value,
+      label:    String(data.label ?? value),
+      group:    data.group ? String(data.group) : '',
+      disabled: !!data.disabled
+    };
+  });
+}
+
+/**
+ * Flattens items into list rows, gathering each group under one header row
+ * ({ header, row, items }) placed where the group first appears. Each item
+ * gets `row` (its row index) and `pos` (its 1-based position among the items).
+ *
+ * @param {Array<object>} items - Normalized items, e.g. the ones matching a filter.
+ * @returns {{ rows: Array<object>, count: number }} The rows and the number of items.
+ */
+export function buildRows(items) {
+  const groups = new Map();
+  items.forEach(item => {
+    if (!groups.has(item.group)) {
+      groups.set(item.group, []);
+    }
+    groups.get(item.group).push(item);
+  });
+
+  const rows = [];
+  let pos = 0;
+  groups.forEach((members, group) => {
+    if (group) {
+      rows.push({ header: group, row: rows.length, items: members });
+    }
+    members.forEach(item => {
+      item.row = rows.length;
+      item.pos = ++pos;
+      rows.push(item);
+    });
+  });
+
+  return { rows, count: pos };
+}
+
+/**
+ * Row height from the host's `option-height` attribute, 40 by default.
+ *
+ * @param {Element} host
+ * @returns {number}
+ */
+export function optionHeight(host) {
+  const attr = parseFloat(host.getAttribute('option-height'));
+  return !isNaN(attr) && attr > 0 ? attr : 40;
+}
+
+/**
+ * Range of rows to render for a scroll position, with overscan.
+ *
+ * @param {number} rowCount
+ * @param {number} scrollTop
+ * @param {number} viewportHeight
+ * @param {number} rowHeight
+ * @returns {{ start: number, end: number }} Row indices, `end` exclusive.
+ */
+export function virtualRange(rowCount, scrollTop, viewportHeight, rowHeight) {
+  const first = Math.floor(scrollTop / rowHeight);
+  const last  = Math.ceil((scrollTop + viewportHeight) / rowHeight);
+
+  return {
+    start: Math.max(0, first - OVERSCAN),
+    end:   Math.min(rowCount, last + OVERSCAN)
+  };
+}
+
+/**
+ * HTML for rows `start`..`end` between spacers standing in for the rest.
+ *
+ * @param {Array<object>} rows
+ * @param {number} start
+ * @param {number} end
+ * @param {number} rowHeight
+ * @param {(row: object) => string} rowHTML - Renders one row.
+ * @returns {string}
+ */
+export function windowHTML(rows, start, end, rowHeight, rowHTML) {
+  const top    = start * rowHeight;
+  const bottom = (rows.length - end) * rowHeight;
+
+  return `
+    ${top > 0 ? `<div class="v-spacer" aria-hidden="true" style="height:${top}px"></div>` : ''}
+    ${rows.slice(start, end).map(rowHTML).join('')}
+    ${bottom > 0 ? `<div class="v-spacer" aria-hidden="true" style="height:${bottom}px"></div>` : ''}`;
+}
+
+/**
+ * HTML for a group header row.
+ *
+ * @param {{ header: string, row: number }} row
+ * @param {number} rowHeight
+ * @returns {string}
+ */
+export function groupRowHTML(row, rowHeight) {
+  return `<div class="v-group" role="presentation" data-row="${row.row}" style="height:${rowHeight}px">${escapeHTML(row.header)}</div>`;
+}
+
+/**
+ * HTML for an option row.
+ *
+ * @param {object} row - A normalized item placed by buildRows().
+ * @param {object} state
+ * @param {boolean} state.selected
+ * @param {boolean} state.active - Whether the row has keyboard focus (aria-activedescendant).
+ * @param {number} state.setSize - Number of options in the list, for aria-setsize.
+ * @param {number} state.rowHeight
+ * @returns {string}
+ */
+export function optionRowHTML(row, { selected, active, setSize, rowHeight }) {
+  const classes = [
+    'v-option',
+    selected ? 'selected' : '',
+    active ? 'active' : '',
+    row.disabled ? 'disabled' : ''
+  ].filter(Boolean).join(' ');
+
+  return `
+    <div class="${classes}" id="option-${row.row}" role="option" data-row="${row.row}"
+      aria-selected="${selected}" ${row.disabled ? 'aria-disabled="true"' : ''}
+      aria-setsize="${setSize}" aria-posinset="${row.pos}" style="height:${rowHeight}px">
+      <span class="v-label">${escapeHTML(row.label)}</span>
+      ${selected ? CHECK_ICON : ''}
+    </div>`;
+}
+
+/**
+ * Scrolls the least distance that brings a row into view, keeping a group's
+ * header visible when moving onto its first option.
+ *
+ * @param {HTMLElement} scroller - The scrolling list container.
+ * @param {Array<object>} rows
+ * @param {number} index
+ * @param {number} rowHeight
+ */
+export function scrollToRow(scroller, rows, index, rowHeight) {
+  const prev = rows[index - 1];
+  const top  = (prev && prev.header !== undefined ? index - 1 : index) * rowHeight;
+
+  if (top < scroller.scrollTop) {
+    scroller.scrollTop = top;
+  } else if ((index + 1) * rowHeight > scroller.scrollTop + scroller.clientHeight) {
+    scroller.scrollTop = (index + 1) * rowHeight - scroller.clientHeight;
+  }
+}
+
+/**
+ * CSS for the rows, to include in the host's shadow styles.
+ *
+ * @param {string} accent - CSS color of selected options, e.g. 'var(--luna-select-accent)'.
+ * @returns {string}
+ */
+export function virtualListStyles(accent) {
+  return `
+    .v-group {
+      display: flex;
+      align-items: flex-end;
+      padding: 0 1rem 0.35rem;
+      box-sizing: border-box;
+      font-size: 0.75rem;
+      font-weight: 700;
+      color: #9ca3af;
+      text-transform: uppercase;
+    }
+
+    .v-option {
+      display: flex;
+      align-items: center;
+      gap: 0.75rem;
+      padding: 0 1rem;
+      box-sizing: border-box;
+      position: relative;
+      cursor: pointer;
+      color: #aaa;
+      font-size: 0.9375rem;
+      font-weight: 500;
+      transition: background 0.2s, color 0.2s;
+    }
+
+    .v-option:hover:not(.disabled) { background: rgba(255, 255, 255, 0.05); color: #fff; }
+    .v-option.active { background: rgba(255, 255, 255, 0.08); }
+
+    .v-option.selected {
+      background: rgba(37, 99, 235, 0.1);
+      color: ${accent};
+    }
+
+    .v-option.selected::before {
+      content: '';
+      position: absolute;
+      left: 0;
+      top: 0;
+      bottom: 0;
+      width: 3px;
+      background: ${accent};
+      border-radius: 0 4px 4px 0;
+    }
+
+    .v-option.disabled { cursor: not-allowed; opacity: 0.3; }
+
+    .v-label {
+      flex: 1;
+      min-width: 0;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .v-check { width: 16px; height: 16px; flex-shrink: 0; }
+  `;
+}